@@ -0,0 +1,544 @@
+#!/usr/bin/env node
+import fs from 'fs';
+import dotenv from 'dotenv';
+import fetch from 'node-fetch';
+import { parseArgs } from 'util';
+import { discoverServices, initializeServices, serviceChains } from './utils/serviceLoader.js';
+import { getGeoLocation } from './utils/geoLocation.js';
+import { buildConfig } from './utils/config.js';
+import { loadScenario } from './utils/scenario.js';
+import { CHAIN_OPERATIONS, OPERATIONS, operationChains, prepareServices, runOperations, selectServices } from './utils/engine.js';
+import { EVM_NETWORKS } from './utils/evm.js';
+import { WORKLOAD_NAMES } from './utils/workloads.js';
+import { BATCH_FALLBACKS, DEFAULT_BATCH } from './utils/batch.js';
+import { DEFAULT_SWEEP, PAYLOAD_KINDS } from './utils/sweep.js';
+import { buildResults, saveResults, loadResults } from './utils/results.js';
+import {
+    displayResults,
+    displayRunComparison,
+    displayLatencyQuery,
+    displayRegressions,
+    displayWalletRegistry,
+    displayPrunedWallets
+} from './utils/display.js';
+import { writeHtmlReport } from './utils/htmlReport.js';
+import { DEFAULT_DAEMON, startDaemon } from './utils/daemon.js';
+import { checkMetrics } from './utils/metrics.js';
+import { DEFAULT_TRACE_FILE, TRACE_EXPORTERS, initTracing } from './utils/tracing.js';
+import {
+    DEFAULT_REGISTRY_PATH,
+    REGISTRY_OFF,
+    registryPath,
+    loadRegistry,
+    walletScope,
+    provisionWallets,
+    pruneWallets
+} from './utils/walletRegistry.js';
+import {
+    DEFAULT_HISTORY_PATH,
+    GROUP_BY,
+    openHistory,
+    indexResults,
+    queryAll,
+    queryLatency,
+    findRun,
+    detectRegressions
+} from './utils/history.js';
+
+dotenv.config();
+
+const USAGE = `Usage: bench <command> [options]
+
+Commands:
+  run                       Run benchmarks against the discovered services
+  list-services             List the services found in services/
+  compare <a.json> <b.json> Compare two saved result files
+  report <file.json...>     Print saved result files (or render them as HTML with --html)
+  validate <scenario...>    Validate scenario files against the JSON Schema
+  daemon                    Benchmark on a schedule and serve Prometheus metrics (see daemon options)
+  metrics-check <url|file>  Scrape a /metrics endpoint (or read a saved payload) and check it
+  wallets list              Show the registered benchmark wallets
+  wallets rotate            Retire the registered wallets and create new ones (--include/--exclude to pick services, --chain evm for EVM wallets)
+  wallets prune             Delete or archive retired wallets through the provider APIs where supported
+  history index [paths...]  Index result files (default: results/) into the history store
+  history query             Latency statistics from the history store (see history options)
+  history regressions [file] Check a run (default: the latest) against earlier runs
+  history sql <query>       Run a raw SQL query against the history store
+
+Run options:
+  --scenario <file>         Scenario file (YAML or JSON); repeat for several, one result file each
+  --operation <names>       ${Object.keys(OPERATIONS).join(', ')} (comma separated, default or all: message,transaction)
+  --chain <list>            Run the chains' signing operations instead: ${Object.entries(CHAIN_OPERATIONS).map(([chain, names]) => `${chain} (${names.join(', ')})`).join('; ')}
+  --workload <names|all>    Solana transaction workloads to sign (${WORKLOAD_NAMES.join(', ')}), added to --operation/--chain
+  --tx-format <list>        Solana transaction formats to sign in: legacy, v0 (comma separated, default: v0); results are kept per format
+  --batch-sizes <list>      Batch sizes for messageBatch and transactionBatch (comma separated, default: ${DEFAULT_BATCH.sizes.join(',')})
+  --batch-fallback <how>    Batches for services without a native batch method: ${BATCH_FALLBACKS.join(' or ')} single calls (default: ${DEFAULT_BATCH.fallback})
+  --sweep-kinds <list>      Payloads for messageSweep: ${PAYLOAD_KINDS.join(', ')} (comma separated, default: all)
+  --sweep-max <bytes>       Largest messageSweep payload, from ${DEFAULT_SWEEP.minBytes} bytes doubling up to it (default: ${DEFAULT_SWEEP.maxBytes})
+  --evm-chain <name|id>     EVM network to sign for: ${Object.keys(EVM_NETWORKS).join(', ')} or a chain ID (default: base-sepolia)
+  --iterations <n>          Timed iterations per service and operation
+  --warmup <n>              Warmup iterations (not counted in results)
+  --trim-outliers           Leave Tukey outliers out of the latency statistics
+  --timeout <ms>            Count a request as a timeout failure after this long (default: 30000, 0 = never)
+  --concurrency <n>         Signing requests kept in flight per service (default: 1)
+  --connection-modes <list> warm, cold (new client + fresh HTTP agent per iteration), keep-alive (pooled) (comma separated, default: warm)
+  --max-rps <n|list>        Cap on calls started per second per service: one rate, or service=rate pairs (comma separated)
+  --max-retries <n>         Retries of a rate-limited call, after its Retry-After/reset wait (default: 3)
+  --load <closed|open>      Load-testing mode: fixed concurrency or fixed arrival rate
+  --rate <rps>              Open loop: requests per second
+  --duration <seconds>      Load test length per stage (default: 30)
+  --stages <list>           Ramp stages as <seconds>s@<concurrency|rate>, e.g. 20s@2,20s@4,20s@8
+  --max-in-flight <n>       Open loop: cap on concurrent requests (excess arrivals queue)
+  --include <services>      Only run these services (comma separated)
+  --exclude <services>      Skip these services (comma separated)
+  --message <text>          Message payload for message signing (Solana and EVM)
+  --amount <lamports>       Transfer amount for transaction signing
+  --destination <address>   Destination address for transaction signing
+  --prefetch-blockhash      Fetch the blockhash outside the timed section (only build + sign are measured)
+  --fresh-wallets           Create new wallets instead of reusing the registered ones (the old ones are retired)
+  --wallet-registry <file>  Wallet registry file, or off (default: $WALLET_REGISTRY or ${DEFAULT_REGISTRY_PATH})
+  --output <formats>        Result files to write: json, csv, jsonl, markdown, junit, tap (comma separated, default: json)
+  --no-save                 Do not write result files
+  --check-regressions       Index the saved result into the history store and check it for regressions
+  --trace <exporters>       Trace every signing call with OpenTelemetry: ${TRACE_EXPORTERS.join(', ')} (comma separated)
+  --trace-file <file>       File exporter output, one span per line (default: ${DEFAULT_TRACE_FILE})
+  --otlp-endpoint <url>     OTLP/HTTP traces endpoint (default: $OTEL_EXPORTER_OTLP_ENDPOINT or localhost:4318)
+
+Report options:
+  --html <file>             Write a self-contained HTML report (charts, config, comparison) instead
+
+Wallet options (plus --include, --exclude and --wallet-registry):
+  --forget                  Prune: also drop retired wallets the provider cannot delete from the registry
+
+Daemon options (plus the run options; one --scenario at most):
+  --interval <minutes>      Time between benchmark runs (default: ${DEFAULT_DAEMON.intervalMinutes})
+  --port <n>                Port for /metrics (default: ${DEFAULT_DAEMON.port})
+  --host <address>          Address to listen on (default: ${DEFAULT_DAEMON.host})
+
+History options:
+  --db <file>               History database (default: ${DEFAULT_HISTORY_PATH})
+  --service <name>          Only this service
+  --operation <name>        Only this operation
+  --region <name>           Only runs from this region
+  --country <name|code>     Only runs from this country
+  --days <n>                Query: only the last n days; regressions: baseline window (default: 30)
+  --group-by <column>       ${Object.keys(GROUP_BY).join(', ')} (default: service)
+  --alpha <p>               Significance level for rankings and regressions (default: 0.05)
+  --threshold <percent>     Regressions: minimum median slowdown (default: 10)
+
+Exit codes:
+  0 success, 1 error, 2 a latency budget (scenario "budgets") was breached
+`;
+
+// Exit codes: 1 for errors, a separate code when a run completed but breached a latency budget
+const EXIT_ERROR = 1;
+const EXIT_BUDGET_BREACHED = 2;
+
+const COMMAND_OPTIONS = {
+    scenario: { type: 'string', multiple: true },
+    operation: { type: 'string' },
+    chain: { type: 'string' },
+    'evm-chain': { type: 'string' },
+    workload: { type: 'string' },
+    'tx-format': { type: 'string' },
+    'batch-sizes': { type: 'string' },
+    'batch-fallback': { type: 'string' },
+    'sweep-kinds': { type: 'string' },
+    'sweep-max': { type: 'string' },
+    concurrency: { type: 'string' },
+    load: { type: 'string' },
+    rate: { type: 'string' },
+    duration: { type: 'string' },
+    stages: { type: 'string' },
+    'max-in-flight': { type: 'string' },
+    iterations: { type: 'string' },
+    warmup: { type: 'string' },
+    timeout: { type: 'string' },
+    'trim-outliers': { type: 'boolean' },
+    include: { type: 'string' },
+    exclude: { type: 'string' },
+    message: { type: 'string' },
+    amount: { type: 'string' },
+    destination: { type: 'string' },
+    'prefetch-blockhash': { type: 'boolean' },
+    'connection-modes': { type: 'string' },
+    'max-rps': { type: 'string' },
+    'max-retries': { type: 'string' },
+    'fresh-wallets': { type: 'boolean' },
+    'wallet-registry': { type: 'string' },
+    forget: { type: 'boolean' },
+    output: { type: 'string' },
+    'no-save': { type: 'boolean' },
+    'check-regressions': { type: 'boolean' },
+    trace: { type: 'string' },
+    'trace-file': { type: 'string' },
+    'otlp-endpoint': { type: 'string' },
+    html: { type: 'string' },
+    interval: { type: 'string' },
+    port: { type: 'string' },
+    host: { type: 'string' },
+    db: { type: 'string' },
+    service: { type: 'string' },
+    region: { type: 'string' },
+    country: { type: 'string' },
+    days: { type: 'string' },
+    'group-by': { type: 'string' },
+    alpha: { type: 'string' },
+    threshold: { type: 'string' },
+    help: { type: 'boolean', short: 'h' }
+};
+
+// Run one benchmark config and save its results
+async function runBenchmark(config, geoLocation, flags) {
+    const prepared = await prepareServices(config);
+    const measurements = await runOperations(config, prepared);
+    const results = buildResults(measurements, config, geoLocation);
+
+    displayResults(results);
+
+    if (!flags['no-save']) {
+        const written = saveResults(results, undefined, config.output.formats);
+
+        if (flags['check-regressions']) {
+            if (!written.json) {
+                console.log('⚠️  Skipping the regression check: it needs the json output format');
+            } else {
+                await withHistory(flags, history => {
+                    indexResults(history, [written.json]);
+                    const run = findRun(history, written.json);
+                    displayRegressions(run, detectRegressions(history, run, regressionOptions(flags)));
+                });
+            }
+        }
+    }
+
+    return results;
+}
+
+// Start OpenTelemetry tracing when --trace is given; returns { shutdown() } either way
+function startTracing(flags) {
+    if (!flags.trace) {
+        return { shutdown: async () => {} };
+    }
+
+    const tracing = initTracing({
+        exporters: flags.trace.split(',').map(exporter => exporter.trim()).filter(Boolean),
+        file: flags['trace-file'],
+        otlpEndpoint: flags['otlp-endpoint']
+    });
+    console.log(`🔭 Tracing signing calls (${flags.trace})`);
+    return tracing;
+}
+
+// Run benchmarks, once per scenario file (or once with the defaults)
+async function runCommand(flags) {
+    // Every scenario is validated before any wallet is created; CLI flags override scenario values
+    const configs = flags.scenario
+        ? flags.scenario.map(file => buildConfig(flags, loadScenario(file)))
+        : [buildConfig(flags)];
+
+    console.log("🚀 Starting Performance Benchmark");
+    console.log("=".repeat(80));
+
+    // Get geo location information
+    console.log("🌍 Fetching geo location information...");
+    const geoLocation = await getGeoLocation();
+
+    // Before any service SDK is loaded, so their HTTP clients are instrumented
+    const tracing = startTracing(flags);
+
+    let breached = 0;
+    try {
+        for (const config of configs) {
+            if (config.scenario) {
+                console.log(`\n🎬 SCENARIO: ${config.scenario.name} (${config.scenario.file})`);
+                console.log("=".repeat(80));
+            }
+            const results = await runBenchmark(config, geoLocation, flags);
+            breached += results.budgets ? results.budgets.breached : 0;
+        }
+    } finally {
+        await tracing.shutdown();
+    }
+
+    if (breached > 0) {
+        console.log(`\n❌ ${breached} latency budget check(s) breached (exit code ${EXIT_BUDGET_BREACHED})`);
+        process.exitCode = EXIT_BUDGET_BREACHED;
+    }
+}
+
+// Benchmark every --interval minutes and serve the accumulated metrics until SIGINT/SIGTERM
+async function daemonCommand(flags) {
+    if (flags.scenario && flags.scenario.length > 1) {
+        throw new Error('daemon runs a single scenario');
+    }
+    const config = flags.scenario ? buildConfig(flags, loadScenario(flags.scenario[0])) : buildConfig(flags);
+
+    const options = { save: !flags['no-save'] };
+    if (flags.interval !== undefined) {
+        options.intervalMinutes = Number(flags.interval);
+        if (!(options.intervalMinutes > 0)) {
+            throw new Error(`--interval must be a positive number of minutes (got "${flags.interval}")`);
+        }
+    }
+    if (flags.port !== undefined) {
+        options.port = Number(flags.port);
+        if (!Number.isInteger(options.port) || options.port < 0 || options.port > 65535) {
+            throw new Error(`--port must be a port number (got "${flags.port}")`);
+        }
+    }
+    if (flags.host !== undefined) options.host = flags.host;
+
+    console.log("📡 Starting benchmark daemon");
+    console.log("=".repeat(80));
+    const tracing = startTracing(flags);
+    const daemon = await startDaemon(config, options);
+
+    await new Promise(resolve => {
+        const shutdown = signal => {
+            console.log(`\n🛑 Received ${signal}, shutting down (send it again to exit immediately)`);
+            process.once(signal, () => process.exit(EXIT_ERROR));
+            daemon.stop().then(resolve);
+        };
+        process.once('SIGINT', shutdown);
+        process.once('SIGTERM', shutdown);
+    });
+    await tracing.shutdown();
+    console.log("👋 Daemon stopped");
+}
+
+// Check a Prometheus text payload scraped from a URL or read from a file
+async function metricsCheckCommand([source]) {
+    if (!source) {
+        throw new Error('metrics-check expects a URL or a file');
+    }
+
+    let text;
+    if (/^https?:\/\//.test(source)) {
+        const response = await fetch(source);
+        if (!response.ok) {
+            throw new Error(`${source} answered HTTP ${response.status}`);
+        }
+        text = await response.text();
+    } else {
+        text = fs.readFileSync(source, 'utf8');
+    }
+
+    const { families, series, problems } = checkMetrics(text);
+    if (problems.length > 0) {
+        problems.forEach(problem => console.log(`   • ${problem}`));
+        throw new Error(`${problems.length} problem(s) in ${source}`);
+    }
+    console.log(`✅ ${source}: ${families} metric families, ${series} series`);
+}
+
+// Validate scenario files without running them
+function validateCommand(files) {
+    if (files.length === 0) {
+        throw new Error('validate expects at least one scenario file');
+    }
+
+    files.forEach(file => {
+        const config = loadScenario(file);
+        console.log(`✅ ${file}: scenario "${config.scenario.name}" is valid`);
+    });
+}
+
+// List discovered services and the operations they implement
+async function listServicesCommand() {
+    const services = await discoverServices();
+    const serviceNames = Object.keys(services);
+
+    console.log(`🔍 Found ${serviceNames.length} service(s):`);
+    serviceNames.forEach(directoryName => {
+        const serviceModule = services[directoryName];
+        const operations = ['initializeService', 'createWallet', 'getWallet', 'listWallets', 'signMessage', 'signTypedData', 'signTransaction']
+            .filter(name => typeof serviceModule[name] === 'function');
+        console.log(`   • ${directoryName.padEnd(12)} ${String(serviceModule.serviceName || directoryName).padEnd(12)} ${serviceChains(serviceModule).join('+').padEnd(11)} ${operations.join(', ')}`);
+    });
+}
+
+// Compare two saved result files
+function compareCommand(files) {
+    if (files.length !== 2) {
+        throw new Error('compare expects exactly two result files');
+    }
+
+    const [baseline, candidate] = files.map(loadResults);
+    displayRunComparison(baseline, candidate, files);
+}
+
+// Print saved result files, or render them as one HTML page
+function reportCommand(files, flags) {
+    if (files.length === 0) {
+        throw new Error('report expects at least one result file');
+    }
+
+    if (flags.html) {
+        writeHtmlReport(files, flags.html);
+        console.log(`📄 HTML report written to: ${flags.html}`);
+        return;
+    }
+
+    files.forEach(file => displayResults(loadResults(file)));
+}
+
+function regressionOptions(flags) {
+    const options = {};
+    if (flags.days !== undefined) options.days = Number(flags.days);
+    if (flags.alpha !== undefined) options.alpha = Number(flags.alpha);
+    if (flags.threshold !== undefined) options.minChange = Number(flags.threshold) / 100;
+    return options;
+}
+
+// Open the history store, run `action` and persist any changes
+async function withHistory(flags, action) {
+    const history = await openHistory(flags.db || DEFAULT_HISTORY_PATH);
+    try {
+        const result = await action(history);
+        history.save();
+        return result;
+    } finally {
+        history.close();
+    }
+}
+
+// Index, query and check the historical results store
+async function historyCommand(flags, [subcommand, ...args]) {
+    await withHistory(flags, history => {
+        switch (subcommand) {
+            case 'index': {
+                const indexed = indexResults(history, args.length > 0 ? args : ['results']);
+                indexed.forEach(entry => {
+                    if (entry.error) {
+                        console.log(`⚠️  ${entry.file}: ${entry.error}`);
+                    } else if (!entry.skipped) {
+                        console.log(`✅ ${entry.file}: ${entry.series} service/operation series from ${entry.timestamp}`);
+                    }
+                });
+                const added = indexed.filter(entry => entry.runId).length;
+                const skipped = indexed.filter(entry => entry.skipped).length;
+                console.log(`🗄️  Indexed ${added} new run(s), ${skipped} already present, into ${history.path}`);
+                break;
+            }
+            case 'query': {
+                const filters = {
+                    service: flags.service,
+                    operation: flags.operation,
+                    region: flags.region,
+                    country: flags.country,
+                    days: flags.days !== undefined ? Number(flags.days) : undefined,
+                    groupBy: flags['group-by'] || 'service'
+                };
+                displayLatencyQuery(filters, queryLatency(history, filters));
+                break;
+            }
+            case 'regressions': {
+                const run = findRun(history, args[0]);
+                if (!run) {
+                    throw new Error(args[0] ? `${args[0]} is not in the history store (run "history index" first)` : 'The history store is empty');
+                }
+                displayRegressions(run, detectRegressions(history, run, regressionOptions(flags)));
+                break;
+            }
+            case 'sql': {
+                if (args.length === 0) {
+                    throw new Error('history sql expects a query');
+                }
+                console.table(queryAll(history, args.join(' ')));
+                break;
+            }
+            default:
+                throw new Error(`Unknown history command "${subcommand || ''}" (expected index, query, regressions or sql)`);
+        }
+    });
+}
+
+// List, rotate and prune the registered benchmark wallets
+async function walletsCommand(flags, [subcommand]) {
+    const filepath = registryPath(flags['wallet-registry']);
+    if (filepath === REGISTRY_OFF) {
+        throw new Error('The wallet registry is turned off (--wallet-registry or WALLET_REGISTRY)');
+    }
+    const services = selectServices(await discoverServices(), buildConfig(flags).services);
+
+    switch (subcommand) {
+        case 'list':
+            displayWalletRegistry(filepath, loadRegistry(filepath), services);
+            break;
+        case 'rotate': {
+            // Only services whose wallets can be registered, on the chains of the selected operations (--chain)
+            const registrable = Object.fromEntries(Object.entries(services).filter(([, serviceModule]) => walletScope(serviceModule)));
+            const initialized = await initializeServices(registrable);
+            let rotated = 0;
+            for (const chain of operationChains(buildConfig(flags).operations)) {
+                rotated += Object.keys(await provisionWallets(initialized, { registry: filepath, fresh: true }, {}, chain)).length;
+            }
+            console.log(`✅ Rotated ${rotated} wallet(s); "bench wallets prune" removes the retired ones`);
+            break;
+        }
+        case 'prune':
+            displayPrunedWallets(await pruneWallets(filepath, await initializeServices(services), { forget: flags.forget }));
+            break;
+        default:
+            throw new Error(`Unknown wallets command "${subcommand || ''}" (expected list, rotate or prune)`);
+    }
+}
+
+async function main() {
+    let flags;
+    let positionals;
+
+    try {
+        ({ values: flags, positionals } = parseArgs({ options: COMMAND_OPTIONS, allowPositionals: true }));
+    } catch (error) {
+        console.error(`❌ ${error.message}\n\n${USAGE}`);
+        process.exit(EXIT_ERROR);
+    }
+
+    const [command, ...args] = positionals;
+
+    if (flags.help || !command || command === 'help') {
+        console.log(USAGE);
+        return;
+    }
+
+    try {
+        switch (command) {
+            case 'run':
+                await runCommand(flags);
+                break;
+            case 'list-services':
+                await listServicesCommand();
+                break;
+            case 'compare':
+                compareCommand(args);
+                break;
+            case 'report':
+                reportCommand(args, flags);
+                break;
+            case 'validate':
+                validateCommand(args);
+                break;
+            case 'history':
+                await historyCommand(flags, args);
+                break;
+            case 'wallets':
+                await walletsCommand(flags, args);
+                break;
+            case 'daemon':
+                await daemonCommand(flags);
+                break;
+            case 'metrics-check':
+                await metricsCheckCommand(args);
+                break;
+            default:
+                throw new Error(`Unknown command "${command}"\n\n${USAGE}`);
+        }
+    } catch (error) {
+        console.error(`❌ ${command} failed:`, error.message);
+        process.exit(EXIT_ERROR);
+    }
+}
+
+main();
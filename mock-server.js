@@ -0,0 +1,105 @@
+import fs from 'fs';
+import { spawn } from 'child_process';
+import { parseArgs } from 'util';
+import { startStandins, standinProviders, generateStandinCredentials } from './utils/standins.js';
+
+// Everything after `--run <script>` belongs to the script and is passed on unparsed
+// (a leading `--` is dropped), so `npm run benchmark-offline -- --iterations 3` works
+function splitArgs(argv) {
+    const index = argv.findIndex(arg => arg === '--run' || arg.startsWith('--run='));
+    if (index === -1) {
+        return { own: argv, forwarded: [] };
+    }
+    const end = argv[index] === '--run' ? index + 2 : index + 1;
+    const forwarded = argv.slice(end);
+    return { own: argv.slice(0, end), forwarded: forwarded[0] === '--' ? forwarded.slice(1) : forwarded };
+}
+
+// Parse command line options
+const { own, forwarded: runArgs } = splitArgs(process.argv.slice(2));
+const { values: options } = parseArgs({
+    args: own,
+    options: {
+        config: { type: 'string' },
+        providers: { type: 'string' },
+        delay: { type: 'string' },
+        jitter: { type: 'string' },
+        'error-rate': { type: 'string' },
+        'rate-limit-rate': { type: 'string' },
+        run: { type: 'string' }
+    }
+});
+
+// Build stand-in options from an optional JSON config file plus command line overrides
+function buildStandinOptions() {
+    const standinOptions = options.config
+        ? JSON.parse(fs.readFileSync(options.config, 'utf8'))
+        : {};
+
+    if (options.providers) standinOptions.providers = options.providers.split(',').map(provider => provider.trim());
+    if (options.delay) standinOptions.delayMs = Number(options.delay);
+    if (options.jitter) standinOptions.jitterMs = Number(options.jitter);
+    if (options['error-rate']) standinOptions.errorRate = Number(options['error-rate']);
+    if (options['rate-limit-rate']) standinOptions.rateLimitRate = Number(options['rate-limit-rate']);
+
+    return standinOptions;
+}
+
+// Run a benchmark script (plus the arguments after it) against the stand-ins
+// and exit with its exit code
+function runAgainstStandins(script, env) {
+    return new Promise((resolve, reject) => {
+        const child = spawn(process.execPath, [script, ...runArgs], {
+            stdio: 'inherit',
+            // Stand-in wallets vanish with the stand-ins, so they are kept out of the wallet registry
+            env: { WALLET_REGISTRY: 'off', ...process.env, ...env, MOCK_SERVICE_ENABLED: 'true' }
+        });
+        child.on('error', reject);
+        child.on('exit', code => resolve(code ?? 1));
+    });
+}
+
+async function runMockServer() {
+    try {
+        const { standins, env, close } = await startStandins(buildStandinOptions());
+
+        if (options.run) {
+            console.log(`🧪 Running ${options.run} against local provider stand-ins\n`);
+            const exitCode = await runAgainstStandins(options.run, { ...generateStandinCredentials(), ...env });
+            await close();
+            process.exit(exitCode);
+        }
+
+        console.log("🧪 Provider stand-ins running");
+        console.log("=".repeat(80));
+        Object.values(standins).forEach(standin => {
+            console.log(`   • ${standin.provider.padEnd(10)} ${standin.url}`);
+        });
+        console.log("");
+        console.log(`📋 Point the benchmarks at the stand-ins with (providers: ${standinProviders.join(', ')}):`);
+        console.log("");
+
+        const credentials = generateStandinCredentials();
+        Object.entries({ ...credentials, ...env }).forEach(([key, value]) => {
+            console.log(`${key}=${value}`);
+        });
+        console.log("");
+        console.log("Press Ctrl+C to stop.");
+
+        const shutdown = async () => {
+            await close();
+            Object.values(standins).forEach(standin => {
+                console.log(`📊 ${standin.provider}: ${standin.stats.requests} requests, ${standin.stats.injectedErrors} injected errors, ${standin.stats.injectedRateLimits} injected 429s`);
+            });
+            process.exit(0);
+        };
+
+        process.on('SIGINT', shutdown);
+        process.on('SIGTERM', shutdown);
+    } catch (error) {
+        console.error("❌ Failed to start stand-ins:", error.message);
+        process.exit(1);
+    }
+}
+
+runMockServer();
@@ -1,45 +1,94 @@
-import {
-    Connection,
-    PublicKey,
-    SystemProgram,
-    Transaction,
-    VersionedTransaction,
-    TransactionMessage,
-} from "@solana/web3.js";
+import { Connection } from "@solana/web3.js";
 import { CdpClient } from "@coinbase/cdp-sdk";
 import dotenv from "dotenv";
+import { createPhaseTimer, resolveTransaction } from "../../utils/phases.js";
+import { buildEvmTransfer, serializeUnsignedTransaction } from "../../utils/evm.js";
 
 dotenv.config();
 
 export const serviceName = 'Coinbase';
+export const chains = ['solana', 'evm'];
+export const transactionFormats = ['legacy', 'v0'];
+// The SDK's Solana signMessage sends the message as UTF-8 text, so binary and
+// off-chain message payloads cannot be passed through it
+export const messagePayloads = ['utf8'];
 
 // Initialize the service
 export async function initializeService() {
     // Coinbase CDP doesn't require explicit credentials in the same way
     // The SDK handles authentication automatically
-    const client = new CdpClient();
-    const connection = new Connection("https://api.devnet.solana.com");
+    const client = new CdpClient({ basePath: process.env.CDP_API_BASE_PATH });
+    const connection = new Connection(process.env.SOLANA_RPC_URL || "https://api.devnet.solana.com");
     
     return { client, connection };
 }
 
+// Account the wallets live in (see utils/walletRegistry.js)
+export function walletScope() {
+    return `${process.env.CDP_API_BASE_PATH || 'https://api.cdp.coinbase.com/platform'}|${process.env.CDP_API_KEY_ID}`;
+}
+
+// CDP keeps Solana and EVM accounts under separate namespaces of the client
+function accounts(client, chain) {
+    return chain === 'evm' ? client.evm : client.solana;
+}
+
 // Create a new wallet
-export async function createWallet(serviceInstance) {
+export async function createWallet(serviceInstance, chain = 'solana') {
     const { client } = serviceInstance;
     
-    // Create Coinbase CDP Solana account
-    const account = await client.solana.createAccount();
+    // Create Coinbase CDP Solana (or EVM) account
+    const account = await accounts(client, chain).createAccount();
     
     return {
         id: account.address, // Coinbase uses address as ID
         address: account.address,
+        ...(chain === 'evm' ? { chain } : {}),
         serviceInstance
     };
 }
 
-// Sign a message
+// Look up an account by address
+export async function getWallet(wallet) {
+    const { client } = wallet.serviceInstance;
+    const account = await accounts(client, wallet.chain).getAccount({ address: wallet.address });
+
+    return {
+        id: account.address,
+        address: account.address
+    };
+}
+
+// List the project's Solana accounts (first page)
+export async function listWallets(serviceInstance) {
+    const { client } = serviceInstance;
+    const { accounts } = await client.solana.listAccounts();
+
+    return accounts.map(account => ({
+        id: account.address,
+        address: account.address
+    }));
+}
+
+// CDP accounts cannot be deleted, so a retired account is archived by renaming it
+// (names are unique per project, 36 characters at most)
+export async function deleteWallet(wallet) {
+    const { client } = wallet.serviceInstance;
+    await accounts(client, wallet.chain).updateAccount({
+        address: wallet.address,
+        update: { name: `archived-${wallet.address.slice(0, 27)}` }
+    });
+
+    return 'archived';
+}
+
+// Sign a message (personal_sign on EVM)
 export async function signMessage(wallet, message) {
     const { client } = wallet.serviceInstance;
+
+    if (wallet.chain === 'evm') {
+        return client.evm.signMessage({ address: wallet.address, message });
+    }
     
     // Coinbase CDP has message signing capability
     // Note: The exact API might vary, this is based on the pattern
@@ -51,40 +100,46 @@ export async function signMessage(wallet, message) {
     return result;
 }
 
-// Sign a transaction
+// Sign EIP-712 typed data (the SDK adds the EIP712Domain type itself)
+export async function signTypedData(wallet, typedData) {
+    const { client } = wallet.serviceInstance;
+
+    return client.evm.signTypedData({ address: wallet.address, ...typedData });
+}
+
+// Sign an EIP-1559 transfer; CDP takes the RLP-encoded unsigned transaction
+async function signEvmTransaction(wallet, transactionConfig) {
+    const { client } = wallet.serviceInstance;
+    const phases = createPhaseTimer();
+
+    const transaction = await phases.time('build', () => serializeUnsignedTransaction(buildEvmTransfer(transactionConfig)));
+
+    // The SDK returns the signed transaction as `signature`
+    const { signature } = await phases.time('sign', () => client.evm.signTransaction({
+        address: wallet.address,
+        transaction
+    }));
+
+    return { signedTransaction: signature, timings: phases.timings };
+}
+
+// Sign a Solana transaction built by the harness (legacy or v0, see utils/workloads.js)
 export async function signTransaction(wallet, transactionConfig) {
+    if (wallet.chain === 'evm') {
+        return signEvmTransaction(wallet, transactionConfig);
+    }
+
     const { client, connection } = wallet.serviceInstance;
-    const { destinationAddress, transferAmount } = transactionConfig;
-    
-    // Get latest blockhash
-    const { blockhash } = await connection.getLatestBlockhash();
-    
-    // Create transaction using legacy Transaction format (as per Coinbase pattern)
-    const fromAddress = new PublicKey(wallet.address);
-    const toAddress = new PublicKey(destinationAddress);
-    
-    const transaction = new Transaction();
-    transaction.add(
-        SystemProgram.transfer({
-            fromPubkey: fromAddress,
-            toPubkey: toAddress,
-            lamports: transferAmount,
-        })
-    );
-    
-    transaction.recentBlockhash = blockhash;
-    transaction.feePayer = fromAddress;
-    
-    // Serialize transaction for Coinbase signing
-    const serializedTx = Buffer.from(
-        transaction.serialize({ requireAllSignatures: false })
-    ).toString("base64");
+    const phases = createPhaseTimer();
+
+    // Get latest blockhash (skipped when the harness has one) and build the transaction
+    const serialized = await resolveTransaction(phases, connection, transactionConfig);
     
-    // Sign transaction with Coinbase CDP
-    const result = await client.solana.signTransaction({
+    // Sign transaction with Coinbase CDP (base64 wire format)
+    const result = await phases.time('sign', () => client.solana.signTransaction({
         address: wallet.address,
-        transaction: serializedTx,
-    });
+        transaction: Buffer.from(serialized).toString("base64"),
+    }));
     
-    return result;
-}
\ No newline at end of file
+    return { ...result, timings: phases.timings };
+}
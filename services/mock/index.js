@@ -0,0 +1,221 @@
+import {
+    PublicKey,
+    VersionedTransaction,
+} from '@solana/web3.js';
+import dotenv from 'dotenv';
+import { generateKeypair, signBytes, signSerializedTransaction } from '../../utils/ed25519.js';
+import { createLatencySampler, sleep } from '../../utils/latency.js';
+import { createPhaseTimer } from '../../utils/phases.js';
+import { buildEvmTransfer, generateEvmAccount } from '../../utils/evm.js';
+
+dotenv.config();
+
+export const serviceName = 'Mock';
+export const chains = ['solana', 'evm'];
+export const transactionFormats = ['legacy', 'v0'];
+
+// Keys live with the "provider" rather than the client, like the real custody APIs,
+// so a freshly constructed client can still sign for an existing wallet
+const keys = new Map();
+const evmAccounts = new Map();
+
+// Initialize the service
+export async function initializeService() {
+    // The mock provider is opt-in so it never shows up next to real providers by accident
+    if (process.env.MOCK_SERVICE_ENABLED !== 'true') {
+        throw new Error('MOCK_SERVICE_ENABLED must be set to true');
+    }
+
+    const latency = {
+        wallet: createLatencySampler(process.env.MOCK_WALLET_LATENCY, 'normal:150:20'),
+        lookup: createLatencySampler(process.env.MOCK_LOOKUP_LATENCY, 'normal:60:10'),
+        message: createLatencySampler(process.env.MOCK_MESSAGE_LATENCY, 'lognormal:200:30'),
+        transaction: createLatencySampler(process.env.MOCK_TRANSACTION_LATENCY, 'lognormal:250:40'),
+        rpc: createLatencySampler(process.env.MOCK_RPC_LATENCY, 'normal:80:15'),
+        // Added per item to a batch call's single round trip
+        batchItem: createLatencySampler(process.env.MOCK_BATCH_ITEM_LATENCY, 'normal:4:1')
+    };
+
+    // Fraction of signatures deliberately corrupted, to exercise the harness's verification
+    const invalidSignatureRate = Number(process.env.MOCK_INVALID_SIGNATURE_RATE || 0);
+    // Largest message signed, in bytes; longer ones are refused like a provider's 400 (unset: no limit)
+    const maxMessageBytes = process.env.MOCK_MAX_MESSAGE_BYTES ? Number(process.env.MOCK_MAX_MESSAGE_BYTES) : Infinity;
+
+    return { latency, invalidSignatureRate, maxMessageBytes };
+}
+
+function maybeCorrupt(signature, rate) {
+    if (Math.random() < rate) {
+        signature[0] ^= 0xff;
+    }
+    return signature;
+}
+
+// Create a new wallet
+export async function createWallet(serviceInstance, chain = 'solana') {
+    const { latency } = serviceInstance;
+    await sleep(latency.wallet());
+
+    if (chain === 'evm') {
+        const account = generateEvmAccount();
+        evmAccounts.set(account.address, account);
+        return { id: account.address, address: account.address, chain, serviceInstance };
+    }
+
+    const { seed, address } = generateKeypair();
+    keys.set(address, seed);
+
+    return {
+        id: address,
+        address: address,
+        serviceInstance
+    };
+}
+
+// Look up a wallet
+export async function getWallet(wallet) {
+    const { latency } = wallet.serviceInstance;
+    await sleep(latency.lookup());
+
+    if (!(wallet.chain === 'evm' ? evmAccounts : keys).has(wallet.address)) {
+        throw Object.assign(new Error(`Unknown wallet ${wallet.address}`), { status: 404 });
+    }
+    return { id: wallet.address, address: wallet.address };
+}
+
+// List every wallet created so far
+export async function listWallets(serviceInstance) {
+    const { latency } = serviceInstance;
+    await sleep(latency.lookup());
+
+    return [...keys.keys()].map(address => ({ id: address, address }));
+}
+
+// Flip a byte of a hex signature (EVM counterpart of maybeCorrupt)
+function maybeCorruptHex(signature, rate) {
+    if (Math.random() < rate) {
+        return `${signature.slice(0, 2)}${(parseInt(signature.slice(2, 4), 16) ^ 0xff).toString(16).padStart(2, '0')}${signature.slice(4)}`;
+    }
+    return signature;
+}
+
+// Sign a message (personal_sign on EVM)
+export async function signMessage(wallet, message) {
+    const { latency, invalidSignatureRate, maxMessageBytes } = wallet.serviceInstance;
+    await sleep(latency.message());
+
+    if (Buffer.from(message).length > maxMessageBytes) {
+        throw Object.assign(new Error(`Message exceeds ${maxMessageBytes} bytes`), { status: 400 });
+    }
+
+    if (wallet.chain === 'evm') {
+        return { signature: maybeCorruptHex(await evmAccounts.get(wallet.address).signMessage({ message }), invalidSignatureRate) };
+    }
+
+    const signature = maybeCorrupt(signBytes(keys.get(wallet.address), Buffer.from(message)), invalidSignatureRate);
+
+    return { signature };
+}
+
+// Sign a batch of messages in one call; one oversized message rejects the batch
+export async function signMessages(wallet, messages) {
+    const { latency, invalidSignatureRate, maxMessageBytes } = wallet.serviceInstance;
+    const phases = createPhaseTimer();
+
+    const results = await phases.time('sign', async () => {
+        await sleep(latency.message() + messages.reduce(total => total + latency.batchItem(), 0));
+
+        const oversized = messages.findIndex(message => Buffer.from(message).length > maxMessageBytes);
+        if (oversized !== -1) {
+            throw Object.assign(new Error(`Message ${oversized + 1} exceeds ${maxMessageBytes} bytes`), { status: 400 });
+        }
+
+        return messages.map(message => ({
+            signature: maybeCorrupt(signBytes(keys.get(wallet.address), Buffer.from(message)), invalidSignatureRate)
+        }));
+    });
+
+    return { results, timings: phases.timings };
+}
+
+// Sign EIP-712 typed data
+export async function signTypedData(wallet, typedData) {
+    const { latency, invalidSignatureRate } = wallet.serviceInstance;
+    await sleep(latency.message());
+
+    return { signature: maybeCorruptHex(await evmAccounts.get(wallet.address).signTypedData(typedData), invalidSignatureRate) };
+}
+
+// Sign an EIP-1559 transfer
+async function signEvmTransaction(wallet, transactionConfig) {
+    const { latency, invalidSignatureRate } = wallet.serviceInstance;
+    const phases = createPhaseTimer();
+
+    const transaction = await phases.time('build', () => buildEvmTransfer(transactionConfig));
+    const signedTransaction = await phases.time('sign', async () => {
+        await sleep(latency.transaction());
+        const account = evmAccounts.get(wallet.address);
+        // A corrupted transaction is signed by the wrong key
+        const signer = Math.random() < invalidSignatureRate ? generateEvmAccount() : account;
+        return signer.signTransaction(transaction);
+    });
+
+    return { signedTransaction, timings: phases.timings };
+}
+
+// Sign a Solana transaction built by the harness (legacy or v0, see utils/workloads.js)
+export async function signTransaction(wallet, transactionConfig) {
+    if (wallet.chain === 'evm') {
+        return signEvmTransaction(wallet, transactionConfig);
+    }
+
+    const { latency, invalidSignatureRate } = wallet.serviceInstance;
+    const phases = createPhaseTimer();
+
+    const blockhash = await simulatedBlockhash(phases, latency, transactionConfig);
+    const serialized = await phases.time('build', () => transactionConfig.build(blockhash));
+
+    // Sign transaction
+    const signedTransaction = await phases.time('sign', async () => {
+        await sleep(latency.transaction());
+        return signSolanaTransaction(wallet, serialized, invalidSignatureRate);
+    });
+
+    return { signedTransaction, timings: phases.timings };
+}
+
+// Sign a batch of Solana transactions in one call; `build(blockhash)` returns them all
+export async function signTransactions(wallet, transactionConfig) {
+    const { latency, invalidSignatureRate } = wallet.serviceInstance;
+    const phases = createPhaseTimer();
+
+    const blockhash = await simulatedBlockhash(phases, latency, transactionConfig);
+    const serialized = await phases.time('build', () => transactionConfig.build(blockhash));
+
+    const results = await phases.time('sign', async () => {
+        await sleep(latency.transaction() + serialized.reduce(total => total + latency.batchItem(), 0));
+        return serialized.map(bytes => ({ signedTransaction: signSolanaTransaction(wallet, bytes, invalidSignatureRate) }));
+    });
+
+    return { results, timings: phases.timings };
+}
+
+// Simulated blockhash fetch unless the harness has a blockhash;
+// any 32 bytes form a structurally valid blockhash
+async function simulatedBlockhash(phases, latency, transactionConfig) {
+    if (transactionConfig.blockhash) {
+        return transactionConfig.blockhash;
+    }
+    return phases.time('blockhash', async () => {
+        await sleep(latency.rpc());
+        return PublicKey.unique().toBase58();
+    });
+}
+
+function signSolanaTransaction(wallet, serialized, invalidSignatureRate) {
+    const transaction = VersionedTransaction.deserialize(
+        signSerializedTransaction(keys.get(wallet.address), wallet.address, serialized)
+    );
+    maybeCorrupt(transaction.signatures[0], invalidSignatureRate);
+    return transaction;
+}
@@ -1,17 +1,18 @@
 import { PrivyClient } from '@privy-io/server-auth';
 import {
-    PublicKey,
-    SystemProgram,    
     VersionedTransaction,
-    TransactionMessage,
     Connection,
     clusterApiUrl
 } from '@solana/web3.js';
 import dotenv from 'dotenv';
+import { createPhaseTimer, resolveTransaction } from '../../utils/phases.js';
+import { buildEvmTransfer, transactionRequest } from '../../utils/evm.js';
 
 dotenv.config();
 
 export const serviceName = 'Privy';
+export const chains = ['solana', 'evm'];
+export const transactionFormats = ['legacy', 'v0'];
 
 // Initialize the service
 export async function initializeService() {
@@ -21,28 +22,65 @@ export async function initializeService() {
         throw new Error('PRIVY_APP_ID and PRIVY_APP_SECRET must be set');
     }
     
-    const client = new PrivyClient(PRIVY_APP_ID, PRIVY_APP_SECRET);
-    const connection = new Connection(clusterApiUrl('devnet'));
+    // Base URLs can be overridden to point the SDK at local stand-ins
+    const client = new PrivyClient(PRIVY_APP_ID, PRIVY_APP_SECRET, {
+        apiURL: process.env.PRIVY_API_URL,
+        walletApi: { apiURL: process.env.PRIVY_WALLET_API_URL }
+    });
+    const connection = new Connection(process.env.SOLANA_RPC_URL || clusterApiUrl('devnet'));
     
     return { client, connection };
 }
 
-// Create a new wallet
-export async function createWallet(serviceInstance) {
+// Account the wallets live in (see utils/walletRegistry.js)
+export function walletScope() {
+    return `${process.env.PRIVY_API_URL || 'https://api.privy.io'}|${process.env.PRIVY_APP_ID}`;
+}
+
+// Create a new wallet (Privy's EVM wallets are chain type 'ethereum')
+export async function createWallet(serviceInstance, chain = 'solana') {
     const { client } = serviceInstance;
-    const wallet = await client.walletApi.createWallet({ chainType: 'solana' });
+    const wallet = await client.walletApi.createWallet({ chainType: chain === 'evm' ? 'ethereum' : 'solana' });
     
     return {
         id: wallet.id,
         address: wallet.address,
+        ...(chain === 'evm' ? { chain } : {}),
         serviceInstance
     };
 }
 
-// Sign a message
+// Look up a wallet by ID
+export async function getWallet(wallet) {
+    const { client } = wallet.serviceInstance;
+    const result = await client.walletApi.getWallet({ id: wallet.id });
+
+    return {
+        id: result.id,
+        address: result.address
+    };
+}
+
+// List the app's Solana wallets (first page)
+export async function listWallets(serviceInstance) {
+    const { client } = serviceInstance;
+    const { data } = await client.walletApi.getWallets({ chainType: 'solana' });
+
+    return data.map(wallet => ({
+        id: wallet.id,
+        address: wallet.address
+    }));
+}
+
+// Sign a message (personal_sign on EVM)
 export async function signMessage(wallet, message) {
     const { client } = wallet.serviceInstance;
+
+    if (wallet.chain === 'evm') {
+        return client.walletApi.ethereum.signMessage({ walletId: wallet.id, message });
+    }
     
+    // A string or raw bytes; the SDK base64-encodes either
     const result = await client.walletApi.solana.signMessage({
         walletId: wallet.id,
         message: message
@@ -51,37 +89,45 @@ export async function signMessage(wallet, message) {
     return result;
 }
 
-// Sign a transaction
+// Sign EIP-712 typed data
+export async function signTypedData(wallet, typedData) {
+    const { client } = wallet.serviceInstance;
+
+    return client.walletApi.ethereum.signTypedData({ walletId: wallet.id, typedData });
+}
+
+// Sign an EIP-1559 transfer
+async function signEvmTransaction(wallet, transactionConfig) {
+    const { client } = wallet.serviceInstance;
+    const phases = createPhaseTimer();
+
+    const transaction = await phases.time('build', () => transactionRequest(buildEvmTransfer(transactionConfig)));
+
+    const result = await phases.time('sign', () => client.walletApi.ethereum.signTransaction({
+        walletId: wallet.id,
+        transaction
+    }));
+
+    return { ...result, timings: phases.timings };
+}
+
+// Sign a Solana transaction built by the harness (legacy or v0, see utils/workloads.js)
 export async function signTransaction(wallet, transactionConfig) {
+    if (wallet.chain === 'evm') {
+        return signEvmTransaction(wallet, transactionConfig);
+    }
+
     const { client, connection } = wallet.serviceInstance;
-    const { destinationAddress, transferAmount } = transactionConfig;
-    
-    // Get latest blockhash
-    const { blockhash } = await connection.getLatestBlockhash();
-    
-    // Create transaction
-    const walletPublicKey = new PublicKey(wallet.address);
-    const destinationPublicKey = new PublicKey(destinationAddress);
-    
-    const instruction = SystemProgram.transfer({
-        fromPubkey: walletPublicKey,
-        toPubkey: destinationPublicKey,
-        lamports: transferAmount
-    });
-    
-    const message = new TransactionMessage({
-        payerKey: walletPublicKey,
-        recentBlockhash: blockhash,
-        instructions: [instruction],
-    });
-    
-    const transaction = new VersionedTransaction(message.compileToV0Message());
+    const phases = createPhaseTimer();
+
+    // Get latest blockhash (skipped when the harness has one) and build the transaction
+    const serialized = await resolveTransaction(phases, connection, transactionConfig);
     
-    // Sign transaction
-    const result = await client.walletApi.solana.signTransaction({
+    // Sign transaction (the SDK serializes the transaction again inside this call)
+    const result = await phases.time('sign', () => client.walletApi.solana.signTransaction({
         walletId: wallet.id,
-        transaction: transaction
-    });
+        transaction: VersionedTransaction.deserialize(serialized)
+    }));
     
-    return result;
+    return { ...result, timings: phases.timings };
 }
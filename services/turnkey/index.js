@@ -1,20 +1,23 @@
 import { Turnkey } from "@turnkey/sdk-server";
 import { TurnkeySigner } from "@turnkey/solana";
 import {
-    PublicKey,
-    SystemProgram,    
     VersionedTransaction,
-    TransactionMessage,
     Connection,
     clusterApiUrl
 } from '@solana/web3.js';
+import { hashMessage, hashTypedData, serializeSignature } from "viem";
 import { createNewSolanaWallet } from "../../utils/createSolanaWallet.js";
+import { createNewEvmWallet } from "../../utils/createEvmWallet.js";
 import { signMessage as turnkeySignMessage } from "../../utils/signMessage.js";
+import { createPhaseTimer, resolveTransaction } from "../../utils/phases.js";
+import { buildEvmTransfer, serializeUnsignedTransaction } from "../../utils/evm.js";
 import dotenv from 'dotenv';
 
 dotenv.config();
 
 export const serviceName = 'Turnkey';
+export const chains = ['solana', 'evm'];
+export const transactionFormats = ['legacy', 'v0'];
 
 // Initialize the service
 export async function initializeService() {
@@ -24,7 +27,7 @@ export async function initializeService() {
     
     const client = new Turnkey({
         defaultOrganizationId: process.env.TURNKEY_ORGANIZATION_ID,
-        apiBaseUrl: "https://api.turnkey.com",
+        apiBaseUrl: process.env.TURNKEY_API_BASE_URL || "https://api.turnkey.com",
         apiPrivateKey: process.env.TURNKEY_API_PRIVATE_KEY,
         apiPublicKey: process.env.TURNKEY_API_PUBLIC_KEY,
     });
@@ -34,26 +37,92 @@ export async function initializeService() {
         client: client.apiClient(),
     });
     
-    const connection = new Connection(clusterApiUrl('devnet'));
+    const connection = new Connection(process.env.SOLANA_RPC_URL || clusterApiUrl('devnet'));
     
     return { client, signer, connection };
 }
 
+// Account the wallets live in (see utils/walletRegistry.js)
+export function walletScope() {
+    return `${process.env.TURNKEY_API_BASE_URL || 'https://api.turnkey.com'}|${process.env.TURNKEY_ORGANIZATION_ID}`;
+}
+
 // Create a new wallet
-export async function createWallet(serviceInstance) {
+export async function createWallet(serviceInstance, chain = 'solana') {
     const { client, signer } = serviceInstance;
-    const address = await createNewSolanaWallet(client.apiClient());
+    const create = chain === 'evm' ? createNewEvmWallet : createNewSolanaWallet;
+    const { walletId, address } = await create(client.apiClient());
     
     return {
         id: address, // For Turnkey, the address serves as the ID
         address: address,
+        walletId,
+        ...(chain === 'evm' ? { chain } : {}),
         serviceInstance
     };
 }
 
-// Sign a message
+// Look up a wallet's account
+export async function getWallet(wallet) {
+    const { client } = wallet.serviceInstance;
+    const { accounts } = await client.apiClient().getWalletAccounts({ walletId: wallet.walletId });
+    const account = accounts.find(candidate => candidate.address === wallet.address) || accounts[0];
+    if (!account) {
+        throw Object.assign(new Error(`Wallet ${wallet.walletId} has no accounts`), { status: 404 });
+    }
+
+    return {
+        id: account.address,
+        address: account.address,
+        walletId: account.walletId
+    };
+}
+
+// List the organization's Solana wallet accounts (first page); without a wallet ID
+// Turnkey returns the accounts of every wallet
+export async function listWallets(serviceInstance) {
+    const { client } = serviceInstance;
+    const { accounts } = await client.apiClient().getWalletAccounts({});
+
+    return accounts
+        .filter(account => account.addressFormat === 'ADDRESS_FORMAT_SOLANA')
+        .map(account => ({
+            id: account.address,
+            address: account.address,
+            walletId: account.walletId
+        }));
+}
+
+// Delete a benchmark wallet. Its keys were never exported, which Turnkey
+// otherwise requires before deleting.
+export async function deleteWallet(wallet) {
+    const { client } = wallet.serviceInstance;
+    await client.apiClient().deleteWallets({ walletIds: [wallet.walletId], deleteWithoutExport: true });
+
+    return 'deleted';
+}
+
+// Sign a 32-byte digest with the wallet's secp256k1 key. Turnkey signs raw payloads
+// as given (no hashing) and returns r, s and v, joined here into a 65-byte signature.
+async function signDigest(wallet, digest) {
+    const { client } = wallet.serviceInstance;
+    const { r, s, v } = await client.apiClient().signRawPayload({
+        signWith: wallet.address,
+        payload: digest,
+        encoding: 'PAYLOAD_ENCODING_HEXADECIMAL',
+        hashFunction: 'HASH_FUNCTION_NO_OP'
+    });
+
+    return serializeSignature({ r: `0x${r}`, s: `0x${s}`, yParity: Number.parseInt(v, 16) });
+}
+
+// Sign a message (personal_sign on EVM: the EIP-191 digest is computed locally)
 export async function signMessage(wallet, message) {
     const { signer } = wallet.serviceInstance;
+
+    if (wallet.chain === 'evm') {
+        return { signature: await signDigest(wallet, hashMessage(message)) };
+    }
     
     const result = await turnkeySignMessage({
         signer: signer,
@@ -64,34 +133,72 @@ export async function signMessage(wallet, message) {
     return result;
 }
 
-// Sign a transaction
+// Sign a batch of Solana messages in one sign_raw_payloads activity. Ed25519 signs
+// the message itself, so no hash function applies; r||s is the 64-byte signature,
+// as in the single-message path.
+export async function signMessages(wallet, messages) {
+    const { client } = wallet.serviceInstance;
+    const phases = createPhaseTimer();
+
+    const { signatures } = await phases.time('sign', () => client.apiClient().signRawPayloads({
+        signWith: wallet.address,
+        payloads: messages.map(message => Buffer.from(message).toString('hex')),
+        encoding: 'PAYLOAD_ENCODING_HEXADECIMAL',
+        hashFunction: 'HASH_FUNCTION_NOT_APPLICABLE'
+    }));
+
+    return { results: signatures.map(({ r, s }) => Buffer.from(`${r}${s}`, 'hex')), timings: phases.timings };
+}
+
+// Sign EIP-712 typed data (digest computed locally, as for messages)
+export async function signTypedData(wallet, typedData) {
+    return { signature: await signDigest(wallet, hashTypedData(typedData)) };
+}
+
+// Sign an EIP-1559 transfer; Turnkey takes the unsigned transaction as bare hex
+async function signEvmTransaction(wallet, transactionConfig) {
+    const { client } = wallet.serviceInstance;
+    const phases = createPhaseTimer();
+
+    const unsignedTransaction = await phases.time('build', () => serializeUnsignedTransaction(buildEvmTransfer(transactionConfig)).slice(2));
+
+    const { signedTransaction } = await phases.time('sign', () => client.apiClient().signTransaction({
+        signWith: wallet.address,
+        unsignedTransaction,
+        type: 'TRANSACTION_TYPE_ETHEREUM'
+    }));
+
+    return { signedTransaction, timings: phases.timings };
+}
+
+// Sign a Solana transaction built by the harness (legacy or v0, see utils/workloads.js)
 export async function signTransaction(wallet, transactionConfig) {
+    if (wallet.chain === 'evm') {
+        return signEvmTransaction(wallet, transactionConfig);
+    }
+
     const { signer, connection } = wallet.serviceInstance;
-    const { destinationAddress, transferAmount } = transactionConfig;
-    
-    // Get latest blockhash
-    const { blockhash } = await connection.getLatestBlockhash();
-    
-    // Create transaction
-    const walletPublicKey = new PublicKey(wallet.address);
-    const destinationPublicKey = new PublicKey(destinationAddress);
-    
-    const instruction = SystemProgram.transfer({
-        fromPubkey: walletPublicKey,
-        toPubkey: destinationPublicKey,
-        lamports: transferAmount
-    });
-    
-    const message = new TransactionMessage({
-        payerKey: walletPublicKey,
-        recentBlockhash: blockhash,
-        instructions: [instruction],
-    });
-    
-    const transaction = new VersionedTransaction(message.compileToV0Message());
+    const phases = createPhaseTimer();
+
+    // Get latest blockhash (skipped when the harness has one) and build the transaction
+    const serialized = await resolveTransaction(phases, connection, transactionConfig);
     
     // Sign transaction
-    const signedTransaction = await signer.signTransaction(transaction, wallet.address);
+    const signedTransaction = await phases.time('sign', () => signer.signTransaction(VersionedTransaction.deserialize(serialized), wallet.address));
     
-    return { signedTransaction };
+    return { signedTransaction, timings: phases.timings };
+}
+
+// Sign a batch of Solana transactions built by the harness in one activity;
+// `build(blockhash)` returns them all
+export async function signTransactions(wallet, transactionConfig) {
+    const { signer, connection } = wallet.serviceInstance;
+    const phases = createPhaseTimer();
+
+    const serialized = await resolveTransaction(phases, connection, transactionConfig);
+    const transactions = serialized.map(bytes => VersionedTransaction.deserialize(bytes));
+
+    const signedTransactions = await phases.time('sign', () => signer.signAllTransactions(transactions, wallet.address));
+
+    return { results: signedTransactions.map(signedTransaction => ({ signedTransaction })), timings: phases.timings };
 }
@@ -0,0 +1,54 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { budgetReport } from '../utils/budgets.js';
+import { testCases } from '../utils/writers.js';
+
+// A run in which Privy signed and Turnkey was dropped (its wallet could not be created)
+function results() {
+    const privy = { statistics: { count: 3, successCount: 3, failureCount: 0, errorRate: 0, mean: 120, median: 118, p95: 140 } };
+    const block = () => ({
+        services: { Privy: structuredClone(privy) },
+        dropped: { Turnkey: 'no solana wallet (wallet creation failed)' }
+    });
+    return { timestamp: '2026-01-01T00:00:00.000Z', config: {}, messageSigning: block(), transactionSigning: block() };
+}
+
+test('a provider that is fully down breaches every budget that covers it', () => {
+    const report = budgetReport(results(), [
+        { errorRate: 0.01 },
+        { service: 'turnkey', operation: 'transaction', p95: 600 }
+    ]);
+
+    assert.equal(report.passed, false);
+    assert.deepEqual(report.unmatched, []);
+    const turnkey = report.checks.filter(check => check.service === 'Turnkey');
+    assert.deepEqual(turnkey.map(check => [check.operation, check.metric, check.actual, check.passed]), [
+        ['message', 'errorRate', 1, false],
+        ['transaction', 'errorRate', 1, false],
+        ['transaction', 'p95', null, false]
+    ]);
+    assert.ok(report.checks.filter(check => check.service === 'Privy').every(check => check.passed));
+    assert.equal(report.breached, 3);
+});
+
+test('a budget that matches nothing counts as breached', () => {
+    const report = budgetReport(results(), [{ service: 'coinbase', p95: 500 }]);
+
+    assert.equal(report.passed, false);
+    assert.equal(report.breached, 1);
+    assert.deepEqual(report.unmatched.map(budget => budget.index), [0]);
+});
+
+test('JUnit/TAP cases fail for dropped providers and unmatched budgets', () => {
+    const withBudgets = results();
+    withBudgets.budgets = budgetReport(withBudgets, [{ service: 'coinbase', p95: 500 }]);
+    assert.deepEqual(testCases(withBudgets).map(entry => entry.passed), [false]);
+
+    const cases = testCases(results());
+    assert.deepEqual(cases.map(entry => [entry.name, entry.passed]), [
+        ['Privy message completes', true],
+        ['Turnkey message completes', false],
+        ['Privy transaction completes', true],
+        ['Turnkey transaction completes', false]
+    ]);
+});
@@ -0,0 +1,10 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildConfig } from '../utils/config.js';
+
+test('--operation only accepts registered operations', () => {
+    for (const name of ['evm', 'batch', 'sweep', 'workloads', 'services', 'analysis', 'pacing']) {
+        assert.throws(() => buildConfig({ operation: name }), new RegExp(`Unknown operation "${name}" \\(expected one of message, `));
+    }
+    assert.deepEqual(buildConfig({ operation: 'message,evmTypedData' }).operations, ['message', 'evmTypedData']);
+});
@@ -0,0 +1,72 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { detectRegressions, findRun, indexResultFile, indexResults, openHistory, queryAll, queryLatency } from '../utils/history.js';
+import { calculateStats } from '../utils/stats.js';
+
+const GEO = { success: true, city: 'Portland', region: 'Oregon', country: 'United States', countryCode: 'US' };
+const BASE = Array.from({ length: 20 }, (_, index) => 100 + (index * 7) % 20);
+
+// A message-signing result file from `timestamp` with the given latencies per service
+function writeResult(directory, name, timestamp, times) {
+    const services = Object.fromEntries(Object.entries(times).map(([service, rawTimes]) =>
+        [service, { rawTimes, statistics: { ...calculateStats(rawTimes), successCount: rawTimes.length, failureCount: 0, errorRate: 0 } }]));
+    const filepath = path.join(directory, name);
+    fs.writeFileSync(filepath, JSON.stringify({
+        timestamp,
+        benchmarkType: 'message_signing',
+        geoLocation: GEO,
+        config: {},
+        messageSigning: { services }
+    }));
+    return filepath;
+}
+
+const counts = history => Object.fromEntries(['runs', 'measurements', 'latencies'].map(table =>
+    [table, queryAll(history, `SELECT COUNT(*) AS count FROM ${table}`)[0].count]));
+
+test('a p95 regression between two imported runs is reported, and re-importing adds nothing', async () => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'history-'));
+    // Never saved: the database only lives in memory
+    const history = await openHistory(path.join(directory, 'history.sqlite'));
+
+    try {
+        const baseline = writeResult(directory, 'a-baseline.json', '2026-01-01T00:00:00.000Z', { Turnkey: BASE, Privy: BASE });
+        const candidate = writeResult(directory, 'b-candidate.json', '2026-01-02T00:00:00.000Z', {
+            Turnkey: BASE.map(latency => latency * 1.5),
+            Privy: BASE.map(latency => latency + 1)
+        });
+
+        const imported = indexResults(history, [directory]);
+        assert.deepEqual(imported.map(entry => [path.basename(entry.file), entry.series]), [['a-baseline.json', 2], ['b-candidate.json', 2]]);
+        assert.deepEqual(counts(history), { runs: 2, measurements: 4, latencies: 80 });
+
+        const run = findRun(history, candidate);
+        assert.equal(findRun(history).id, run.id);
+        const checks = Object.fromEntries(detectRegressions(history, run, { days: 7 }).map(check => [check.service, check]));
+        assert.equal(checks.Turnkey.status, 'regression');
+        assert.equal(checks.Turnkey.baselineRuns, 1);
+        assert.equal(checks.Turnkey.samples, 20);
+        assert.ok(Math.abs(checks.Turnkey.change - 0.5) < 1e-9);
+        assert.equal(checks.Privy.status, 'ok');
+
+        const p95s = queryAll(history, 'SELECT p95 FROM measurements m JOIN runs r ON r.id = m.run_id WHERE m.service = ? ORDER BY r.timestamp', ['Turnkey'])
+            .map(row => row.p95);
+        assert.ok(Math.abs(p95s[1] - p95s[0] * 1.5) < 1e-9);
+
+        // Nothing to compare the baseline run with
+        assert.ok(detectRegressions(history, findRun(history, baseline)).every(check => check.status === 'insufficient_data'));
+
+        assert.equal(indexResultFile(history, baseline).skipped, true);
+        assert.ok(indexResults(history, [directory]).every(entry => entry.skipped));
+        assert.deepEqual(counts(history), { runs: 2, measurements: 4, latencies: 80 });
+
+        const [turnkey] = queryLatency(history, { service: 'turnkey', region: 'oregon', groupBy: 'service' });
+        assert.deepEqual([turnkey.group, turnkey.runs, turnkey.samples], ['Turnkey', 2, 40]);
+    } finally {
+        history.close();
+        fs.rmSync(directory, { recursive: true, force: true });
+    }
+});
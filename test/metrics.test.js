@@ -0,0 +1,158 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { budgetReport } from '../utils/budgets.js';
+import { EXPECTED_FAMILIES, LATENCY_BUCKETS, checkMetrics, createMetricsStore, parseMetrics, recordRun, renderMetrics } from '../utils/metrics.js';
+
+const LOCATION = { region: 'Oregon', isp: 'Example ISP' };
+
+// A message-signing run: Turnkey signed 4 of 5 requests, Privy 2 of 2
+function results() {
+    const run = {
+        timestamp: '2026-01-01T00:00:00.000Z',
+        config: {},
+        geoLocation: { success: true, ...LOCATION },
+        messageSigning: {
+            services: {
+                Turnkey: {
+                    rawTimes: [40, 150, 800, 2500],
+                    statistics: {
+                        count: 5, successCount: 4, failureCount: 1, errorRate: 0.2,
+                        errorBreakdown: { timeout: 1 }, mean: 872.5, median: 475, p95: 2245, p99: 2449
+                    }
+                },
+                Privy: {
+                    rawTimes: [60, 70],
+                    statistics: { count: 2, successCount: 2, failureCount: 0, errorRate: 0, mean: 65, median: 65, p95: 69.5, p99: 69.9 }
+                }
+            }
+        }
+    };
+    run.budgets = budgetReport(run, [{ service: 'turnkey', p95: 1000 }, { service: 'privy', p95: 1000 }]);
+    return run;
+}
+
+function samplesOf(families, name, labels = {}) {
+    return families[name].samples.filter(sample => Object.entries(labels).every(([label, value]) => sample.labels[label] === value));
+}
+
+test('the exposition of a recorded run passes checkMetrics', () => {
+    const store = createMetricsStore();
+    recordRun(store, results(), 12000);
+    const text = renderMetrics(store);
+
+    const { families, series, problems } = checkMetrics(text);
+    assert.deepEqual(problems, []);
+    assert.ok(families >= EXPECTED_FAMILIES.length);
+    assert.equal(series, text.split('\n').filter(line => line && !line.startsWith('#')).length);
+});
+
+test('families, labels and histogram buckets match the fixture run', () => {
+    const store = createMetricsStore();
+    recordRun(store, results(), 12000);
+    recordRun(store, results(), 8000);
+    const { families, errors } = parseMetrics(renderMetrics(store));
+
+    assert.deepEqual(errors, []);
+    for (const name of [...EXPECTED_FAMILIES, 'signing_errors_total', 'signing_budget_breached', 'bench_last_run_duration_seconds']) {
+        assert.ok(families[name], `missing ${name}`);
+    }
+    assert.equal(families.signing_latency_seconds.type, 'histogram');
+    assert.equal(families.signing_requests_total.type, 'counter');
+    assert.equal(families.signing_last_run_error_ratio.type, 'gauge');
+
+    const turnkey = { service: 'Turnkey', operation: 'message', connection_mode: 'warm', ...LOCATION };
+    for (const sample of families.signing_latency_seconds.samples) {
+        assert.deepEqual(Object.keys(sample.labels).filter(label => label !== 'le'), ['service', 'operation', 'connection_mode', 'region', 'isp']);
+    }
+
+    // Two runs of 40, 150, 800 and 2500 ms each
+    const bucketSamples = samplesOf(families, 'signing_latency_seconds', turnkey).filter(sample => sample.name.endsWith('_bucket'));
+    assert.deepEqual(bucketSamples.map(sample => sample.labels.le), [...LATENCY_BUCKETS.map(String), '+Inf']);
+    const buckets = Object.fromEntries(bucketSamples.map(sample => [sample.labels.le, sample.value]));
+    assert.equal(buckets['0.05'], 2);
+    assert.equal(buckets['0.1'], 2);
+    assert.equal(buckets['0.2'], 4);
+    assert.equal(buckets['0.75'], 4);
+    assert.equal(buckets['1'], 6);
+    assert.equal(buckets['2'], 6);
+    assert.equal(buckets['3'], 8);
+    assert.equal(buckets['+Inf'], 8);
+    const [count] = samplesOf(families, 'signing_latency_seconds', turnkey).filter(sample => sample.name.endsWith('_count'));
+    const [sum] = samplesOf(families, 'signing_latency_seconds', turnkey).filter(sample => sample.name.endsWith('_sum'));
+    assert.equal(count.value, 8);
+    assert.ok(Math.abs(sum.value - 6.98) < 1e-9);
+
+    const requests = samplesOf(families, 'signing_requests_total', turnkey).map(sample => [sample.labels.outcome, sample.value]);
+    assert.deepEqual(requests, [['success', 8], ['failure', 2]]);
+    assert.deepEqual(samplesOf(families, 'signing_errors_total').map(sample => [sample.labels.service, sample.labels.error_class, sample.value]), [
+        ['Turnkey', 'timeout', 2]
+    ]);
+
+    const quantiles = samplesOf(families, 'signing_last_run_latency_seconds', turnkey).map(sample => [sample.labels.quantile, sample.value]);
+    assert.deepEqual(quantiles, [['0.5', 0.475], ['0.95', 2.245], ['0.99', 2.449]]);
+    assert.equal(samplesOf(families, 'signing_last_run_error_ratio', turnkey)[0].value, 0.2);
+    assert.equal(samplesOf(families, 'signing_last_run_timestamp_seconds', turnkey)[0].value, Date.parse('2026-01-01T00:00:00.000Z') / 1000);
+
+    assert.deepEqual(samplesOf(families, 'signing_budget_breached').map(sample => [sample.labels.service, sample.labels.metric, sample.value]), [
+        ['Turnkey', 'p95', 1],
+        ['Privy', 'p95', 0]
+    ]);
+    assert.deepEqual(families.bench_runs_total.samples.map(sample => [sample.labels.outcome, sample.value]), [['success', 2], ['failure', 0]]);
+    assert.equal(families.bench_last_run_duration_seconds.samples[0].value, 8);
+});
+
+test('every connection mode of a run is its own series', () => {
+    const run = results();
+    run.messageSigning.connectionMode = 'cold';
+    run.messageSigning.modes = {
+        'keep-alive': {
+            services: {
+                Turnkey: {
+                    rawTimes: [30, 45],
+                    statistics: { count: 3, successCount: 2, failureCount: 1, errorRate: 1 / 3, errorBreakdown: { rate_limit: 1 }, median: 37.5, p95: 44.25, p99: 44.85 }
+                }
+            }
+        }
+    };
+    const store = createMetricsStore();
+    recordRun(store, run, 1000);
+    const text = renderMetrics(store);
+
+    assert.deepEqual(checkMetrics(text).problems, []);
+    const { families } = parseMetrics(text);
+    const counts = families.signing_latency_seconds.samples
+        .filter(sample => sample.name.endsWith('_count'))
+        .map(sample => [sample.labels.service, sample.labels.connection_mode, sample.value]);
+    assert.deepEqual(counts, [['Turnkey', 'cold', 4], ['Privy', 'cold', 2], ['Turnkey', 'keep-alive', 2]]);
+    assert.deepEqual(samplesOf(families, 'signing_errors_total', { connection_mode: 'keep-alive' }).map(sample => [sample.labels.error_class, sample.value]), [
+        ['rate_limit', 1]
+    ]);
+    // Budgets are evaluated on the first mode only
+    assert.ok(samplesOf(families, 'signing_budget_breached').every(sample => sample.labels.connection_mode === 'cold'));
+});
+
+test('series without a located region fall back to unknown', () => {
+    const run = results();
+    run.geoLocation = { success: false };
+    const store = createMetricsStore();
+    recordRun(store, run, 1000);
+    const text = renderMetrics(store);
+
+    assert.deepEqual(checkMetrics(text).problems, []);
+    const { families } = parseMetrics(text);
+    assert.ok(families.signing_requests_total.samples.every(sample => sample.labels.region === 'unknown' && sample.labels.isp === 'unknown'));
+});
+
+test('checkMetrics reports broken histograms and missing families', () => {
+    const store = createMetricsStore();
+    recordRun(store, results(), 12000);
+    const broken = renderMetrics(store)
+        .replace(/^signing_latency_seconds_bucket\{service="Turnkey"(.*)le="0\.2"\} 2$/m, 'signing_latency_seconds_bucket{service="Turnkey"$1le="0.2"} 0')
+        .split('\n')
+        .filter(line => !line.includes('bench_runs_total'))
+        .join('\n');
+
+    const { problems } = checkMetrics(broken);
+    assert.ok(problems.includes('missing metric family bench_runs_total'));
+    assert.ok(problems.some(problem => problem.startsWith('signing_latency_seconds{service="Turnkey"') && problem.endsWith('buckets are not cumulative')));
+});
@@ -0,0 +1,87 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { startStandins, generateStandinCredentials } from '../utils/standins.js';
+
+// End-to-end run of the harness without network access: the mock provider plus the
+// real adapters pointed at the HTTP stand-ins, through runOperations, buildResults and
+// saveResults. Privy's stand-in answers every timed call with a 500 and Coinbase's
+// with a 429, so both failure paths reach the result document.
+
+const ITERATIONS = 3;
+const MAX_RETRIES = 1;
+
+test('offline run against the mock provider and the stand-ins', async () => {
+    const { standins, env, close } = await startStandins();
+    const resultsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'signing-benchmark-'));
+
+    try {
+        // Set before the adapters are loaded; they read their configuration on import and initialization
+        Object.assign(process.env, generateStandinCredentials(), env, { MOCK_SERVICE_ENABLED: 'true', WALLET_REGISTRY: 'off' });
+        const { buildConfig } = await import('../utils/config.js');
+        const { prepareServices, runOperations } = await import('../utils/engine.js');
+        const { buildResults, saveResults, loadResults } = await import('../utils/results.js');
+
+        const config = buildConfig({
+            operation: 'message,transaction',
+            iterations: String(ITERATIONS),
+            warmup: '0',
+            'max-retries': String(MAX_RETRIES),
+            'wallet-registry': 'off',
+            output: 'json,csv'
+        });
+        const prepared = await prepareServices(config);
+        assert.deepEqual(Object.keys(prepared.initializedServices).sort(), ['coinbase', 'mock', 'privy', 'turnkey']);
+
+        // Failures are injected only once every wallet exists
+        const before = Object.fromEntries(Object.entries(standins).map(([provider, standin]) => [provider, { ...standin.stats }]));
+        standins.privy.configure({ errorRate: 1 });
+        standins.coinbase.configure({ rateLimitRate: 1 });
+
+        const measurements = await runOperations(config, prepared);
+        const results = buildResults(measurements, config, { success: false, error: 'offline' });
+        const written = saveResults(results, resultsDir, config.output.formats);
+
+        const injected = provider => ({
+            errors: standins[provider].stats.injectedErrors - before[provider].injectedErrors,
+            rateLimits: standins[provider].stats.injectedRateLimits - before[provider].injectedRateLimits
+        });
+
+        for (const resultKey of ['messageSigning', 'transactionSigning']) {
+            const { services, comparison } = results[resultKey];
+            assert.deepEqual(Object.keys(services).sort(), ['Coinbase', 'Mock', 'Privy', 'Turnkey']);
+            for (const name of ['Mock', 'Turnkey']) {
+                const { statistics, samples } = services[name];
+                assert.equal(samples.length, ITERATIONS);
+                assert.equal(statistics.successCount, ITERATIONS);
+                assert.equal(statistics.failureCount, 0);
+                assert.ok(statistics.median > 0);
+                assert.ok(samples.every(sample => sample.valid));
+            }
+            assert.deepEqual(services.Privy.statistics.errorBreakdown, { provider_error: ITERATIONS });
+            assert.deepEqual(services.Coinbase.statistics.errorBreakdown, { rate_limit: ITERATIONS });
+            // Every throttled call was retried MAX_RETRIES times before giving up
+            assert.equal(services.Coinbase.statistics.throttling.throttledCalls, ITERATIONS);
+            assert.equal(services.Coinbase.statistics.throttling.events, ITERATIONS * (MAX_RETRIES + 1));
+            assert.deepEqual(comparison.rankings.map(entry => entry.service).sort(), ['Mock', 'Turnkey']);
+        }
+
+        // One injected response per failed call (the SDKs do not retry on their own)
+        assert.deepEqual(injected('privy'), { errors: 2 * ITERATIONS, rateLimits: 0 });
+        assert.deepEqual(injected('coinbase'), { errors: 0, rateLimits: 2 * ITERATIONS * (MAX_RETRIES + 1) });
+        assert.deepEqual(injected('turnkey'), { errors: 0, rateLimits: 0 });
+
+        // The saved files read back as the same run
+        assert.deepEqual(Object.keys(written), ['json', 'csv']);
+        const saved = loadResults(written.json);
+        assert.equal(saved.benchmarkType, 'comprehensive');
+        assert.equal(saved.messageSigning.services.Privy.statistics.failureCount, ITERATIONS);
+        const rows = fs.readFileSync(written.csv, 'utf8').trim().split('\n');
+        assert.equal(rows.length, 1 + 2 * 4 * ITERATIONS);
+    } finally {
+        await close();
+        fs.rmSync(resultsDir, { recursive: true, force: true });
+    }
+});
@@ -0,0 +1,76 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { capturePacing, createPacer, headerDelay } from '../utils/pacing.js';
+
+const NOW = Date.parse('2026-01-01T00:00:00.000Z');
+
+// A 429 that fails once, carrying `headers` the way SDK errors do
+function throttledOnce(headers) {
+    let calls = 0;
+    return async () => {
+        if (++calls === 1) {
+            throw Object.assign(new Error('Too Many Requests'), { status: 429, ...(headers ? { headers } : {}) });
+        }
+        return 'signed';
+    };
+}
+
+test('Retry-After is read as delta seconds or an HTTP date', () => {
+    assert.deepEqual(headerDelay({ 'retry-after': '3' }, NOW), { waitMs: 3000, source: 'retry-after' });
+    assert.deepEqual(headerDelay({ 'retry-after': 0.5 }, NOW), { waitMs: 500, source: 'retry-after' });
+    assert.deepEqual(headerDelay(new Headers({ 'Retry-After': new Date(NOW + 7000).toUTCString() }), NOW), { waitMs: 7000, source: 'retry-after' });
+    // A date already past means retry now
+    assert.deepEqual(headerDelay({ 'retry-after': new Date(NOW - 7000).toUTCString() }, NOW), { waitMs: 0, source: 'retry-after' });
+});
+
+test('rate-limit reset headers are read as delta seconds or epoch timestamps', () => {
+    assert.deepEqual(headerDelay({ 'ratelimit-reset': '2' }, NOW), { waitMs: 2000, source: 'ratelimit-reset' });
+    assert.deepEqual(headerDelay({ 'x-ratelimit-reset': String(NOW / 1000 + 5) }, NOW), { waitMs: 5000, source: 'x-ratelimit-reset' });
+    assert.deepEqual(headerDelay({ 'x-rate-limit-reset': String(NOW + 1500) }, NOW), { waitMs: 1500, source: 'x-rate-limit-reset' });
+    assert.deepEqual(headerDelay({ 'x-ratelimit-reset': String(NOW / 1000 - 5) }, NOW), { waitMs: 0, source: 'x-ratelimit-reset' });
+});
+
+test('Retry-After wins over the reset headers and unreadable values are skipped', () => {
+    assert.equal(headerDelay({ 'x-ratelimit-reset': '9', 'retry-after': '1' }, NOW).source, 'retry-after');
+    assert.deepEqual(headerDelay({ 'retry-after': 'soon', 'ratelimit-reset': 'later', 'x-ratelimit-reset-after': '4' }, NOW),
+        { waitMs: 4000, source: 'x-ratelimit-reset-after' });
+    assert.equal(headerDelay({ 'retry-after': 'soon' }, NOW), null);
+    assert.equal(headerDelay({}, NOW), null);
+    assert.equal(headerDelay(null, NOW), null);
+});
+
+test('a throttled call waits as its headers say before the retry', async () => {
+    const pacer = createPacer({ backoffMs: 10000 });
+    const { promise, summary } = capturePacing(() => pacer.run(throttledOnce({ 'retry-after': '0.02' })));
+
+    assert.equal(await promise, 'signed');
+    const { attempts, throttles } = summary();
+    assert.equal(attempts, 2);
+    assert.deepEqual(throttles.map(({ attempt, status, waitMs, source, retried }) => ({ attempt, status, waitMs, source, retried })), [
+        { attempt: 1, status: 429, waitMs: 20, source: 'retry-after', retried: true }
+    ]);
+});
+
+test('without a reset header a throttled call backs off with jitter', async () => {
+    const pacer = createPacer({ backoffMs: 20 });
+    const { promise, summary } = capturePacing(() => pacer.run(throttledOnce()));
+
+    assert.equal(await promise, 'signed');
+    const [throttle] = summary().throttles;
+    assert.equal(throttle.source, 'backoff');
+    // Half the first backoff step, plus up to as much again
+    assert.ok(throttle.waitMs >= 10 && throttle.waitMs <= 20, `waited ${throttle.waitMs} ms`);
+});
+
+test('a call still throttled after its retries fails with the rate limit', async () => {
+    const pacer = createPacer({ maxRetries: 1, backoffMs: 1 });
+    const always = async () => {
+        throw Object.assign(new Error('Too Many Requests'), { status: 429 });
+    };
+    const { promise, summary } = capturePacing(() => pacer.run(always));
+
+    await assert.rejects(promise, /Too Many Requests/);
+    const throttles = summary().throttles;
+    assert.deepEqual(throttles.map(throttle => throttle.retried), [true, false]);
+    assert.equal(throttles[1].waitMs, 0);
+});
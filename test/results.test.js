@@ -0,0 +1,67 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildComparison } from '../utils/results.js';
+import { calculateStats, mannWhitneyU, trimOutliers } from '../utils/stats.js';
+
+const BASE = [100, 102, 98, 101, 99, 103, 97, 100, 104, 96, 100, 101];
+const shifted = offset => BASE.map(value => value + offset);
+
+// Statistics and raw latencies keyed by service name
+function measurements(times) {
+    return {
+        statistics: Object.fromEntries(Object.entries(times).map(([name, values]) => [name, calculateStats(values)])),
+        rawTimes: times
+    };
+}
+
+test('clearly separated services get distinct ranks', () => {
+    const { statistics, rawTimes } = measurements({ Slow: shifted(100), Fast: shifted(0), Middle: shifted(50) });
+    const comparison = buildComparison(statistics, rawTimes);
+
+    assert.deepEqual(comparison.rankings.map(entry => [entry.rank, entry.service]), [[1, 'Fast'], [2, 'Middle'], [3, 'Slow']]);
+    assert.equal(comparison.fastest, 'Fast');
+    assert.equal(comparison.slowest, 'Slow');
+    assert.equal(comparison.conclusive, true);
+    assert.equal(comparison.pairwise.length, 3);
+    assert.ok(comparison.pairwise.every(pair => pair.significant && pair.effectSize === 1));
+});
+
+test('identical distributions share rank 1 and declare no winner', () => {
+    const { statistics, rawTimes } = measurements({ A: shifted(0), B: [...BASE].reverse() });
+    const comparison = buildComparison(statistics, rawTimes);
+
+    assert.deepEqual(comparison.rankings.map(entry => entry.rank), [1, 1]);
+    assert.equal(comparison.fastest, null);
+    assert.equal(comparison.slowest, null);
+    assert.equal(comparison.conclusive, false);
+    assert.equal(comparison.pairwise[0].significant, false);
+});
+
+test('a small shift is not significant, so the services share a rank', () => {
+    const { statistics, rawTimes } = measurements({ A: shifted(0), B: shifted(1) });
+    const comparison = buildComparison(statistics, rawTimes);
+
+    assert.deepEqual(comparison.rankings.map(entry => [entry.rank, entry.service]), [[1, 'A'], [1, 'B']]);
+    assert.equal(comparison.fastest, null);
+});
+
+test('with trimOutliers the test uses the trimmed latencies the means came from', () => {
+    const times = { A: shifted(0), B: [...shifted(3), 5000] };
+    const statistics = { A: calculateStats(times.A), B: calculateStats(trimOutliers(times.B)) };
+
+    const untrimmed = buildComparison(statistics, times);
+    assert.equal(untrimmed.pairwise[0].pValue, mannWhitneyU(times.B, times.A).pValue);
+    const trimmed = buildComparison(statistics, times, { trimOutliers: true });
+    assert.equal(trimmed.pairwise[0].pValue, mannWhitneyU(shifted(3), times.A).pValue);
+    assert.notEqual(trimmed.pairwise[0].pValue, untrimmed.pairwise[0].pValue);
+});
+
+test('services without successful requests or raw latencies are ranked by mean', () => {
+    const { statistics, rawTimes } = measurements({ A: shifted(0), B: shifted(10) });
+    statistics.Down = { mean: null };
+
+    const comparison = buildComparison(statistics, {});
+    assert.deepEqual(comparison.rankings.map(entry => [entry.rank, entry.service]), [[1, 'A'], [2, 'B']]);
+    assert.equal(comparison.pairwise, undefined);
+    assert.deepEqual(buildComparison({ A: statistics.A }, rawTimes), {});
+});
@@ -0,0 +1,128 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { bootstrapCI, bootstrapIntervals, calculateStats, findOutliers, holmAdjust, mannWhitneyU, percentile, trimOutliers } from '../utils/stats.js';
+import { buildHistogram, histogramPercentile, histogramSummary, mergeHistograms } from '../utils/histogram.js';
+
+const ONE_TO_TEN = Array.from({ length: 10 }, (_, index) => index + 1);
+
+const close = (actual, expected, message) => assert.ok(Math.abs(actual - expected) < 1e-9, message || `${actual} !== ${expected}`);
+
+test('interpolated percentiles match numpy for 1..10', () => {
+    const sorted = Float64Array.from(ONE_TO_TEN);
+    close(percentile(sorted, 0.5), 5.5);
+    close(percentile(sorted, 0.95), 9.55);
+    close(percentile(sorted, 0.99), 9.91);
+    close(percentile(sorted, 0), 1);
+    close(percentile(sorted, 1), 10);
+    assert.equal(percentile(new Float64Array(0), 0.5), null);
+    close(percentile(Float64Array.from([42]), 0.95), 42);
+});
+
+test('calculateStats of 1..10', () => {
+    const stats = calculateStats([...ONE_TO_TEN].reverse());
+
+    assert.equal(stats.count, 10);
+    assert.equal(stats.min, 1);
+    assert.equal(stats.max, 10);
+    close(stats.mean, 5.5);
+    close(stats.median, 5.5);
+    close(stats.p75, 7.75);
+    close(stats.p90, 9.1);
+    close(stats.p95, 9.55);
+    close(stats.standardDeviation, Math.sqrt(82.5 / 9));
+    close(stats.iqr, 4.5);
+    close(stats.mad, 2.5);
+    close(stats.coefficientOfVariation, Math.sqrt(82.5 / 9) / 5.5);
+    assert.deepEqual(stats.outliers, { method: 'tukey', lowerFence: -3.5, upperFence: 14.5, count: 0 });
+});
+
+test('Tukey fences flag and trim outliers', () => {
+    const values = [12, 100, 10, 14, 11, 13, 1];
+
+    const outliers = findOutliers(Float64Array.from(values).sort());
+    close(outliers.lowerFence, 10.5 - 1.5 * 3);
+    close(outliers.upperFence, 13.5 + 1.5 * 3);
+    assert.deepEqual(outliers.values, [1, 100]);
+
+    // Kept values stay in their original order
+    assert.deepEqual(trimOutliers(values), [12, 10, 14, 11, 13]);
+    assert.equal(calculateStats(values).outliers.count, 2);
+});
+
+test('bootstrap intervals are reproducible and bracket the estimate', () => {
+    const times = [120, 95, 130, 101, 99, 180, 110, 105, 98, 125, 115, 102];
+    const median = sorted => percentile(sorted, 0.5);
+
+    const interval = bootstrapCI(times, median, { resamples: 500 });
+    assert.deepEqual(bootstrapCI(times, median, { resamples: 500 }), interval);
+    const estimate = median(Float64Array.from(times).sort());
+    assert.ok(interval.lower <= estimate && estimate <= interval.upper, JSON.stringify(interval));
+    assert.ok(interval.lower >= 95 && interval.upper <= 180);
+
+    assert.deepEqual(bootstrapCI([7, 7, 7, 7], median), { lower: 7, upper: 7 });
+    assert.equal(bootstrapCI([7], median), null);
+
+    const intervals = bootstrapIntervals(times, { confidence: 0.9, bootstrapResamples: 500 });
+    assert.equal(intervals.confidence, 0.9);
+    const stats = calculateStats(times);
+    for (const name of ['mean', 'median', 'p95']) {
+        assert.ok(intervals[name].lower <= stats[name] && stats[name] <= intervals[name].upper, name);
+    }
+});
+
+test('merging histograms equals one built from the combined samples', () => {
+    // Binary-exact values, so the sums do not depend on the order of addition
+    const first = [1.5, 20, 300, 0.25];
+    const second = [2, 20, 45.75, 5000];
+
+    const merged = mergeHistograms(buildHistogram(first), null, buildHistogram(second));
+    assert.deepEqual(merged, buildHistogram([...first, ...second]));
+    assert.deepEqual(histogramSummary(merged), histogramSummary(buildHistogram([...second, ...first])));
+    assert.equal(merged.totalCount, 8);
+    assert.equal(merged.min, 0.25);
+    assert.equal(merged.max, 5000);
+
+    assert.equal(mergeHistograms(), null);
+    assert.throws(() => mergeHistograms(buildHistogram(first, 64), buildHistogram(second)), /different bucket resolutions/);
+});
+
+test('histogram percentiles stay within 1% of the exact ones', () => {
+    const values = Array.from({ length: 1000 }, (_, index) => 50 + (index * 7919) % 950);
+    const histogram = buildHistogram(values);
+    const sorted = Float64Array.from(values).sort();
+
+    for (const p of [0.5, 0.9, 0.99]) {
+        const exact = sorted[Math.ceil(p * sorted.length) - 1];
+        const approximate = histogramPercentile(histogram, p);
+        assert.ok(Math.abs(approximate - exact) / exact < 0.01, `p${p * 100}: ${approximate} vs ${exact}`);
+    }
+});
+
+test('Mann-Whitney U separates shifted samples and not identical ones', () => {
+    const fast = [100, 102, 98, 101, 99, 103, 97, 100, 104, 96];
+    const slow = fast.map(value => value + 50);
+
+    const separated = mannWhitneyU(slow, fast);
+    assert.equal(separated.u, 100);
+    assert.equal(separated.effectSize, 1);
+    assert.ok(separated.pValue < 0.001, String(separated.pValue));
+    assert.ok(mannWhitneyU(slow, fast, 'greater').pValue < 0.001);
+    assert.ok(mannWhitneyU(slow, fast, 'less').pValue > 0.999);
+
+    const same = mannWhitneyU(fast, [...fast]);
+    assert.equal(same.effectSize, 0);
+    assert.ok(same.pValue > 0.999, String(same.pValue));
+    assert.equal(mannWhitneyU([], fast), null);
+});
+
+test('Holm adjustment is monotone in the raw p-values and never below them', () => {
+    const raw = [0.04, 0.001, 0.03, 0.5, 0.01];
+    const adjusted = holmAdjust(raw);
+
+    // Smallest first: 0.001 × 5, 0.01 × 4, 0.03 × 3, 0.04 × 2 (raised to 0.09), 0.5 × 1
+    [0.09, 0.005, 0.09, 0.5, 0.04].forEach((expected, index) => close(adjusted[index], expected));
+    const order = raw.map((_, index) => index).sort((a, b) => raw[a] - raw[b]);
+    order.slice(1).forEach((index, position) => assert.ok(adjusted[index] >= adjusted[order[position]]));
+    raw.forEach((pValue, index) => assert.ok(adjusted[index] >= pValue));
+    assert.deepEqual(holmAdjust([0.9, 0.8]), [1, 1]);
+});
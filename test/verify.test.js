@@ -0,0 +1,152 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseTransaction, serializeTransaction } from 'viem';
+import { VersionedTransaction } from '@solana/web3.js';
+import { DEFAULT_CONFIG } from '../utils/config.js';
+import { generateKeypair, signBytes, signSerializedTransaction } from '../utils/ed25519.js';
+import { measure } from '../utils/engine.js';
+import { InvalidSignatureError } from '../utils/errors.js';
+import { benchmarkTypedData, buildEvmTransfer, generateEvmAccount } from '../utils/evm.js';
+import { WORKLOAD_BLOCKHASH, buildSolanaTransaction, workloadParams } from '../utils/workloads.js';
+import {
+    verifyEvmMessageResult, verifyEvmTransactionResult, verifyMessageResult, verifyTransactionResult, verifyTypedDataResult
+} from '../utils/verify.js';
+
+const account = generateEvmAccount();
+const stranger = generateEvmAccount();
+
+const MESSAGE = 'Signing benchmark test message';
+const TYPED_DATA = benchmarkTypedData(account.address, { chainId: 84532, spender: stranger.address, value: 1000 });
+const TRANSFER = buildEvmTransfer({
+    chainId: 84532,
+    destinationAddress: stranger.address,
+    value: '1000',
+    nonce: 0,
+    gas: 21000,
+    maxFeePerGasGwei: '2',
+    maxPriorityFeePerGasGwei: '1'
+});
+const EXPECTED_TRANSFER = { chainId: TRANSFER.chainId, to: TRANSFER.to, value: TRANSFER.value };
+
+// Flip every bit of one byte of a 0x-prefixed hex string
+function flipByte(hex, index) {
+    const bytes = Buffer.from(hex.slice(2), 'hex');
+    bytes[index] ^= 0xff;
+    return `0x${bytes.toString('hex')}`;
+}
+
+const rejectsInvalid = promise => assert.rejects(promise, InvalidSignatureError);
+
+test('personal_sign: a valid signature verifies, corrupted ones do not', async () => {
+    const signature = await account.signMessage({ message: MESSAGE });
+
+    assert.deepEqual(await verifyEvmMessageResult(account.address, MESSAGE, { signature }), { signature });
+    // Turnkey returns bare hex
+    await verifyEvmMessageResult(account.address, MESSAGE, signature.slice(2));
+
+    await rejectsInvalid(verifyEvmMessageResult(account.address, MESSAGE, { signature: flipByte(signature, 10) }));
+    await rejectsInvalid(verifyEvmMessageResult(account.address, MESSAGE, { signature: flipByte(signature, 40) }));
+    await rejectsInvalid(verifyEvmMessageResult(stranger.address, MESSAGE, { signature }));
+    await rejectsInvalid(verifyEvmMessageResult(account.address, `${MESSAGE}!`, { signature }));
+    await rejectsInvalid(verifyEvmMessageResult(account.address, MESSAGE, { signature: signature.slice(0, -2) }));
+});
+
+test('EIP-712: a valid signature verifies, corrupted ones do not', async () => {
+    const signature = await account.signTypedData(TYPED_DATA);
+
+    assert.deepEqual(await verifyTypedDataResult(account.address, TYPED_DATA, { signature }), { signature });
+
+    await rejectsInvalid(verifyTypedDataResult(account.address, TYPED_DATA, { signature: flipByte(signature, 10) }));
+    await rejectsInvalid(verifyTypedDataResult(stranger.address, TYPED_DATA, { signature }));
+    await rejectsInvalid(verifyTypedDataResult(account.address, TYPED_DATA, { signature: await stranger.signTypedData(TYPED_DATA) }));
+    const otherChain = benchmarkTypedData(account.address, { chainId: 1, spender: stranger.address, value: 1000 });
+    await rejectsInvalid(verifyTypedDataResult(account.address, otherChain, { signature }));
+});
+
+test('EIP-1559: a valid transaction verifies, corrupted ones do not', async () => {
+    const signedTransaction = await account.signTransaction(TRANSFER);
+
+    assert.deepEqual(await verifyEvmTransactionResult(account.address, EXPECTED_TRANSFER, { signedTransaction }), { serialized: signedTransaction });
+
+    // Same transfer with a flipped byte in r
+    const { r, s, yParity } = parseTransaction(signedTransaction);
+    const flippedR = serializeTransaction(TRANSFER, { r: flipByte(r, 10), s, yParity });
+    await rejectsInvalid(verifyEvmTransactionResult(account.address, EXPECTED_TRANSFER, { signedTransaction: flippedR }));
+
+    await rejectsInvalid(verifyEvmTransactionResult(stranger.address, EXPECTED_TRANSFER, { signedTransaction }));
+    await rejectsInvalid(verifyEvmTransactionResult(account.address, EXPECTED_TRANSFER, { signedTransaction: await stranger.signTransaction(TRANSFER) }));
+    await rejectsInvalid(verifyEvmTransactionResult(account.address, { ...EXPECTED_TRANSFER, value: 1n }, { signedTransaction }));
+    await rejectsInvalid(verifyEvmTransactionResult(account.address, EXPECTED_TRANSFER, { signedTransaction: serializeTransaction(TRANSFER) }));
+    await rejectsInvalid(verifyEvmTransactionResult(account.address, EXPECTED_TRANSFER, { signedTransaction: flipByte(signedTransaction, 1) }));
+});
+
+const keypair = generateKeypair();
+const otherKeypair = generateKeypair();
+const unsignedTransfer = format => buildSolanaTransaction('transfer', keypair.address, WORKLOAD_BLOCKHASH, workloadParams(DEFAULT_CONFIG), format);
+const messageOf = serialized => VersionedTransaction.deserialize(serialized).message.serialize();
+
+test('Solana message: a valid ed25519 signature verifies, corrupted ones do not', () => {
+    const signature = signBytes(keypair.seed, Buffer.from(MESSAGE));
+
+    assert.deepEqual([...verifyMessageResult(keypair.address, MESSAGE, { signature }).signature], [...signature]);
+    // Bare bytes and the base58/base64 strings adapters return
+    verifyMessageResult(keypair.address, MESSAGE, Uint8Array.from(signature));
+    verifyMessageResult(keypair.address, MESSAGE, signature.toString('base64'));
+
+    const flipped = Buffer.from(signature);
+    flipped[0] ^= 0xff;
+    assert.throws(() => verifyMessageResult(keypair.address, MESSAGE, { signature: flipped }), InvalidSignatureError);
+    assert.throws(() => verifyMessageResult(otherKeypair.address, MESSAGE, { signature }), InvalidSignatureError);
+    assert.throws(() => verifyMessageResult(keypair.address, `${MESSAGE}!`, { signature }), InvalidSignatureError);
+    assert.throws(() => verifyMessageResult(keypair.address, MESSAGE, { signature: signature.subarray(0, 63) }), InvalidSignatureError);
+});
+
+test('Solana transaction: a valid signature verifies, corrupted ones do not', () => {
+    for (const format of ['legacy', 'v0']) {
+        const unsigned = unsignedTransfer(format);
+        const signedTransaction = signSerializedTransaction(keypair.seed, keypair.address, unsigned);
+        const expected = () => messageOf(unsigned);
+
+        verifyTransactionResult(keypair.address, { signedTransaction }, expected);
+        verifyTransactionResult(keypair.address, signedTransaction.toString('base64'), expected);
+
+        // The first signature slot follows the one-byte signature count
+        const flipped = Buffer.from(signedTransaction);
+        flipped[1] ^= 0xff;
+        assert.throws(() => verifyTransactionResult(keypair.address, { signedTransaction: flipped }, expected), InvalidSignatureError);
+        assert.throws(() => verifyTransactionResult(keypair.address, { signedTransaction: unsigned }, expected), InvalidSignatureError);
+        assert.throws(() => verifyTransactionResult(otherKeypair.address, { signedTransaction }, expected), InvalidSignatureError);
+
+        // Validly signed, but not the transaction the harness built
+        const other = buildSolanaTransaction('transfer', keypair.address, WORKLOAD_BLOCKHASH,
+            { ...workloadParams(DEFAULT_CONFIG), transferAmount: 1 }, format);
+        const signedOther = signSerializedTransaction(keypair.seed, keypair.address, other);
+        assert.throws(() => verifyTransactionResult(keypair.address, { signedTransaction: signedOther }, expected), /differs from the one submitted/);
+    }
+});
+
+test('signatures the mock corrupts are counted as invalid by measure()', async () => {
+    Object.assign(process.env, {
+        MOCK_SERVICE_ENABLED: 'true',
+        MOCK_INVALID_SIGNATURE_RATE: '1',
+        MOCK_WALLET_LATENCY: 'fixed:0',
+        MOCK_MESSAGE_LATENCY: 'fixed:0',
+        MOCK_TRANSACTION_LATENCY: 'fixed:0'
+    });
+    const mock = await import('../services/mock/index.js');
+    const wallet = await mock.createWallet(await mock.initializeService());
+
+    const message = await measure(() => mock.signMessage(wallet, MESSAGE), 5000,
+        result => verifyMessageResult(wallet.address, MESSAGE, result));
+    assert.equal(message.success, false);
+    assert.equal(message.valid, false);
+    assert.equal(message.errorClass, 'invalid_signature');
+
+    const unsigned = buildSolanaTransaction('transfer', wallet.address, WORKLOAD_BLOCKHASH, workloadParams(DEFAULT_CONFIG), 'v0');
+    const transaction = await measure(
+        () => mock.signTransaction(wallet, { format: 'v0', build: () => unsigned, blockhash: WORKLOAD_BLOCKHASH }), 5000,
+        result => verifyTransactionResult(wallet.address, result, () => messageOf(unsigned)));
+    assert.equal(transaction.success, false);
+    assert.equal(transaction.valid, false);
+    assert.equal(transaction.errorClass, 'invalid_signature');
+});
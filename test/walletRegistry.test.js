@@ -0,0 +1,70 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createPacer } from '../utils/pacing.js';
+import { activeEntry, loadRegistry, provisionWallets, registerWallet, saveRegistry, stillAvailable } from '../utils/walletRegistry.js';
+
+const WALLET = { id: 'wallet-1', address: 'Address1111111111111111111111111111111111111' };
+
+// A service whose getWallet answers with `lookup`
+function service(lookup) {
+    return {
+        walletScope: () => 'https://api.example.com|org',
+        getWallet: async () => lookup(),
+        createWallet: async () => ({ id: 'wallet-2', address: 'Address2222222222222222222222222222222222222' })
+    };
+}
+
+const statusError = status => Object.assign(new Error(`${status} from provider`), { status });
+
+test('only a definite not-found makes a registered wallet unavailable', async () => {
+    assert.equal(await stillAvailable(service(() => WALLET), WALLET), true);
+    assert.equal(await stillAvailable(service(() => ({ ...WALLET, address: 'other' })), WALLET), false);
+    assert.equal(await stillAvailable(service(() => { throw statusError(404); }), WALLET), false);
+    const turnkeyNotFound = Object.assign(new Error('Turnkey error 5: wallet not found'), { name: 'TurnkeyRequestError', code: 5 });
+    assert.equal(await stillAvailable(service(() => { throw turnkeyNotFound; }), WALLET), false);
+
+    for (const error of [statusError(500), statusError(429), new Error('fetch failed')]) {
+        await assert.rejects(stillAvailable(service(() => { throw error; }), WALLET), error);
+    }
+});
+
+test('a failed lookup keeps the registered wallet instead of retiring it', async () => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'wallet-registry-'));
+    const filepath = path.join(directory, 'registry.json');
+    const provision = async (lookup, pacers) => {
+        const module = service(lookup);
+        const registry = loadRegistry(filepath);
+        if (!activeEntry(registry, 'example', module.walletScope())) {
+            registerWallet(registry, 'example', module.walletScope(), { ...WALLET, serviceName: 'Example' });
+            saveRegistry(filepath, registry);
+        }
+        return provisionWallets({ example: { name: 'Example', module, instance: {} } }, { registry: filepath }, pacers);
+    };
+
+    try {
+        const kept = await provision(() => { throw statusError(503); });
+        assert.equal(kept.example.address, WALLET.address);
+        assert.deepEqual(loadRegistry(filepath).wallets.map(entry => entry.status), ['active']);
+
+        // A rate-limited lookup is retried by the service's pacer
+        let lookups = 0;
+        const throttledOnce = () => {
+            if (++lookups === 1) {
+                throw statusError(429);
+            }
+            return WALLET;
+        };
+        const paced = await provision(throttledOnce, { example: createPacer({ backoffMs: 1 }) });
+        assert.equal(paced.example.address, WALLET.address);
+        assert.equal(lookups, 2);
+
+        const replaced = await provision(() => { throw statusError(404); });
+        assert.notEqual(replaced.example.address, WALLET.address);
+        assert.deepEqual(loadRegistry(filepath).wallets.map(entry => entry.status), ['retired', 'active']);
+    } finally {
+        fs.rmSync(directory, { recursive: true, force: true });
+    }
+});
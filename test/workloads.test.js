@@ -0,0 +1,18 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { PACKET_DATA_SIZE, VersionedTransaction } from '@solana/web3.js';
+import { DEFAULT_CONFIG } from '../utils/config.js';
+import { generateKeypair } from '../utils/ed25519.js';
+import { WORKLOAD_BLOCKHASH, buildSolanaTransaction, workloadParams } from '../utils/workloads.js';
+
+const { address } = generateKeypair();
+
+test('the maxSize transaction fills the packet exactly in both formats', () => {
+    for (const format of ['legacy', 'v0']) {
+        const serialized = buildSolanaTransaction('maxSize', address, WORKLOAD_BLOCKHASH, workloadParams(DEFAULT_CONFIG), format);
+
+        assert.equal(serialized.length, PACKET_DATA_SIZE, format);
+        const { message } = VersionedTransaction.deserialize(serialized);
+        assert.equal(message.version, format === 'legacy' ? 'legacy' : 0);
+    }
+});
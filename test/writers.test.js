@@ -0,0 +1,126 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { budgetReport } from '../utils/budgets.js';
+import { calculateStats } from '../utils/stats.js';
+import { WRITERS } from '../utils/writers.js';
+
+const ACME = 'Acme & Co, "Signing"';
+const ERROR = 'Bad request, "payload" rejected\nsee docs';
+
+const sample = (iteration, latency, failure) => failure
+    ? { iteration, success: false, latency, errorClass: 'provider_error', error: failure }
+    : { iteration, success: true, latency, valid: true, phases: { sign: latency - 1 } };
+
+// A message-signing run: Privy signed 3 of 3, Acme 2 of 3; Privy breaches its p95 budget
+function results() {
+    const service = samples => {
+        const rawTimes = samples.filter(entry => entry.success).map(entry => entry.latency);
+        return {
+            rawTimes,
+            samples,
+            statistics: { ...calculateStats(rawTimes), successCount: rawTimes.length, failureCount: samples.length - rawTimes.length,
+                errorRate: (samples.length - rawTimes.length) / samples.length }
+        };
+    };
+    const run = {
+        timestamp: '2026-01-01T00:00:00.000Z',
+        geoLocation: { success: false },
+        config: {},
+        messageSigning: {
+            services: {
+                Privy: service([sample(1, 120), sample(2, 180), sample(3, 150)]),
+                [ACME]: service([sample(1, 90), sample(2, 95, ERROR), sample(3, 85)])
+            },
+            comparison: {}
+        }
+    };
+    run.budgets = budgetReport(run, [{ p95: 100 }, { errorRate: 0.5 }]);
+    return run;
+}
+
+// RFC 4180 fields: quoted fields may hold commas, doubled quotes and newlines
+function parseCsv(text) {
+    const rows = [[]];
+    let field = '';
+    let quoted = false;
+    for (let index = 0; index < text.length; index++) {
+        const char = text[index];
+        if (quoted) {
+            if (char === '"' && text[index + 1] === '"') {
+                field += '"';
+                index++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            rows[rows.length - 1].push(field);
+            field = '';
+        } else if (char === '\n') {
+            rows[rows.length - 1].push(field);
+            field = '';
+            rows.push([]);
+        } else {
+            field += char;
+        }
+    }
+    return rows.filter(row => row.length > 0);
+}
+
+test('CSV has a header and one row per request, with quoted fields intact', () => {
+    const [header, ...rows] = parseCsv(WRITERS.csv.write(results()));
+
+    assert.deepEqual(header.slice(0, 6), ['service', 'operation', 'iteration', 'stage', 'payload_kind', 'payload_bytes']);
+    assert.ok(header.includes('phase_sign_ms'));
+    assert.equal(rows.length, 6);
+    assert.ok(rows.every(row => row.length === header.length));
+
+    const field = (row, column) => row[header.indexOf(column)];
+    const failed = rows.find(row => field(row, 'success') === 'false');
+    assert.equal(field(failed, 'service'), ACME);
+    assert.equal(field(failed, 'error'), ERROR);
+    assert.equal(field(failed, 'error_class'), 'provider_error');
+    assert.deepEqual(rows.map(row => field(row, 'latency_ms')), ['120', '180', '150', '90', '95', '85']);
+});
+
+test('JSONL has one object per request, with the CSV columns', () => {
+    const text = WRITERS.jsonl.write(results());
+    const lines = text.trimEnd().split('\n');
+    const [header] = parseCsv(WRITERS.csv.write(results()));
+
+    assert.equal(lines.length, 6);
+    const rows = lines.map(line => JSON.parse(line));
+    assert.ok(rows.every(row => Object.keys(row).join(',') === header.join(',')));
+    assert.equal(rows[4].service, ACME);
+    assert.equal(rows[4].error, ERROR);
+});
+
+test('Markdown has a row per service and the budget outcomes', () => {
+    const text = WRITERS.markdown.write(results());
+
+    assert.match(text, /^## Signing benchmark\n/);
+    assert.match(text, /\n### Message Signing\n/);
+    assert.match(text, /\| - \| Privy \| 150\.00 \| 150\.00 \| 177\.00 \| 179\.40 \| 3\/3 \| 0\.0% \|/);
+    assert.ok(text.includes(`| ${ACME} |`));
+    assert.match(text, /\n### Budgets\n/);
+    assert.equal((text.match(/^- ❌ /gm) || []).length, 1);
+    assert.equal((text.match(/^- ✅ /gm) || []).length, 3);
+});
+
+test('JUnit and TAP fail the breached budgets', () => {
+    const xml = WRITERS.junit.write(results());
+
+    assert.match(xml, /^<\?xml version="1.0" encoding="UTF-8"\?>\n<testsuites name="signing-benchmark" tests="4" failures="1"/);
+    assert.equal((xml.match(/<testcase /g) || []).length, 4);
+    assert.equal((xml.match(/<failure /g) || []).length, 1);
+    assert.match(xml, /<testcase classname="Privy\.message" name="Privy message p95 &lt;= 100 ms">\n\s+<failure message="p95 was 177\.00 ms"/);
+    assert.ok(xml.includes('Acme &amp; Co, &quot;Signing&quot;.message'));
+    assert.ok(!xml.includes(ACME));
+
+    const tap = WRITERS.tap.write(results());
+    assert.match(tap, /^TAP version 13\n1\.\.4\n/);
+    assert.deepEqual(tap.match(/^(not )?ok \d+/gm), ['not ok 1', 'ok 2', 'ok 3', 'ok 4']);
+});
@@ -0,0 +1,83 @@
+import { calculateStats, summarizeSamples } from './stats.js';
+import { errorBreakdown } from './errors.js';
+
+// Batch signing: one sample is a whole batch of items signed for one wallet. Adapters
+// with a native batch method (e.g. Turnkey's sign_raw_payloads) sign it in one
+// call; the others sign item by item, one call after another or all at once. Each
+// batch size gets its own wall-clock and per-item (amortized) latency, and the size
+// with the lowest median per-item latency is the one the provider is most efficient at.
+
+// How batches are signed without a native batch method
+export const BATCH_FALLBACKS = ['sequential', 'parallel'];
+
+export const DEFAULT_BATCH = {
+    sizes: [1, 10, 50, 100],
+    fallback: 'parallel'
+};
+
+// Distinct messages for a batch, so no provider can answer from a cache
+export function batchMessages(message, size) {
+    return Array.from({ length: size }, (_, index) => `${message} #${index + 1}`);
+}
+
+// Sign `items` one call at a time
+export async function signSequentially(items, sign) {
+    const results = [];
+    for (const item of items) {
+        results.push(await sign(item));
+    }
+    return results;
+}
+
+// Per-item latencies of the successful batches of one size
+export function amortizedTimes(samples, size) {
+    return samples
+        .filter(sample => sample.success && sample.batchSize === size)
+        .map(sample => sample.perItem);
+}
+
+function summarizeSize(samples, size) {
+    const sized = samples.filter(sample => sample.batchSize === size);
+    const wallClock = sized.filter(sample => sample.success).map(sample => sample.latency);
+    const perItem = amortizedTimes(samples, size);
+
+    return {
+        size,
+        batches: sized.length,
+        failures: sized.length - wallClock.length,
+        wallClock: wallClock.length > 0 ? calculateStats(wallClock) : null,
+        perItem: perItem.length > 0 ? calculateStats(perItem) : null,
+        // Items signed per second at the median wall-clock time
+        throughput: wallClock.length > 0 ? size / (calculateStats(wallClock).median / 1000) : null
+    };
+}
+
+// Statistics of one service's batch samples. The headline latency figures are the
+// per-item latencies at the most efficient batch size, so services are compared at
+// their best; success and error figures count every batch of every size. `batch`
+// holds the strategy, every size's figures and the best size.
+export function summarizeBatches(samples, analysis = {}) {
+    const sizes = [...new Set(samples.map(sample => sample.batchSize))].sort((a, b) => a - b);
+    const bySize = sizes.map(size => summarizeSize(samples, size));
+    const best = bySize
+        .filter(entry => entry.perItem)
+        .sort((a, b) => a.perItem.median - b.perItem.median)[0];
+
+    const headline = best
+        ? samples.filter(sample => sample.batchSize === best.size).map(sample => ({ ...sample, latency: sample.perItem }))
+        : samples;
+    const failureCount = samples.filter(sample => !sample.success).length;
+
+    return {
+        ...summarizeSamples(headline, analysis),
+        successCount: samples.length - failureCount,
+        failureCount,
+        errorRate: samples.length > 0 ? failureCount / samples.length : 0,
+        errorBreakdown: errorBreakdown(samples),
+        batch: {
+            strategy: samples.length > 0 ? samples[0].strategy : null,
+            sizes: bySize,
+            bestSize: best ? best.size : null
+        }
+    };
+}
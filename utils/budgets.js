@@ -0,0 +1,117 @@
+import { OPERATIONS } from './engine.js';
+import { resultOperations } from './results.js';
+
+// Latency budgets. Each budget optionally narrows to one service and/or operation
+// and sets upper bounds on any of BUDGET_METRICS, e.g.
+//   { service: 'turnkey', operation: 'transaction', p95: 600, errorRate: 0.01 }
+// Latency metrics are in milliseconds, errorRate is a fraction.
+
+export const BUDGET_METRICS = ['mean', 'median', 'p50', 'p75', 'p90', 'p95', 'p99', 'p999', 'max', 'errorRate'];
+
+function matches(value, filter) {
+    return !filter || String(value).toLowerCase() === String(filter).toLowerCase();
+}
+
+// A metric value as shown next to its budget
+export function formatBudgetValue(metric, value) {
+    if (value === null || value === undefined) {
+        return 'no successful samples';
+    }
+    return metric === 'errorRate' ? `${(value * 100).toFixed(2)}%` : `${value.toFixed(2)} ms`;
+}
+
+// Human-readable form of one check, e.g. "Turnkey transaction p95 <= 600 ms"
+export function describeCheck(check) {
+    const threshold = check.metric === 'errorRate' ? `${(check.threshold * 100).toFixed(2)}%` : `${check.threshold} ms`;
+    return `${check.service} ${check.operation} ${check.metric} <= ${threshold}`;
+}
+
+// A check's measured value as shown next to its budget, or why there is none
+export function checkOutcome(check) {
+    return check.dropped ? `no results: ${check.dropped}` : formatBudgetValue(check.metric, check.actual);
+}
+
+// Evaluate every budget against a result document. A metric passes when it does
+// not exceed its threshold; a service without successful samples fails latency checks,
+// and a service dropped from the run (see `dropped` in utils/results.js) fails every
+// check, with an error rate of 1.
+export function evaluateBudgets(results, budgets = []) {
+    const checks = [];
+
+    budgets.forEach((budget, budgetIndex) => {
+        const metrics = BUDGET_METRICS.filter(metric => budget[metric] !== undefined);
+
+        for (const operationName of resultOperations(results)) {
+            if (!matches(operationName, budget.operation)) {
+                continue;
+            }
+
+            const { services, dropped = {} } = results[OPERATIONS[operationName].resultKey];
+            for (const [serviceName, { statistics }] of Object.entries(services)) {
+                if (!matches(serviceName, budget.service)) {
+                    continue;
+                }
+
+                for (const metric of metrics) {
+                    const actual = statistics[metric] ?? (metric === 'errorRate' ? 0 : null);
+                    checks.push({
+                        budget: budgetIndex,
+                        service: serviceName,
+                        operation: operationName,
+                        metric,
+                        threshold: budget[metric],
+                        actual,
+                        passed: actual !== null && actual <= budget[metric]
+                    });
+                }
+            }
+            for (const [serviceName, reason] of Object.entries(dropped)) {
+                if (!matches(serviceName, budget.service)) {
+                    continue;
+                }
+
+                for (const metric of metrics) {
+                    checks.push({
+                        budget: budgetIndex,
+                        service: serviceName,
+                        operation: operationName,
+                        metric,
+                        threshold: budget[metric],
+                        actual: metric === 'errorRate' ? 1 : null,
+                        dropped: reason,
+                        passed: false
+                    });
+                }
+            }
+        }
+    });
+
+    return checks;
+}
+
+// Budget section of a result document: every check, whether all of them passed,
+// and the budgets that matched no service/operation in the run (a typo, or a service
+// left out of the run). A budget that checks nothing cannot pass, so each unmatched
+// budget counts as one breach.
+export function budgetReport(results, budgets = []) {
+    const checks = evaluateBudgets(results, budgets);
+    const unmatched = budgets
+        .map((budget, index) => ({ index, ...budget }))
+        .filter(({ index }) => !checks.some(check => check.budget === index));
+    const breached = checks.filter(check => !check.passed).length + unmatched.length;
+
+    return {
+        passed: breached === 0,
+        breached,
+        checks,
+        unmatched
+    };
+}
+
+// Checks stored in a result document, or evaluated from its config for files without them
+export function budgetChecks(results) {
+    if (results.budgets) {
+        return results.budgets.checks;
+    }
+    return evaluateBudgets(results, (results.config && results.config.budgets) || []);
+}
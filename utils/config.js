@@ -0,0 +1,389 @@
+import { LOAD_MODES, parseStages, resolveStages } from './loadRunner.js';
+import { WRITERS } from './writers.js';
+import { CONNECTION_MODES, DEFAULT_POOL } from './connections.js';
+import { DEFAULT_PACING } from './pacing.js';
+import { BATCH_OPERATIONS, CHAIN_OPERATIONS, OPERATIONS, SOLANA_TRANSACTION_OPERATIONS, transactionOperationName } from './engine.js';
+import { EVM_NETWORKS, resolveEvmChainId } from './evm.js';
+import { TRANSACTION_FORMATS, WORKLOAD_NAMES, templateFormats } from './workloads.js';
+import { BATCH_FALLBACKS, DEFAULT_BATCH } from './batch.js';
+import { DEFAULT_SWEEP, PAYLOAD_KINDS } from './sweep.js';
+
+// Default benchmark configuration, overridable from the CLI
+export const DEFAULT_CONFIG = {
+    operations: ['message', 'transaction'],
+    concurrency: 1,
+    // Requests still pending after this many milliseconds count as timeout failures (0 disables)
+    timeoutMs: 30000,
+    // Load-testing mode: { mode: 'closed' | 'open', concurrency, rate, duration, stages, maxInFlight, degradation }
+    load: null,
+    // Bootstrap confidence intervals and significance level for service comparisons
+    analysis: {
+        confidence: 0.95,
+        bootstrapResamples: 1000,
+        alpha: 0.05,
+        // Compute latency figures without Tukey outliers (they are still counted)
+        trimOutliers: false
+    },
+    services: {
+        include: [],
+        exclude: []
+    },
+    // Connection modes to benchmark, reported side by side (see utils/connections.js);
+    // the pool settings apply to keep-alive and to each cold iteration's fresh agents
+    connections: {
+        modes: ['warm'],
+        ...DEFAULT_POOL
+    },
+    // Request pacing per service (see utils/pacing.js): maxRps is a number or
+    // { service: rps }; rate-limited calls are retried up to maxRetries times
+    pacing: { ...DEFAULT_PACING },
+    // Benchmark wallets: registry file (null: $WALLET_REGISTRY or wallet-registry.json,
+    // 'off' to always create new ones) and whether to replace the registered wallets
+    wallets: {
+        registry: null,
+        fresh: false
+    },
+    // Result writers to run after each benchmark (see WRITERS in utils/writers.js)
+    output: {
+        formats: ['json']
+    },
+    // Latency budgets: [{ service?, operation?, p95?: ms, errorRate?: fraction, ... }]
+    budgets: [],
+    message: {
+        iterations: 50,
+        warmupIterations: 5,
+        testMessage: "Hello, world! This is a benchmark test message."
+    },
+    // SOL transfer, built by the harness; `transaction` signs it as v0 and
+    // `transactionLegacy` as legacy. The destination, amount and blockhash settings
+    // apply to every Solana transaction operation.
+    transaction: {
+        iterations: 50,
+        warmupIterations: 5,
+        destinationAddress: "9WzDXwBbmkg8ZTbNMqUxvQRAyrZzDsGYdLVL9zYtAWWM",
+        transferAmount: 10000,
+        // Fetch the blockhash outside the timed section instead of inside each request
+        prefetchBlockhash: false
+    },
+    // Wallet lifecycle operations, run only when listed in `operations`. Each
+    // createWallet iteration provisions a real wallet, hence the low defaults.
+    createWallet: {
+        iterations: 10,
+        warmupIterations: 1
+    },
+    getWallet: {
+        iterations: 50,
+        warmupIterations: 5
+    },
+    listWallets: {
+        iterations: 20,
+        warmupIterations: 2
+    },
+    // EVM network the EVM operations sign for (chain ID; see EVM_NETWORKS in utils/evm.js)
+    evm: {
+        chainId: EVM_NETWORKS['base-sepolia']
+    },
+    // personal_sign (EIP-191)
+    evmMessage: {
+        iterations: 50,
+        warmupIterations: 5,
+        testMessage: "Hello, world! This is a benchmark test message."
+    },
+    // EIP-712 permit for `value` tokens to `spender`
+    evmTypedData: {
+        iterations: 50,
+        warmupIterations: 5,
+        spender: "0x70997970C51812dc3A010C7d01b50e0d17dc79C8",
+        value: 1000000
+    },
+    // EIP-1559 transfer of `value` wei. Nonce, gas and fees are fixed rather than
+    // fetched, so every provider signs the same transaction and no RPC call is timed.
+    evmTransaction: {
+        iterations: 50,
+        warmupIterations: 5,
+        destinationAddress: "0x70997970C51812dc3A010C7d01b50e0d17dc79C8",
+        value: "10000000000000",
+        nonce: 0,
+        gas: 21000,
+        maxFeePerGasGwei: 2,
+        maxPriorityFeePerGasGwei: 1
+    },
+    evmCreateWallet: {
+        iterations: 10,
+        warmupIterations: 1
+    },
+    // Solana transaction workloads (see utils/workloads.js), run only when listed in
+    // `operations`. They transfer to transaction.destinationAddress, SOL amounts are
+    // transaction.transferAmount and the token is devnet USDC.
+    workloads: {
+        mint: "4zMMC9srt5Ri5X14GAgXhaHii3GnPAEERYPJgZJDncDU",
+        decimals: 6,
+        tokenAmount: 1000000,
+        computeUnitLimit: 200000,
+        computeUnitPriceMicroLamports: 5000,
+        // SOL transfers in multiInstruction, and lookup-table recipients in lookupTable
+        transfers: 6,
+        lookupTableAddresses: 24
+    },
+    // The workloads and the legacy variants of every Solana transaction operation
+    ...Object.fromEntries(SOLANA_TRANSACTION_OPERATIONS
+        .filter(name => name !== 'transaction')
+        .map(name => [name, { iterations: 50, warmupIterations: 5 }])),
+    // Batch signing (see utils/batch.js), run only when listed in `operations`.
+    // Iterations are per batch size; the fallback applies to services without a
+    // native batch method.
+    batch: { ...DEFAULT_BATCH },
+    ...Object.fromEntries(BATCH_OPERATIONS.map(name => [name, { iterations: 10, warmupIterations: 1 }])),
+    // Message payload size sweep (see utils/sweep.js), run only when listed in
+    // `operations`. Iterations are per payload kind and size.
+    sweep: { ...DEFAULT_SWEEP },
+    messageSweep: { iterations: 5, warmupIterations: 1 }
+};
+
+function parseList(value) {
+    if (!value) {
+        return [];
+    }
+    return value.split(',').map(item => item.trim()).filter(Boolean);
+}
+
+function parseCount(value, flag) {
+    const count = Number(value);
+    if (!Number.isInteger(count) || count < 0) {
+        throw new Error(`${flag} must be a non-negative integer (got "${value}")`);
+    }
+    return count;
+}
+
+function parsePositive(value, flag) {
+    const number = Number(value);
+    if (!(number > 0)) {
+        throw new Error(`${flag} must be a positive number (got "${value}")`);
+    }
+    return number;
+}
+
+// --max-rps is one rate for every service or a list of service=rate pairs
+function parseMaxRps(value) {
+    if (!value.includes('=')) {
+        return parsePositive(value, '--max-rps');
+    }
+    return Object.fromEntries(parseList(value).map(pair => {
+        const [service, rate] = pair.split('=').map(part => part.trim());
+        if (!service || rate === undefined) {
+            throw new Error(`--max-rps must be a rate or service=rate pairs (got "${pair}")`);
+        }
+        return [service, parsePositive(rate, `--max-rps ${service}`)];
+    }));
+}
+
+// Apply load-mode flags and fill in defaults for the load config
+function buildLoadConfig(flags, config) {
+    if (flags.load !== undefined) {
+        if (!LOAD_MODES.includes(flags.load)) {
+            throw new Error(`--load must be one of ${LOAD_MODES.join(', ')} (got "${flags.load}")`);
+        }
+        config.load = { ...config.load, mode: flags.load };
+    }
+
+    if (!config.load) {
+        return;
+    }
+
+    const load = config.load;
+    if (flags.rate !== undefined) load.rate = parsePositive(flags.rate, '--rate');
+    if (flags.duration !== undefined) load.duration = parsePositive(flags.duration, '--duration');
+    if (flags.stages !== undefined) load.stages = parseStages(flags.stages, load.mode);
+    if (flags['max-in-flight'] !== undefined) load.maxInFlight = parsePositive(flags['max-in-flight'], '--max-in-flight');
+    if (flags.concurrency !== undefined) load.concurrency = config.concurrency;
+
+    load.duration = load.duration ?? 30;
+    if (load.mode === 'closed') {
+        load.concurrency = load.concurrency ?? config.concurrency;
+    }
+
+    // Fail early on an unusable stage list
+    resolveStages(load);
+}
+
+// Build a benchmark config from parsed CLI flags
+export function buildConfig(flags = {}, baseConfig = DEFAULT_CONFIG) {
+    const config = structuredClone(baseConfig);
+
+    if (flags.operation && flags.operation !== 'all') {
+        config.operations = parseList(flags.operation);
+    }
+    if (flags.chain !== undefined) {
+        if (flags.operation) {
+            throw new Error('--chain picks the operations to run and cannot be combined with --operation');
+        }
+        const chains = parseList(flags.chain);
+        const unknown = chains.find(chain => !CHAIN_OPERATIONS[chain]);
+        if (unknown || chains.length === 0) {
+            throw new Error(`--chain must list chains from ${Object.keys(CHAIN_OPERATIONS).join(', ')} (got "${unknown ?? ''}")`);
+        }
+        config.operations = [...new Set(chains.flatMap(chain => CHAIN_OPERATIONS[chain]))];
+    }
+    if (flags.workload !== undefined) {
+        const workloads = flags.workload === 'all' ? WORKLOAD_NAMES : parseList(flags.workload);
+        const unknown = workloads.find(name => !WORKLOAD_NAMES.includes(name));
+        if (unknown || workloads.length === 0) {
+            throw new Error(`--workload must list workloads from ${WORKLOAD_NAMES.join(', ')} or be "all" (got "${unknown ?? ''}")`);
+        }
+        // Added to the operations picked with --operation or --chain, else run on their own
+        const picked = flags.operation || flags.chain !== undefined ? config.operations : [];
+        config.operations = [...new Set([...picked, ...workloads])];
+    }
+    if (flags['tx-format'] !== undefined) {
+        const formats = parseList(flags['tx-format']);
+        const unknown = formats.find(format => !TRANSACTION_FORMATS.includes(format));
+        if (unknown || formats.length === 0) {
+            throw new Error(`--tx-format must list formats from ${TRANSACTION_FORMATS.join(', ')} (got "${unknown ?? ''}")`);
+        }
+        // Every Solana transaction operation becomes one per format it can be built in
+        config.operations = [...new Set(config.operations.flatMap(name => {
+            const operation = OPERATIONS[name];
+            if (!operation || !operation.template) {
+                return [name];
+            }
+            return formats
+                .filter(format => templateFormats(operation.template).includes(format))
+                .map(format => transactionOperationName(operation.template, format, Boolean(operation.batch)));
+        }))];
+    }
+    if (flags['evm-chain'] !== undefined) {
+        config.evm = { ...config.evm, chainId: resolveEvmChainId(flags['evm-chain']) };
+    }
+
+    if (flags.concurrency !== undefined) {
+        config.concurrency = parseCount(flags.concurrency, '--concurrency');
+        if (config.concurrency < 1) {
+            throw new Error('--concurrency must be at least 1');
+        }
+    }
+
+    if (flags.alpha !== undefined) {
+        config.analysis = { ...config.analysis, alpha: parsePositive(flags.alpha, '--alpha') };
+    }
+    if (flags['trim-outliers']) {
+        config.analysis = { ...config.analysis, trimOutliers: true };
+    }
+    if (flags.timeout !== undefined) {
+        config.timeoutMs = parseCount(flags.timeout, '--timeout');
+    }
+
+    buildLoadConfig(flags, config);
+
+    if (flags.output !== undefined) {
+        const formats = parseList(flags.output);
+        const unknown = formats.find(format => !WRITERS[format]);
+        if (unknown) {
+            throw new Error(`--output must list formats from ${Object.keys(WRITERS).join(', ')} (got "${unknown}")`);
+        }
+        config.output = { ...config.output, formats };
+    }
+
+    if (flags['connection-modes'] !== undefined) {
+        const modes = parseList(flags['connection-modes']);
+        const unknown = modes.find(mode => !CONNECTION_MODES.includes(mode));
+        if (unknown || modes.length === 0) {
+            throw new Error(`--connection-modes must list modes from ${CONNECTION_MODES.join(', ')} (got "${unknown ?? ''}")`);
+        }
+        config.connections = { ...config.connections, modes: [...new Set(modes)] };
+    }
+    if (config.load && config.connections.modes.includes('cold')) {
+        throw new Error('The cold connection mode runs iterations one at a time and cannot be combined with a load test');
+    }
+
+    if (flags['batch-sizes'] !== undefined) {
+        config.batch = { ...config.batch, sizes: parseList(flags['batch-sizes']).map(size => parsePositive(size, '--batch-sizes')) };
+    }
+    if (flags['batch-fallback'] !== undefined) {
+        if (!BATCH_FALLBACKS.includes(flags['batch-fallback'])) {
+            throw new Error(`--batch-fallback must be one of ${BATCH_FALLBACKS.join(', ')} (got "${flags['batch-fallback']}")`);
+        }
+        config.batch = { ...config.batch, fallback: flags['batch-fallback'] };
+    }
+    const batchOperations = config.operations.filter(name => BATCH_OPERATIONS.includes(name));
+    if (batchOperations.length > 0) {
+        if (config.batch.sizes.length === 0 || config.batch.sizes.some(size => !Number.isInteger(size))) {
+            throw new Error('--batch-sizes must list whole batch sizes');
+        }
+        if (config.load || config.connections.modes.some(mode => mode !== 'warm')) {
+            throw new Error(`${batchOperations.join(', ')} ${batchOperations.length === 1 ? 'runs' : 'run'} warm only and cannot be combined with a load test or other connection modes`);
+        }
+    }
+
+    if (flags['sweep-kinds'] !== undefined) {
+        const kinds = parseList(flags['sweep-kinds']);
+        const unknown = kinds.find(kind => !PAYLOAD_KINDS.includes(kind));
+        if (unknown || kinds.length === 0) {
+            throw new Error(`--sweep-kinds must list payload kinds from ${PAYLOAD_KINDS.join(', ')} (got "${unknown ?? ''}")`);
+        }
+        config.sweep = { ...config.sweep, kinds: [...new Set(kinds)] };
+    }
+    if (flags['sweep-max'] !== undefined) {
+        config.sweep = { ...config.sweep, maxBytes: parseCount(flags['sweep-max'], '--sweep-max') };
+    }
+    if (config.operations.includes('messageSweep')) {
+        const { minBytes, maxBytes, factor } = config.sweep;
+        if (!Number.isInteger(minBytes) || minBytes < 1 || !Number.isInteger(maxBytes) || maxBytes < minBytes) {
+            throw new Error(`The sweep needs whole byte sizes with maxBytes at least minBytes (${minBytes}, got ${maxBytes})`);
+        }
+        if (!(factor > 1)) {
+            throw new Error(`The sweep's size factor must be greater than 1 (got ${factor})`);
+        }
+        if (config.load || config.connections.modes.some(mode => mode !== 'warm')) {
+            throw new Error('messageSweep runs warm only and cannot be combined with a load test or other connection modes');
+        }
+    }
+
+    if (flags['max-rps'] !== undefined) {
+        config.pacing = { ...config.pacing, maxRps: parseMaxRps(flags['max-rps']) };
+    }
+    if (flags['max-retries'] !== undefined) {
+        config.pacing = { ...config.pacing, maxRetries: parseCount(flags['max-retries'], '--max-retries') };
+    }
+
+    if (flags['wallet-registry'] !== undefined) {
+        config.wallets = { ...config.wallets, registry: flags['wallet-registry'] };
+    }
+    if (flags['fresh-wallets']) {
+        config.wallets = { ...config.wallets, fresh: true };
+    }
+
+    if (flags.include) {
+        config.services.include = parseList(flags.include);
+    }
+    if (flags.exclude) {
+        config.services.exclude = parseList(flags.exclude);
+    }
+
+    for (const operation of config.operations) {
+        if (!OPERATIONS[operation]) {
+            throw new Error(`Unknown operation "${operation}" (expected one of ${Object.keys(OPERATIONS).join(', ')})`);
+        }
+        if (flags.iterations !== undefined) {
+            config[operation].iterations = parseCount(flags.iterations, '--iterations');
+        }
+        if (flags.warmup !== undefined) {
+            config[operation].warmupIterations = parseCount(flags.warmup, '--warmup');
+        }
+    }
+
+    if (flags.message !== undefined) {
+        config.message.testMessage = flags.message;
+        config.evmMessage.testMessage = flags.message;
+    }
+    if (flags.amount !== undefined) {
+        config.transaction.transferAmount = parseCount(flags.amount, '--amount');
+    }
+    if (flags.destination !== undefined) {
+        config.transaction.destinationAddress = flags.destination;
+    }
+    if (flags['prefetch-blockhash']) {
+        config.transaction.prefetchBlockhash = true;
+    }
+
+    return config;
+}
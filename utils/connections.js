@@ -0,0 +1,73 @@
+import http from 'http';
+import https from 'https';
+import { Agent, getGlobalDispatcher, setGlobalDispatcher } from 'undici';
+
+// Connection handling for the provider SDKs. None of them take an agent from the
+// caller, so the process-wide ones are swapped instead: http/https.globalAgent for
+// the http-module clients (axios, cross-fetch) and undici's global dispatcher for
+// fetch.
+//
+// Modes:
+//   warm        the SDKs' own clients and Node's default agents, after the warmup
+//   cold        every iteration constructs a new client (initializeService) on a
+//               fresh agent, so each measurement is a time-to-first-signature
+//   keep-alive  explicitly pooled keep-alive agents, primed by the warmup
+
+export const CONNECTION_MODES = ['warm', 'cold', 'keep-alive'];
+
+export const DEFAULT_POOL = {
+    maxSockets: 16,
+    keepAliveMs: 60000
+};
+
+function installAgents({ keepAlive, maxSockets, keepAliveMs }) {
+    const options = { keepAlive, maxSockets, maxFreeSockets: maxSockets, timeout: keepAliveMs, scheduling: 'lifo' };
+    const agents = {
+        http: new http.Agent(options),
+        https: new https.Agent(options),
+        dispatcher: new Agent({ connections: maxSockets, keepAliveTimeout: keepAliveMs, keepAliveMaxTimeout: keepAliveMs })
+    };
+
+    http.globalAgent = agents.http;
+    https.globalAgent = agents.https;
+    setGlobalDispatcher(agents.dispatcher);
+    return agents;
+}
+
+async function destroyAgents(agents) {
+    agents.http.destroy();
+    agents.https.destroy();
+    await agents.dispatcher.destroy();
+}
+
+// Switch to a connection mode until close(). fresh() gives a cold iteration new
+// agents, dropping every connection the previous one opened.
+export function openConnectionMode(mode, pool = DEFAULT_POOL) {
+    if (!CONNECTION_MODES.includes(mode)) {
+        throw new Error(`Unknown connection mode "${mode}" (expected one of ${CONNECTION_MODES.join(', ')})`);
+    }
+
+    const original = { http: http.globalAgent, https: https.globalAgent, dispatcher: getGlobalDispatcher() };
+    const { maxSockets, keepAliveMs } = { ...DEFAULT_POOL, ...pool };
+    let agents = mode === 'keep-alive' ? installAgents({ keepAlive: true, maxSockets, keepAliveMs }) : null;
+
+    return {
+        mode,
+        async fresh() {
+            if (agents) {
+                await destroyAgents(agents);
+            }
+            // Requests within one iteration may still share the iteration's connections
+            agents = installAgents({ keepAlive: true, maxSockets, keepAliveMs });
+        },
+        async close() {
+            http.globalAgent = original.http;
+            https.globalAgent = original.https;
+            setGlobalDispatcher(original.dispatcher);
+            if (agents) {
+                await destroyAgents(agents);
+                agents = null;
+            }
+        }
+    };
+}
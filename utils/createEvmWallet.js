@@ -0,0 +1,49 @@
+import {
+    TurnkeyActivityError,
+  } from "@turnkey/sdk-server";
+  import * as crypto from "crypto";
+  
+  // Returns { walletId, address } for a new Turnkey wallet with one Ethereum account
+  // (the same address on every EVM chain). Like createNewSolanaWallet it runs inside
+  // timed wallet-creation iterations, so it does not log and throws on bad responses.
+  export async function createNewEvmWallet(client) {
+    const walletName = `Benchmark EVM Wallet ${crypto.randomBytes(2).toString("hex")}`;
+  
+    try {
+      const response = await client.createWallet({
+        walletName,
+        accounts: [
+          {
+            pathFormat: "PATH_FORMAT_BIP32",
+            // https://github.com/satoshilabs/slips/blob/master/slip-0044.md
+            path: "m/44'/60'/0'/0/0",
+            curve: "CURVE_SECP256K1",
+            addressFormat: "ADDRESS_FORMAT_ETHEREUM",
+          },
+        ],
+      });
+  
+      const walletId = response.walletId;
+      if (!walletId) {
+        throw new Error("response doesn't contain a valid wallet ID");
+      }
+  
+      const address = response.addresses[0];
+      if (!address) {
+        throw new Error("response doesn't contain a valid address");
+      }
+  
+      return { walletId, address };
+    } catch (error) {
+      if (error instanceof TurnkeyActivityError) {
+        throw error;
+      }
+  
+      throw new TurnkeyActivityError({
+        message: `Failed to create a new EVM wallet: ${
+          error.message
+        }`,
+        cause: error,
+      });
+    }
+  }
@@ -3,10 +3,10 @@ import {
   } from "@turnkey/sdk-server";
   import * as crypto from "crypto";
   
+  // Returns { walletId, address }. Runs inside timed wallet-creation iterations, so it
+  // does not log and reports bad responses by throwing.
   export async function createNewSolanaWallet(client) {
-    console.log("creating a new Solana wallet in your Turnkey organization...\n");
-  
-    const walletName = `Solana Wallet ${crypto.randomBytes(2).toString("hex")}`;
+    const walletName = `Benchmark Wallet ${crypto.randomBytes(2).toString("hex")}`;
   
     try {
       const response = await client.createWallet({
@@ -24,25 +24,15 @@ import {
   
       const walletId = response.walletId;
       if (!walletId) {
-        console.error("response doesn't contain a valid wallet ID");
-        process.exit(1);
+        throw new Error("response doesn't contain a valid wallet ID");
       }
   
       const address = response.addresses[0];
       if (!address) {
-        console.error("response doesn't contain a valid address");
-        process.exit(1);
+        throw new Error("response doesn't contain a valid address");
       }
   
-      console.log(
-        [
-          `New Solana wallet created!`,
-          `- Name: ${walletName}`,
-          `- Wallet ID: ${walletId}`,
-          `- Solana address: ${address}`,
-        ].join("\n"),
-      );
-      return address;
+      return { walletId, address };
     } catch (error) {
       // If needed, you can read from `TurnkeyActivityError` to find out why the activity didn't succeed
       if (error instanceof TurnkeyActivityError) {
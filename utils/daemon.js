@@ -0,0 +1,118 @@
+import http from 'http';
+import { getGeoLocation } from './geoLocation.js';
+import { OPERATIONS, prepareServices, runOperations } from './engine.js';
+import { buildResults, saveResults, resultOperations } from './results.js';
+import { createMetricsStore, recordRun, recordFailedRun, renderMetrics } from './metrics.js';
+
+// Continuous benchmarking. Services are prepared once, then benchmarked every
+// `intervalMinutes`; results accumulate in a metrics store served at /metrics.
+
+export const DEFAULT_DAEMON = {
+    intervalMinutes: 15,
+    port: 9464,
+    host: '0.0.0.0'
+};
+
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+// One line per service and operation instead of the full results table
+function logRun(results) {
+    for (const operationName of resultOperations(results)) {
+        for (const [serviceName, { statistics }] of Object.entries(results[OPERATIONS[operationName].resultKey].services)) {
+            const median = statistics.median != null ? `${statistics.median.toFixed(2)} ms median` : 'no successful requests';
+            console.log(`   • ${OPERATIONS[operationName].label} / ${serviceName}: ${median}, ${((statistics.errorRate ?? 0) * 100).toFixed(1)}% errors`);
+        }
+    }
+}
+
+// Start the scheduler and the /metrics server. Resolves once the server listens with
+// { port, store, stop() }; stop() lets a run in progress finish before closing.
+export async function startDaemon(config, options = {}) {
+    const { intervalMinutes, port, host, save } = { ...DEFAULT_DAEMON, ...options };
+    const intervalMs = intervalMinutes * 60000;
+    const store = createMetricsStore();
+
+    const prepared = await prepareServices(config);
+
+    const server = http.createServer((request, response) => {
+        const { pathname } = new URL(request.url, 'http://localhost');
+        if (request.method === 'GET' && pathname === '/metrics') {
+            response.writeHead(200, { 'Content-Type': CONTENT_TYPE });
+            response.end(renderMetrics(store));
+        } else if (request.method === 'GET' && pathname === '/healthz') {
+            response.writeHead(200, { 'Content-Type': 'text/plain' });
+            response.end('ok\n');
+        } else {
+            response.writeHead(404, { 'Content-Type': 'text/plain' });
+            response.end('not found\n');
+        }
+    });
+
+    await new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(port, host, resolve);
+    });
+    const address = server.address();
+    console.log(`📡 Serving metrics on http://${host}:${address.port}/metrics (every ${intervalMinutes} min)`);
+
+    let timer = null;
+    let current = null;
+    let stopping = false;
+
+    async function runOnce() {
+        const startedAt = Date.now();
+        console.log(`\n⏱️  Benchmark run started at ${new Date(startedAt).toISOString()}`);
+
+        try {
+            // Looked up per run so the region/ISP labels follow the host if it moves
+            const geoLocation = await getGeoLocation();
+            const measurements = await runOperations(config, prepared);
+            const results = buildResults(measurements, config, geoLocation);
+
+            recordRun(store, results, Date.now() - startedAt);
+            logRun(results);
+            if (save) {
+                saveResults(results, undefined, config.output.formats);
+            }
+        } catch (error) {
+            recordFailedRun(store, Date.now() - startedAt);
+            console.error('❌ Benchmark run failed:', error.message);
+        }
+    }
+
+    // Fixed-rate schedule without overlap: a run that overruns the interval is
+    // followed immediately by the next one
+    function schedule(startedAt) {
+        if (stopping) {
+            return;
+        }
+        const delay = Math.max(0, startedAt + intervalMs - Date.now());
+        timer = setTimeout(() => {
+            const nextStart = Date.now();
+            current = runOnce().finally(() => {
+                current = null;
+                schedule(nextStart);
+            });
+        }, delay);
+    }
+
+    const firstStart = Date.now();
+    current = runOnce().finally(() => {
+        current = null;
+        schedule(firstStart);
+    });
+
+    return {
+        port: address.port,
+        store,
+        async stop() {
+            stopping = true;
+            clearTimeout(timer);
+            if (current) {
+                console.log('⏳ Waiting for the current run to finish...');
+                await current;
+            }
+            await new Promise(resolve => server.close(resolve));
+        }
+    };
+}
@@ -0,0 +1,554 @@
+import { LAMPORTS_PER_SOL } from '@solana/web3.js';
+import { OPERATIONS } from './engine.js';
+import { resultOperations } from './results.js';
+import { TRANSACTION_PHASES } from './phases.js';
+import { checkOutcome, describeCheck } from './budgets.js';
+import { NETWORK_TIMINGS } from './network.js';
+import { evmNetworkName } from './evm.js';
+import { SOLANA_TEMPLATES, describeTransaction } from './workloads.js';
+import { describeSweepLimit, sweepSizes } from './sweep.js';
+import { walletScope, entryChain } from './walletRegistry.js';
+
+function displayLocation(timestamp, geoLocation) {
+    console.log(`⏰ UTC Time: ${timestamp}`);
+
+    if (geoLocation && geoLocation.success) {
+        console.log(`🌍 Location: ${geoLocation.city}, ${geoLocation.region}, ${geoLocation.country} (${geoLocation.countryCode})`);
+        console.log(`📍 Coordinates: ${geoLocation.lat}, ${geoLocation.lon}`);
+        console.log(`🕰️  Timezone: ${geoLocation.timezone}`);
+        console.log(`🌐 ISP: ${geoLocation.isp}`);
+    } else {
+        console.log("🌍 Location: Unable to determine location");
+        if (geoLocation && geoLocation.error) {
+            console.log(`   Error: ${geoLocation.error}`);
+        }
+    }
+    console.log("");
+}
+
+function displayConfig(config, operationNames) {
+    console.log(`📋 Test Configuration:`);
+
+    if (config.scenario) {
+        console.log(`   • Scenario: ${config.scenario.name}${config.scenario.description ? ` - ${config.scenario.description}` : ''}`);
+    }
+    if (config.load) {
+        const level = config.load.mode === 'open' ? `${config.load.rate} req/s` : `concurrency ${config.load.concurrency}`;
+        const shape = config.load.stages ? `${config.load.stages.length} stage(s)` : `${level} for ${config.load.duration}s`;
+        console.log(`   • Load: ${config.load.mode} loop, ${shape}`);
+    } else if (config.concurrency > 1) {
+        console.log(`   • Concurrency: ${config.concurrency}`);
+    }
+
+    if (config.connections && config.connections.modes.join() !== 'warm') {
+        console.log(`   • Connection modes: ${config.connections.modes.join(', ')}`);
+    }
+
+    if (config.pacing && config.pacing.maxRps) {
+        const maxRps = typeof config.pacing.maxRps === 'number'
+            ? `${config.pacing.maxRps} req/s per service`
+            : Object.entries(config.pacing.maxRps).map(([service, rps]) => `${service} ${rps} req/s`).join(', ');
+        console.log(`   • Max RPS: ${maxRps}`);
+    }
+
+    if (config.services && (config.services.include.length || config.services.exclude.length)) {
+        if (config.services.include.length) console.log(`   • Services: ${config.services.include.join(', ')}`);
+        if (config.services.exclude.length) console.log(`   • Excluded: ${config.services.exclude.join(', ')}`);
+    }
+
+    for (const operationName of operationNames) {
+        const operationConfig = config[operationName];
+        console.log(`   ${OPERATIONS[operationName].emoji} ${OPERATIONS[operationName].label}:`);
+        if (!config.load) {
+            console.log(`      • Iterations: ${operationConfig.iterations}`);
+        }
+        console.log(`      • Warmup: ${operationConfig.warmupIterations}`);
+
+        if (operationName === 'message' || operationName === 'evmMessage') {
+            console.log(`      • Message: "${operationConfig.testMessage}"`);
+        }
+        if (OPERATIONS[operationName].batch) {
+            console.log(`      • Batch sizes: ${config.batch.sizes.join(', ')} (iterations per size; ${config.batch.fallback} single calls without a native batch method)`);
+        }
+        if (operationName === 'messageBatch') {
+            console.log(`      • Messages: "${config.message.testMessage} #1" ... "#n"`);
+        }
+        if (OPERATIONS[operationName].sweep) {
+            const sizes = sweepSizes(config.sweep);
+            console.log(`      • Payloads: ${config.sweep.kinds.join(', ')} (iterations per kind and size)`);
+            console.log(`      • Sizes: ${sizes.join(', ')} bytes${config.sweep.refine ? ' (a rejected size is bisected down to the exact limit)' : ''}`);
+        }
+        if (OPERATIONS[operationName].chain === 'evm') {
+            console.log(`      • Network: ${evmNetworkName(config.evm.chainId)}`);
+        }
+        if (operationName === 'evmTransaction') {
+            console.log(`      • Value: ${operationConfig.value} wei to ${operationConfig.destinationAddress} (EIP-1559, nonce ${operationConfig.nonce}, max fee ${operationConfig.maxFeePerGasGwei} gwei)`);
+        }
+        const { template, format } = OPERATIONS[operationName];
+        if (template === 'transfer') {
+            const { transferAmount, destinationAddress, prefetchBlockhash } = config.transaction;
+            console.log(`      • Amount: ${transferAmount} lamports (${transferAmount / LAMPORTS_PER_SOL} SOL)`);
+            console.log(`      • Destination: ${destinationAddress}`);
+            console.log(`      • Blockhash: ${prefetchBlockhash ? 'prefetched outside the timed section' : 'fetched inside each request'}`);
+        } else if (template) {
+            console.log(`      • Workload: ${SOLANA_TEMPLATES[template].description}`);
+        }
+        if (template) {
+            const { bytes, instructions, lookupTables } = describeTransaction(template, config, format);
+            console.log(`      • Size: ${bytes} bytes, ${instructions} instruction(s)${lookupTables ? `, ${lookupTables} lookup table(s)` : ''} (${format}, built by the harness, same bytes for every service)`);
+        }
+    }
+    console.log("");
+}
+
+function formatBreakdown(breakdown = {}) {
+    return Object.entries(breakdown).map(([errorClass, count]) => `${errorClass} ×${count}`).join(', ');
+}
+
+// Success count and error classes; older result files carry no failure accounting
+function displayFailures(stats) {
+    if (stats.successCount === undefined) {
+        return;
+    }
+
+    const total = stats.successCount + stats.failureCount;
+    const successRate = total > 0 ? (stats.successCount / total) * 100 : 0;
+    const errors = stats.failureCount > 0 ? ` | Errors: ${formatBreakdown(stats.errorBreakdown)}` : '';
+    console.log(`   • Success:    ${stats.successCount}/${total} (${successRate.toFixed(1)}%)${errors}`);
+}
+
+// Percentiles and spread figures added to calculateStats (absent from older result files)
+function displayDistribution(stats) {
+    console.log(`   • Percentiles: 50th ${stats.p50.toFixed(2)} | 75th ${stats.p75.toFixed(2)} | 90th ${stats.p90.toFixed(2)} | 99.9th ${stats.p999.toFixed(2)} ms`);
+    const cv = stats.coefficientOfVariation === null ? 'n/a' : `${(stats.coefficientOfVariation * 100).toFixed(1)}%`;
+    console.log(`   • Spread:     IQR ${stats.iqr.toFixed(2)} ms | MAD ${stats.mad.toFixed(2)} ms | CV ${cv}`);
+
+    const { outliers } = stats;
+    const trimmed = stats.trimmedOutliers !== undefined ? ' (left out of the figures above)' : '';
+    console.log(`   • Outliers:   ${outliers.count} outside [${outliers.lowerFence.toFixed(2)}, ${outliers.upperFence.toFixed(2)}] ms${trimmed}`);
+}
+
+function displayConfidenceIntervals(intervals) {
+    const format = ({ lower, upper }) => `[${lower.toFixed(2)}, ${upper.toFixed(2)}]`;
+    const level = `${Math.round(intervals.confidence * 100)}% CI`;
+    console.log(`   • ${level}:     mean ${format(intervals.mean)} | median ${format(intervals.median)} | 95th ${format(intervals.p95)} ms`);
+}
+
+// Sub-phase breakdown (blockhash fetch, build, provider signing call)
+function displayPhases(phases) {
+    const ordered = ['init', ...TRANSACTION_PHASES];
+    const phaseNames = [
+        ...ordered.filter(phase => phases[phase]),
+        ...Object.keys(phases).filter(phase => !ordered.includes(phase))
+    ];
+
+    console.log(`   ⏱️  Phases (mean | median | 95th %ile):`);
+    phaseNames.forEach(phase => {
+        const stats = phases[phase];
+        console.log(`      • ${phase.padEnd(10)} ${stats.mean.toFixed(2)} | ${stats.median.toFixed(2)} | ${stats.p95.toFixed(2)} ms`);
+    });
+}
+
+// Network breakdown of the provider HTTP requests (DNS, TCP, TLS, TTFB, transfer)
+function displayNetwork(network) {
+    console.log(`   🌐 Network per call (mean | median | 95th %ile; dns/connect/tls only when a connection was opened):`);
+    NETWORK_TIMINGS.filter(name => network[name]).forEach(name => {
+        const stats = network[name];
+        console.log(`      • ${name.padEnd(10)} ${stats.mean.toFixed(2)} | ${stats.median.toFixed(2)} | ${stats.p95.toFixed(2)} ms${['dns', 'connect', 'tls'].includes(name) ? ` (${stats.count} call(s))` : ''}`);
+    });
+    console.log(`      • ${'requests'.padEnd(10)} ${network.requestsPerCall.toFixed(1)} per call | new connection on ${(network.newConnectionRate * 100).toFixed(1)}% of calls`);
+}
+
+// Throttle events and retries, with first-attempt latency apart from the headline
+// figures (which include the time spent waiting out rate limits and retrying)
+function displayThrottling(throttling) {
+    const format = stats => stats ? `median ${stats.median.toFixed(2)} ms | 95th ${stats.p95.toFixed(2)} ms (${stats.count})` : 'none';
+    const sources = Object.entries(throttling.sources).map(([source, count]) => `${source} ×${count}`).join(', ');
+
+    console.log(`   🚦 Throttled: ${throttling.throttledCalls} call(s) (${(throttling.throttledRate * 100).toFixed(1)}%) | ${throttling.events} throttle event(s), ${throttling.retries} retried, ${throttling.recovered} recovered`);
+    if (throttling.waitMs) {
+        console.log(`      • Wait:          mean ${throttling.waitMs.mean.toFixed(2)} ms | max ${throttling.waitMs.max.toFixed(2)} ms | from ${sources}`);
+    }
+    console.log(`      • First attempt: ${format(throttling.firstAttempt)}`);
+    console.log(`      • With retries:  ${format(throttling.retried)}`);
+}
+
+function displayLoad(load) {
+    const level = stage => stage.offeredRate !== undefined ? `${stage.offeredRate} req/s offered` : `concurrency ${stage.concurrency}`;
+
+    console.log(`   📈 Load (${load.mode} loop, ${load.durationSeconds.toFixed(1)} s):`);
+    console.log(`      • Throughput: ${load.throughput.toFixed(2)} req/s | Requests: ${load.requests} | Errors: ${load.errors} (${(load.errorRate * 100).toFixed(1)}%)`);
+    if (load.errors > 0 && load.errorBreakdown) {
+        console.log(`      • Error classes: ${formatBreakdown(load.errorBreakdown)}`);
+    }
+    if (load.queueDelay) {
+        console.log(`      • Queue delay: mean ${load.queueDelay.mean.toFixed(2)} ms | 95th ${load.queueDelay.p95.toFixed(2)} ms`);
+    }
+
+    load.stages.forEach(stage => {
+        const latency = stage.latency
+            ? `median ${stage.latency.median.toFixed(2)} ms | 95th ${stage.latency.p95.toFixed(2)} ms | 99th ${stage.latency.p99.toFixed(2)} ms`
+            : 'no successful requests';
+        console.log(`      • Stage ${stage.stage} (${level(stage)}): ${stage.throughput.toFixed(2)} req/s | ${latency} | errors ${(stage.errorRate * 100).toFixed(1)}%`);
+    });
+
+    if (load.degradationPoint) {
+        console.log(`      • ⚠️  Degrades at stage ${load.degradationPoint.stage} (${level(load.degradationPoint)}): ${load.degradationPoint.reasons.join('; ')}`);
+    } else {
+        console.log(`      • ✅ No degradation detected`);
+    }
+}
+
+// Wall-clock and per-item latency at every batch size, and the most efficient size
+function displayBatch(batch) {
+    const how = batch.strategy === 'native' ? 'native batch calls' : `${batch.strategy} single calls`;
+
+    console.log(`   📚 Batches (${how}):`);
+    batch.sizes.forEach(entry => {
+        const best = entry.size === batch.bestSize ? ' 🏆' : '';
+        const failures = entry.failures > 0 ? ` | ${entry.failures}/${entry.batches} failed` : '';
+        if (!entry.wallClock) {
+            console.log(`      • Size ${entry.size}: no successful batches${failures}`);
+            return;
+        }
+        console.log(`      • Size ${entry.size}: wall clock median ${entry.wallClock.median.toFixed(2)} ms | per item median ${entry.perItem.median.toFixed(2)} ms | ${entry.throughput.toFixed(2)} items/s${failures}${best}`);
+    });
+    if (batch.bestSize !== null) {
+        console.log(`      • Most efficient at batch size ${batch.bestSize} (latency figures above are per item at that size)`);
+    }
+}
+
+function describeLimit(limit) {
+    const emoji = limit === null ? '✅' : limit.unsupported ? '⏭️ ' : '🚫';
+    return `${emoji} ${describeSweepLimit(limit)}`;
+}
+
+// Median latency at every payload size of every kind, its growth with size and
+// where the provider started rejecting payloads
+function displaySweep(sweep) {
+    if (sweep.baseline) {
+        console.log(`   📏 Payload sweep (latency figures above are ${sweep.baseline.size}-byte ${sweep.baseline.kind} payloads):`);
+    } else {
+        console.log(`   📏 Payload sweep:`);
+    }
+    sweep.kinds.forEach(entry => {
+        const points = entry.points
+            .filter(point => !point.rejected)
+            .map(point => `${point.size} B ${point.latency ? `${point.latency.median.toFixed(1)} ms` : 'failed'}`);
+        console.log(`      • ${entry.kind}: ${describeLimit(entry.limit)}`);
+        if (points.length > 0) {
+            console.log(`        ${points.join(' | ')}`);
+        }
+        if (entry.slopeMsPerKiB !== null) {
+            console.log(`        ${entry.slopeMsPerKiB >= 0 ? '+' : ''}${entry.slopeMsPerKiB.toFixed(3)} ms per KiB, median ${entry.slowdown >= 0 ? '+' : ''}${(entry.slowdown * 100).toFixed(1)}% at the largest signed size`);
+        }
+    });
+}
+
+function displayOperation(operationName, block) {
+    const operation = OPERATIONS[operationName];
+    const serviceNames = Object.keys(block.services);
+
+    console.log(`${operation.emoji} ${operation.title} RESULTS${block.connectionMode ? ` (${block.connectionMode} connections)` : ''}:`);
+    console.log("-".repeat(40));
+
+    serviceNames.forEach((serviceName, index) => {
+        const stats = block.services[serviceName].statistics;
+        const emoji = index === 0 ? "🔹" : index === 1 ? "🔸" : "🔷";
+
+        console.log(`${emoji} ${serviceName.toUpperCase()}:`);
+        if (stats.mean == null) {
+            console.log(`   • No successful requests`);
+        } else {
+            console.log(`   • Min:        ${stats.min.toFixed(2)} ms`);
+            console.log(`   • Max:        ${stats.max.toFixed(2)} ms`);
+            console.log(`   • Mean:       ${stats.mean.toFixed(2)} ms`);
+            console.log(`   • Median:     ${stats.median.toFixed(2)} ms`);
+            console.log(`   • Std Dev:    ${stats.standardDeviation.toFixed(2)} ms`);
+            console.log(`   • 95th %ile:  ${stats.p95.toFixed(2)} ms`);
+            console.log(`   • 99th %ile:  ${stats.p99.toFixed(2)} ms`);
+            if (stats.p999 !== undefined) {
+                displayDistribution(stats);
+            }
+            if (stats.confidenceIntervals) {
+                displayConfidenceIntervals(stats.confidenceIntervals);
+            }
+        }
+        displayFailures(stats);
+        if (stats.phases) {
+            displayPhases(stats.phases);
+        }
+        if (stats.network) {
+            displayNetwork(stats.network);
+        }
+        if (stats.throttling) {
+            displayThrottling(stats.throttling);
+        }
+        if (stats.load) {
+            displayLoad(stats.load);
+        }
+        if (stats.batch) {
+            displayBatch(stats.batch);
+        }
+        if (stats.sweep) {
+            displaySweep(stats.sweep);
+        }
+        console.log("");
+    });
+    Object.entries(block.dropped || {}).forEach(([serviceName, reason]) => {
+        console.log(`❌ ${serviceName.toUpperCase()}: no results (${reason})`);
+        console.log("");
+    });
+
+    // Comparison
+    const comparison = block.comparison || {};
+    const { rankings } = comparison;
+    if (rankings && rankings.length >= 2) {
+        console.log(`🏁 ${operation.title} COMPARISON${comparison.pairwise ? ` (Mann-Whitney U, α = ${comparison.alpha})` : ''}:`);
+        const fastest = rankings[0];
+        const slowest = rankings[rankings.length - 1];
+
+        rankings.forEach(({ rank, service, meanTime }, index) => {
+            const emoji = rank === 1 ? "🥇" : rank === 2 ? "🥈" : rank === 3 ? "🥉" : `${rank}.`;
+            const tied = index > 0 && rankings[index - 1].rank === rank ? ' (tied: difference not significant)' : '';
+            console.log(`   ${emoji} ${service}: ${meanTime.toFixed(2)} ms${tied}`);
+        });
+
+        if (!comparison.pairwise || comparison.conclusive) {
+            const difference = slowest.meanTime - fastest.meanTime;
+            const percentDifference = (difference / slowest.meanTime) * 100;
+            console.log(`   • Difference: ${difference.toFixed(2)} ms (${fastest.service} ${percentDifference.toFixed(1)}% faster than ${slowest.service})`);
+        } else {
+            console.log(`   • ⚠️  No significant winner: ${rankings.filter(entry => entry.rank === 1).map(entry => entry.service).join(', ')} cannot be told apart`);
+        }
+
+        const throttled = serviceNames.filter(serviceName => block.services[serviceName].statistics.throttling);
+        if (throttled.length > 0) {
+            console.log(`   • ⚠️  ${throttled.join(', ')} ${throttled.length === 1 ? 'was' : 'were'} rate limited: rankings include time spent retrying`);
+        }
+
+        if (comparison.pairwise) {
+            console.log(`   • Pairwise (effect size = rank-biserial correlation, p Holm-adjusted):`);
+            comparison.pairwise.forEach(pair => {
+                const verdict = pair.significant ? '✅ significant' : '➖ not significant';
+                console.log(`      ${pair.faster} vs ${pair.slower}: +${pair.meanDifference.toFixed(2)} ms mean | effect ${pair.effectSize.toFixed(2)} | p=${pair.adjustedPValue.toFixed(4)} ${verdict}`);
+            });
+        }
+        console.log("");
+    }
+}
+
+// Every service's latency in each connection mode, side by side, with what a cold
+// start spends on client construction and connection setup
+function displayConnectionModes(operationName, block) {
+    const operation = OPERATIONS[operationName];
+    const blocks = { [block.connectionMode]: block, ...block.modes };
+    const serviceNames = [...new Set(Object.values(blocks).flatMap(modeBlock => Object.keys(modeBlock.services)))];
+    const format = stats => stats && stats.median != null ? `${stats.median.toFixed(2)} / ${stats.p95.toFixed(2)}` : 'n/a';
+
+    console.log(`🔌 ${operation.title} BY CONNECTION MODE (median / 95th %ile ms):`);
+    console.log("-".repeat(40));
+
+    serviceNames.forEach(serviceName => {
+        const statsFor = mode => blocks[mode].services[serviceName] && blocks[mode].services[serviceName].statistics;
+        const columns = Object.keys(blocks).map(mode => `${mode} ${format(statsFor(mode))}`);
+        console.log(`   • ${serviceName}: ${columns.join(' | ')}`);
+
+        const cold = blocks.cold && statsFor('cold');
+        if (cold && cold.median != null) {
+            const init = cold.phases && cold.phases.init ? `init ${cold.phases.init.median.toFixed(2)} ms` : null;
+            const setup = cold.network ? ['dns', 'connect', 'tls']
+                .filter(name => cold.network[name])
+                .map(name => `${name} ${cold.network[name].median.toFixed(2)} ms`) : [];
+            const warmest = Object.keys(blocks)
+                .filter(mode => mode !== 'cold' && statsFor(mode) && statsFor(mode).median != null)
+                .sort((a, b) => statsFor(a).median - statsFor(b).median)[0];
+            const difference = warmest ? cold.median - statsFor(warmest).median : null;
+            const overhead = warmest ? `${difference >= 0 ? '+' : ''}${difference.toFixed(2)} ms vs ${warmest}` : null;
+            console.log(`      cold start: ${[overhead, init, ...setup].filter(Boolean).join(' | ')} (medians)`);
+        }
+    });
+    console.log("");
+}
+
+// Pass/fail list of the latency budgets evaluated for a run
+function displayBudgets(report) {
+    console.log("🎯 LATENCY BUDGETS:");
+    console.log("-".repeat(40));
+
+    report.checks.forEach(check => {
+        console.log(`   ${check.passed ? '✅' : '❌'} ${describeCheck(check)} (${checkOutcome(check)})`);
+    });
+    report.unmatched.forEach(({ index, service, operation }) => {
+        console.log(`   ❌ Budget ${index + 1} (${[service, operation].filter(Boolean).join(' / ') || 'all'}) matched no results`);
+    });
+
+    const total = report.checks.length + report.unmatched.length;
+    console.log(report.passed
+        ? `✅ All ${total} budget check(s) passed`
+        : `❌ ${report.breached} of ${total} budget check(s) breached`);
+    console.log("");
+}
+
+// Format and display results
+export function displayResults(results) {
+    const operationNames = resultOperations(results);
+    const title = operationNames.length === 1
+        ? `${OPERATIONS[operationNames[0]].title} BENCHMARK RESULTS`
+        : "COMPREHENSIVE BENCHMARK RESULTS";
+
+    console.log("\n" + "=".repeat(80));
+    console.log(`🏆 ${title}`);
+    console.log("=".repeat(80));
+
+    displayLocation(results.timestamp, results.geoLocation);
+    displayConfig(results.config, operationNames);
+
+    for (const operationName of operationNames) {
+        const block = results[OPERATIONS[operationName].resultKey];
+        displayOperation(operationName, block);
+        if (block.modes) {
+            displayConnectionModes(operationName, block);
+        }
+    }
+
+    if (results.budgets) {
+        displayBudgets(results.budgets);
+    }
+
+    console.log("=".repeat(80));
+}
+
+// Display the change between two runs for every operation and service they share
+export function displayRunComparison(baseline, candidate, labels = ['baseline', 'candidate']) {
+    console.log("\n" + "=".repeat(80));
+    console.log("🔀 BENCHMARK RUN COMPARISON");
+    console.log("=".repeat(80));
+    console.log(`   A (${labels[0]}): ${baseline.timestamp}`);
+    console.log(`   B (${labels[1]}): ${candidate.timestamp}`);
+    console.log("");
+
+    const operationNames = resultOperations(baseline).filter(name => resultOperations(candidate).includes(name));
+    if (operationNames.length === 0) {
+        console.log("⚠️  The two result files have no operations in common");
+    }
+
+    for (const operationName of operationNames) {
+        const { resultKey, title, emoji } = OPERATIONS[operationName];
+        const servicesA = baseline[resultKey].services;
+        const servicesB = candidate[resultKey].services;
+
+        console.log(`${emoji} ${title}:`);
+        console.log("-".repeat(40));
+
+        const shared = Object.keys(servicesA).filter(serviceName => servicesB[serviceName]);
+        if (shared.length === 0) {
+            console.log("   No services in common");
+        }
+
+        shared.forEach(serviceName => {
+            const a = servicesA[serviceName].statistics;
+            const b = servicesB[serviceName].statistics;
+
+            console.log(`🔹 ${serviceName.toUpperCase()}:`);
+            if (a.mean == null || b.mean == null) {
+                console.log(`   • No successful requests in ${a.mean == null ? 'A' : 'B'}`);
+                return;
+            }
+            for (const [label, key] of [['Mean', 'mean'], ['Median', 'median'], ['95th %ile', 'p95']]) {
+                const delta = b[key] - a[key];
+                const percent = (delta / a[key]) * 100;
+                const arrow = delta > 0 ? "🔺" : delta < 0 ? "🔻" : "➖";
+                console.log(`   • ${label.padEnd(10)} ${a[key].toFixed(2)} ms → ${b[key].toFixed(2)} ms ${arrow} ${delta >= 0 ? '+' : ''}${delta.toFixed(2)} ms (${percent >= 0 ? '+' : ''}${percent.toFixed(1)}%)`);
+            }
+            if (a.errorRate !== undefined && b.errorRate !== undefined) {
+                console.log(`   • ${'Error rate'.padEnd(10)} ${(a.errorRate * 100).toFixed(1)}% → ${(b.errorRate * 100).toFixed(1)}%`);
+            }
+        });
+        console.log("");
+    }
+
+    console.log("=".repeat(80));
+}
+
+// Display latency statistics returned by a history query
+export function displayLatencyQuery(filters, rows) {
+    const described = Object.entries(filters)
+        .filter(([key, value]) => value !== undefined && key !== 'groupBy')
+        .map(([key, value]) => key === 'days' ? `last ${value} days` : `${key} ${value}`);
+
+    console.log(`🗄️  Latency by ${filters.groupBy}${described.length ? ` (${described.join(', ')})` : ''}:`);
+    if (rows.length === 0) {
+        console.log("   No matching samples");
+        return;
+    }
+
+    const width = Math.max(8, ...rows.map(row => String(row.group).length));
+    console.log(`   ${'Group'.padEnd(width)}  ${'Runs'.padStart(5)}  ${'Samples'.padStart(7)}  ${'Median'.padStart(10)}  ${'Mean'.padStart(10)}  ${'95th'.padStart(10)}  ${'99th'.padStart(10)}`);
+    rows.forEach(row => {
+        console.log(`   ${String(row.group).padEnd(width)}  ${String(row.runs).padStart(5)}  ${String(row.samples).padStart(7)}  ${row.median.toFixed(2).padStart(10)}  ${row.mean.toFixed(2).padStart(10)}  ${row.p95.toFixed(2).padStart(10)}  ${row.p99.toFixed(2).padStart(10)}`);
+    });
+    console.log("   (all latencies in ms)");
+}
+
+// Display the regression check for one stored run
+export function displayRegressions(run, checks) {
+    const where = [run.city, run.region, run.country_code].filter(Boolean).join(', ') || 'unknown location';
+    console.log(`\n🔎 Regression check for ${run.timestamp} (${where}):`);
+
+    if (checks.length === 0) {
+        console.log("   Nothing to check");
+    }
+
+    checks.forEach(check => {
+        const label = `${OPERATIONS[check.operation] ? OPERATIONS[check.operation].label : check.operation} / ${check.service}`;
+
+        if (check.status === 'insufficient_data') {
+            console.log(`   ➖ ${label}: not enough data (${check.samples} samples vs ${check.baselineSamples} baseline samples from ${check.baselineRuns} run(s))`);
+            return;
+        }
+
+        const emoji = check.status === 'regression' ? '🔺' : '✅';
+        const change = `${check.change >= 0 ? '+' : ''}${(check.change * 100).toFixed(1)}%`;
+        console.log(`   ${emoji} ${label}: median ${check.baselineMedian.toFixed(2)} ms → ${check.candidateMedian.toFixed(2)} ms (${change}, p=${check.pValue.toFixed(4)}, effect ${check.effectSize.toFixed(2)}, ${check.baselineRuns} baseline run(s))${check.status === 'regression' ? ' REGRESSION' : ''}`);
+    });
+
+    const regressions = checks.filter(check => check.status === 'regression').length;
+    console.log(regressions > 0 ? `⚠️  ${regressions} regression(s) detected` : "✅ No regressions detected");
+}
+
+// Registered benchmark wallets per service; `services` (discovered modules) marks
+// entries made under other credentials than the current ones
+export function displayWalletRegistry(filepath, registry, services = {}) {
+    console.log(`👛 Wallet registry ${filepath}: ${registry.wallets.length} wallet(s)`);
+
+    const byService = {};
+    registry.wallets.forEach(entry => {
+        (byService[entry.service] = byService[entry.service] || []).push(entry);
+    });
+
+    Object.entries(byService).forEach(([service, entries]) => {
+        console.log(`🔹 ${entries[0].serviceName || service}`);
+        entries.forEach(entry => {
+            const serviceModule = services[service];
+            const other = serviceModule && walletScope(serviceModule) !== entry.scope ? ' (other credentials)' : '';
+            const dates = entry.status === 'retired'
+                ? `created ${entry.createdAt} | retired ${entry.retiredAt}`
+                : `created ${entry.createdAt} | last used ${entry.lastUsedAt}`;
+            console.log(`   ${entry.status === 'active' ? '✅ active ' : '💤 retired'} ${entryChain(entry).padEnd(6)} ${entry.wallet.address}  ${dates}${other}`);
+        });
+    });
+}
+
+// Outcome of pruning retired wallets
+export function displayPrunedWallets(outcomes) {
+    const emoji = { deleted: '🗑️ ', archived: '📦', skipped: '⚠️ ', failed: '❌', forgotten: '🧹' };
+
+    outcomes.forEach(({ entry, action, reason }) => {
+        console.log(`${emoji[action]} ${action.padEnd(9)} ${entry.serviceName || entry.service} ${entry.wallet.address}${reason ? `: ${reason}` : ''}`);
+    });
+
+    const count = action => outcomes.filter(outcome => outcome.action === action).length;
+    const kept = count('skipped') + count('failed');
+    console.log(`✅ ${count('deleted')} deleted, ${count('archived')} archived, ${count('forgotten')} forgotten, ${kept} kept in the registry${kept > 0 ? ' (--forget drops them)' : ''}`);
+}
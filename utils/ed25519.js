@@ -0,0 +1,59 @@
+import crypto from 'crypto';
+import { PublicKey, VersionedTransaction } from '@solana/web3.js';
+
+// DER prefixes that wrap a raw 32-byte ed25519 seed / public key
+const PKCS8_PREFIX = Buffer.from('302e020100300506032b657004220420', 'hex');
+const SPKI_PREFIX = Buffer.from('302a300506032b6570032100', 'hex');
+
+function privateKeyFromSeed(seed) {
+    return crypto.createPrivateKey({
+        key: Buffer.concat([PKCS8_PREFIX, Buffer.from(seed)]),
+        format: 'der',
+        type: 'pkcs8'
+    });
+}
+
+function publicKeyFromAddress(address) {
+    return crypto.createPublicKey({
+        key: Buffer.concat([SPKI_PREFIX, new PublicKey(address).toBuffer()]),
+        format: 'der',
+        type: 'spki'
+    });
+}
+
+// Generate a local ed25519 keypair with a Solana (base58) address
+export function generateKeypair() {
+    const seed = crypto.randomBytes(32);
+    const publicKey = crypto.createPublicKey(privateKeyFromSeed(seed))
+        .export({ format: 'der', type: 'spki' })
+        .subarray(SPKI_PREFIX.length);
+
+    return {
+        seed,
+        address: new PublicKey(publicKey).toBase58()
+    };
+}
+
+// Produce a 64-byte ed25519 signature over data
+export function signBytes(seed, data) {
+    return crypto.sign(null, Buffer.from(data), privateKeyFromSeed(seed));
+}
+
+// Check a 64-byte ed25519 signature against a Solana address
+export function verifyBytes(address, data, signature) {
+    return crypto.verify(null, Buffer.from(data), publicKeyFromAddress(address), Buffer.from(signature));
+}
+
+// Sign a serialized legacy or v0 transaction in place of the given signer
+export function signSerializedTransaction(seed, address, serializedTransaction) {
+    const transaction = VersionedTransaction.deserialize(Buffer.from(serializedTransaction));
+    const { header, staticAccountKeys } = transaction.message;
+    const signerIndex = staticAccountKeys.findIndex(key => key.toBase58() === address);
+
+    if (signerIndex === -1 || signerIndex >= header.numRequiredSignatures) {
+        throw new Error(`${address} is not a required signer of this transaction`);
+    }
+
+    transaction.signatures[signerIndex] = signBytes(seed, transaction.message.serialize());
+    return Buffer.from(transaction.serialize());
+}
@@ -0,0 +1,882 @@
+import { VersionedTransaction } from '@solana/web3.js';
+import { discoverServices, initializeServices, serviceChains, serviceMessagePayloads, serviceTransactionFormats } from './serviceLoader.js';
+import { provisionWallets } from './walletRegistry.js';
+import { summarizeSamples } from './stats.js';
+import { withTimeout, classifyError, InvalidSignatureError } from './errors.js';
+import { runLoad } from './loadRunner.js';
+import { startBlockhashRefresher } from './solana.js';
+import {
+    verifyMessageResult,
+    verifyTransactionResult,
+    verifyWalletResult,
+    verifyWalletList,
+    verifyEvmMessageResult,
+    verifyTypedDataResult,
+    verifyEvmTransactionResult,
+    verifyEvmWalletResult
+} from './verify.js';
+import { benchmarkTypedData } from './evm.js';
+import { SOLANA_WORKLOADS, TRANSACTION_FORMATS, WORKLOAD_BLOCKHASH, buildSolanaTransaction, templateFormats, workloadParams } from './workloads.js';
+import { withSpan } from './tracing.js';
+import { enableNetworkTiming, captureNetwork } from './network.js';
+import { createPacer, capturePacing, resolveMaxRps } from './pacing.js';
+import { openConnectionMode } from './connections.js';
+import { createPhaseTimer } from './phases.js';
+import { batchMessages, signSequentially, summarizeBatches, amortizedTimes } from './batch.js';
+import { buildPayload, payloadAccepted, payloadFits, payloadRejected, sweepSizes, summarizeSweep, baselineSamples } from './sweep.js';
+
+// Benchmarkable operations. Each one knows the chain it signs on, how to invoke the
+// service adapter, how to verify what it returned and where its results live in the
+// saved result file. Every chain/operation pair is its own operation, benchmarked
+// and reported independently.
+export const OPERATIONS = {
+    message: {
+        chain: 'solana',
+        title: 'MESSAGE SIGNING',
+        label: 'Message Signing',
+        emoji: '📝',
+        resultKey: 'messageSigning',
+        benchmarkType: 'message_signing',
+        filePrefix: 'message-signing-benchmark',
+        spanName: 'signMessage',
+        invoke: (serviceModule, wallet, config) => serviceModule.signMessage(wallet, config.message.testMessage),
+        verify: (result, wallet, config) => verifyMessageResult(wallet.address, config.message.testMessage, result)
+    },
+    // SOL transfer: `transaction` (v0) and `transactionLegacy`
+    ...solanaTransactionOperations('transfer', { emoji: '💸' }),
+    // Batch signing (utils/batch.js): `batch` names the adapter's optional native
+    // batch method and the single-item method the fallback calls, how to sign the
+    // items either way and how to verify one item's result
+    messageBatch: {
+        chain: 'solana',
+        title: 'BATCH MESSAGE SIGNING',
+        label: 'Batch Message Signing',
+        emoji: '📚',
+        resultKey: 'messageBatchSigning',
+        benchmarkType: 'message_batch_signing',
+        filePrefix: 'message-batch-signing-benchmark',
+        spanName: 'signMessages',
+        batch: {
+            method: 'signMessages',
+            single: 'signMessage',
+            items: (size, config) => batchMessages(config.message.testMessage, size),
+            signAll: (serviceModule, wallet, messages) => serviceModule.signMessages(wallet, messages),
+            signOne: (serviceModule, wallet, message) => serviceModule.signMessage(wallet, message),
+            verify: (result, wallet, message) => verifyMessageResult(wallet.address, message, result)
+        }
+    },
+    // Batches of SOL transfers: `transactionBatch` (v0) and `transactionBatchLegacy`
+    ...transferBatchOperations(),
+    // Message payload size sweep (utils/sweep.js): `sweep` signs and verifies one payload
+    messageSweep: {
+        chain: 'solana',
+        title: 'MESSAGE SIZE SWEEP',
+        label: 'Message Size Sweep',
+        emoji: '📏',
+        resultKey: 'messageSweep',
+        benchmarkType: 'message_sweep',
+        filePrefix: 'message-sweep-benchmark',
+        spanName: 'signMessage',
+        sweep: {
+            sign: (serviceModule, wallet, payload) => serviceModule.signMessage(wallet, payload),
+            verify: (result, wallet, payload) => verifyMessageResult(wallet.address, payload, result)
+        }
+    },
+    // Wallet lifecycle. Every createWallet iteration (warmup included) provisions a real wallet.
+    createWallet: {
+        chain: 'solana',
+        title: 'WALLET CREATION',
+        label: 'Wallet Creation',
+        emoji: '👛',
+        resultKey: 'walletCreation',
+        benchmarkType: 'wallet_creation',
+        filePrefix: 'wallet-creation-benchmark',
+        spanName: 'createWallet',
+        invoke: (serviceModule, wallet) => serviceModule.createWallet(wallet.serviceInstance),
+        verify: result => verifyWalletResult(result)
+    },
+    // getWallet and listWallets are optional adapter methods; services without them are skipped
+    getWallet: {
+        chain: 'solana',
+        title: 'WALLET LOOKUP',
+        label: 'Wallet Lookup',
+        emoji: '🔎',
+        resultKey: 'walletLookup',
+        benchmarkType: 'wallet_lookup',
+        filePrefix: 'wallet-lookup-benchmark',
+        spanName: 'getWallet',
+        requires: 'getWallet',
+        invoke: (serviceModule, wallet) => serviceModule.getWallet(wallet),
+        verify: (result, wallet) => verifyWalletResult(result, wallet.address)
+    },
+    listWallets: {
+        chain: 'solana',
+        title: 'WALLET LISTING',
+        label: 'Wallet Listing',
+        emoji: '🗂️',
+        resultKey: 'walletListing',
+        benchmarkType: 'wallet_listing',
+        filePrefix: 'wallet-listing-benchmark',
+        spanName: 'listWallets',
+        requires: 'listWallets',
+        invoke: (serviceModule, wallet) => serviceModule.listWallets(wallet.serviceInstance),
+        verify: result => verifyWalletList(result)
+    },
+    // EVM (Ethereum, Base, ...): the chain ID comes from config.evm
+    evmMessage: {
+        chain: 'evm',
+        title: 'EVM MESSAGE SIGNING',
+        label: 'EVM Message Signing',
+        emoji: '✍️',
+        resultKey: 'evmMessageSigning',
+        benchmarkType: 'evm_message_signing',
+        filePrefix: 'evm-message-signing-benchmark',
+        spanName: 'signMessage',
+        invoke: (serviceModule, wallet, config) => serviceModule.signMessage(wallet, config.evmMessage.testMessage),
+        verify: (result, wallet, config) => verifyEvmMessageResult(wallet.address, config.evmMessage.testMessage, result)
+    },
+    evmTypedData: {
+        chain: 'evm',
+        title: 'EVM TYPED DATA SIGNING',
+        label: 'EVM Typed Data Signing',
+        emoji: '🧾',
+        resultKey: 'evmTypedDataSigning',
+        benchmarkType: 'evm_typed_data_signing',
+        filePrefix: 'evm-typed-data-signing-benchmark',
+        spanName: 'signTypedData',
+        requires: 'signTypedData',
+        invoke: (serviceModule, wallet, config) => serviceModule.signTypedData(wallet, evmTypedData(wallet, config)),
+        verify: (result, wallet, config) => verifyTypedDataResult(wallet.address, evmTypedData(wallet, config), result)
+    },
+    evmTransaction: {
+        chain: 'evm',
+        title: 'EVM TRANSACTION SIGNING',
+        label: 'EVM Transaction Signing',
+        emoji: '⛽',
+        resultKey: 'evmTransactionSigning',
+        benchmarkType: 'evm_transaction_signing',
+        filePrefix: 'evm-transaction-signing-benchmark',
+        spanName: 'signTransaction',
+        invoke: (serviceModule, wallet, config) => serviceModule.signTransaction(wallet, evmTransfer(config)),
+        verify: (result, wallet, config) => verifyEvmTransactionResult(wallet.address, {
+            chainId: config.evm.chainId,
+            to: config.evmTransaction.destinationAddress,
+            value: BigInt(config.evmTransaction.value)
+        }, result)
+    },
+    evmCreateWallet: {
+        chain: 'evm',
+        title: 'EVM WALLET CREATION',
+        label: 'EVM Wallet Creation',
+        emoji: '🔑',
+        resultKey: 'evmWalletCreation',
+        benchmarkType: 'evm_wallet_creation',
+        filePrefix: 'evm-wallet-creation-benchmark',
+        spanName: 'createWallet',
+        invoke: (serviceModule, wallet) => serviceModule.createWallet(wallet.serviceInstance, 'evm'),
+        verify: result => verifyEvmWalletResult(result)
+    },
+    // Solana transaction workloads (utils/workloads.js), run only when listed
+    ...Object.assign({}, ...Object.entries(SOLANA_WORKLOADS).map(([name, workload]) => solanaTransactionOperations(name, workload)))
+};
+
+// Operation name of a Solana transaction template in a format: v0 keeps the plain
+// name (`transaction` for the transfer), legacy adds a suffix
+export function transactionOperationName(template, format, batch = false) {
+    const name = `${template === 'transfer' ? 'transaction' : template}${batch ? 'Batch' : ''}`;
+    return format === 'legacy' ? `${name}Legacy` : name;
+}
+
+// Unsigned transaction of `template` for the wallet, cached per wallet, blockhash and
+// batch item. Batch items differ in their transfer amount (one lamport per index).
+function buildTransaction(template, context, wallet, blockhash, format, index = 0) {
+    const key = `${wallet.address}:${blockhash}:${index}`;
+    if (!context.built.has(key)) {
+        const params = index ? { ...context.params, transferAmount: context.params.transferAmount + index } : context.params;
+        context.built.set(key, buildSolanaTransaction(template, wallet.address, blockhash, params, format));
+    }
+    return context.built.get(key);
+}
+
+// Context shared by the calls of a Solana transaction operation. With
+// prefetchBlockhash the blockhash is fetched (and kept fresh) outside the timed section.
+async function prepareTransactions(template, config) {
+    const context = { params: workloadParams(config), built: new Map() };
+    if (config.transaction.prefetchBlockhash) {
+        const refresher = await startBlockhashRefresher();
+        return { ...context, blockhash: refresher.current, close: refresher.stop };
+    }
+    return template === 'transfer' ? context : { ...context, blockhash: () => WORKLOAD_BLOCKHASH };
+}
+
+// The message a built transaction has to carry once signed, for verification
+function expectedMessage(template, context, wallet, format, index) {
+    return blockhash => VersionedTransaction.deserialize(buildTransaction(template, context, wallet, blockhash, format, index)).message.serialize();
+}
+
+// The operations signing a Solana transaction template, one per format it can be
+// built in, so results are keyed by format and only compared within one. The
+// harness builds the transaction and every adapter signs the same bytes: the
+// adapter gets `build(blockhash)` plus the blockhash when there is one to use
+// (prefetched, or fixed for workloads), else it fetches one inside the call. Built
+// transactions are cached per wallet and blockhash; verification rebuilds the
+// transaction for the blockhash the signed one carries, so a provider that signed
+// anything else fails.
+function solanaTransactionOperations(template, { label, emoji }) {
+    const name = transactionOperationName(template, 'v0');
+    const kebab = name.replace(/[A-Z]/g, letter => `-${letter.toLowerCase()}`);
+    const title = template === 'transfer' ? 'Transaction Signing' : `${label} Transaction Signing`;
+
+    const operation = format => ({
+        chain: 'solana',
+        title: `${title.toUpperCase()} (${format.toUpperCase()})`,
+        label: `${title} (${format})`,
+        emoji,
+        resultKey: format === 'legacy' ? `${name}LegacySigning` : `${name}Signing`,
+        benchmarkType: `${kebab.replace(/-/g, '_')}${format === 'legacy' ? '_legacy' : ''}_signing`,
+        filePrefix: `${kebab}${format === 'legacy' ? '-legacy' : ''}-signing-benchmark`,
+        spanName: 'signTransaction',
+        template,
+        format,
+        prepare: config => prepareTransactions(template, config),
+        invoke: (serviceModule, wallet, config, context) => serviceModule.signTransaction(wallet, {
+            format,
+            build: blockhash => buildTransaction(template, context, wallet, blockhash, format),
+            ...(context.blockhash ? { blockhash: context.blockhash() } : {})
+        }),
+        verify: (result, wallet, config, context) => verifyTransactionResult(wallet.address, result,
+            expectedMessage(template, context, wallet, format))
+    });
+
+    return Object.fromEntries(templateFormats(template).map(format => [transactionOperationName(template, format), operation(format)]));
+}
+
+// Batch operations of the SOL transfer, one per format. The items are batch
+// indices; a native signTransactions gets one config whose `build(blockhash)`
+// returns every item's transaction, so the batch shares one blockhash, while the
+// fallback makes each item a signTransaction call of its own.
+function transferBatchOperations() {
+    const itemConfig = (context, wallet, format, build) => ({
+        format,
+        build,
+        ...(context.blockhash ? { blockhash: context.blockhash() } : {})
+    });
+
+    const operation = format => ({
+        chain: 'solana',
+        title: `BATCH TRANSACTION SIGNING (${format.toUpperCase()})`,
+        label: `Batch Transaction Signing (${format})`,
+        emoji: '🗃️',
+        resultKey: format === 'legacy' ? 'transactionBatchLegacySigning' : 'transactionBatchSigning',
+        benchmarkType: `transaction_batch${format === 'legacy' ? '_legacy' : ''}_signing`,
+        filePrefix: `transaction-batch${format === 'legacy' ? '-legacy' : ''}-signing-benchmark`,
+        spanName: 'signTransactions',
+        template: 'transfer',
+        format,
+        prepare: config => prepareTransactions('transfer', config),
+        batch: {
+            method: 'signTransactions',
+            single: 'signTransaction',
+            items: size => Array.from({ length: size }, (_, index) => index),
+            signAll: (serviceModule, wallet, indices, context) => serviceModule.signTransactions(wallet, itemConfig(context, wallet, format,
+                blockhash => indices.map(index => buildTransaction('transfer', context, wallet, blockhash, format, index)))),
+            signOne: (serviceModule, wallet, index, context) => serviceModule.signTransaction(wallet, itemConfig(context, wallet, format,
+                blockhash => buildTransaction('transfer', context, wallet, blockhash, format, index))),
+            verify: (result, wallet, index, context) => verifyTransactionResult(wallet.address, result,
+                expectedMessage('transfer', context, wallet, format, index))
+        }
+    });
+
+    return Object.fromEntries(TRANSACTION_FORMATS.map(format => [transactionOperationName('transfer', format, true), operation(format)]));
+}
+
+// Solana transaction operations, every template in every format (batches included)
+export const SOLANA_TRANSACTION_OPERATIONS = Object.keys(OPERATIONS).filter(name => OPERATIONS[name].template);
+
+// Operations that sign batches
+export const BATCH_OPERATIONS = Object.keys(OPERATIONS).filter(name => OPERATIONS[name].batch);
+
+// Operations `--chain` runs for each chain
+export const CHAIN_OPERATIONS = {
+    solana: ['message', 'transaction'],
+    evm: ['evmMessage', 'evmTypedData', 'evmTransaction']
+};
+
+// Chains the given operations sign on, in order
+export function operationChains(operationNames) {
+    return [...new Set(operationNames.filter(name => OPERATIONS[name]).map(name => OPERATIONS[name].chain))];
+}
+
+// The EIP-712 permit the wallet signs
+function evmTypedData(wallet, config) {
+    return benchmarkTypedData(wallet.address, { chainId: config.evm.chainId, ...config.evmTypedData });
+}
+
+// Transfer parameters handed to an EVM signTransaction
+function evmTransfer(config) {
+    const { destinationAddress, value, nonce, gas, maxFeePerGasGwei, maxPriorityFeePerGasGwei } = config.evmTransaction;
+    return { chainId: config.evm.chainId, destinationAddress, value, nonce, gas, maxFeePerGasGwei, maxPriorityFeePerGasGwei };
+}
+
+// Keep only the services named in the include/exclude lists (directory or service name)
+export function selectServices(services, { include = [], exclude = [] } = {}) {
+    const matches = (list, directoryName, serviceModule) => list.some(name =>
+        name.toLowerCase() === directoryName.toLowerCase() ||
+        name.toLowerCase() === String(serviceModule.serviceName || '').toLowerCase()
+    );
+
+    return Object.fromEntries(
+        Object.entries(services).filter(([directoryName, serviceModule]) =>
+            (include.length === 0 || matches(include, directoryName, serviceModule)) &&
+            !matches(exclude, directoryName, serviceModule)
+        )
+    );
+}
+
+// Time one call of `invoke`, recording failures instead of throwing. The result is
+// verified after the clock stops; a signature that does not verify is a failure.
+// Sub-phase timings reported by the adapter, the network timings of the HTTP
+// requests it made and its pacing (queueing, throttled attempts) are kept on the
+// sample. Time spent queued by the pacer before the first attempt is not latency.
+export async function measure(invoke, timeoutMs, verify) {
+    const start = performance.now();
+    let pacing;
+    const capture = captureNetwork(() => {
+        pacing = capturePacing(invoke);
+        return pacing.promise;
+    });
+    const elapsed = () => {
+        const paced = pacing.summary();
+        return performance.now() - start - (paced && paced.queueMs ? paced.queueMs : 0);
+    };
+    let latency;
+
+    try {
+        const result = await withTimeout(capture.promise, timeoutMs);
+        latency = elapsed();
+        if (verify) {
+            await verify(result);
+        }
+        const network = capture.summary();
+        const paced = pacing.summary();
+        return {
+            success: true,
+            latency,
+            ...(verify ? { valid: true } : {}),
+            ...(result && result.timings ? { phases: result.timings } : {}),
+            ...(network ? { network } : {}),
+            ...(paced ? { pacing: paced } : {})
+        };
+    } catch (error) {
+        latency = latency ?? elapsed();
+        const errorClass = classifyError(error);
+        const network = capture.summary();
+        const paced = pacing.summary();
+        return {
+            success: false,
+            latency,
+            ...(errorClass === 'invalid_signature' ? { valid: false } : {}),
+            errorClass,
+            error: error.message,
+            ...(network ? { network } : {}),
+            ...(paced ? { pacing: paced } : {})
+        };
+    }
+}
+
+// Adapter call plus result verification for one service and operation. Each call
+// goes through the service's pacer and every attempt is traced as one span;
+// `attributes` adds per-call detail such as the iteration.
+function createRequest(operationName, serviceName, serviceModule, wallet, config, context, pacer = createPacer()) {
+    const operation = OPERATIONS[operationName];
+    const spanAttributes = {
+        'benchmark.service': serviceName,
+        'benchmark.operation': operationName,
+        'wallet.id': wallet.id,
+        'wallet.address': wallet.address
+    };
+
+    return {
+        invoke: (attributes = {}) => pacer.run(() => withSpan(operation.spanName, { ...spanAttributes, ...attributes },
+            () => operation.invoke(serviceModule, wallet, config, context))),
+        verify: result => operation.verify(result, wallet, config, context)
+    };
+}
+
+// Batch counterpart of createRequest. Services with the operation's native batch
+// method sign a batch in one call and return { results, timings }; the others make
+// one call per item (each through the pacer and traced as its own span), in
+// sequence or all at once as config.batch.fallback says, and the per-item results
+// are wrapped the same way. A batch only verifies when every item does.
+function createBatchRequest(operationName, serviceName, serviceModule, wallet, config, context, pacer = createPacer()) {
+    const { batch } = OPERATIONS[operationName];
+    const native = typeof serviceModule[batch.method] === 'function';
+    const strategy = native ? 'native' : config.batch.fallback;
+    const spanAttributes = {
+        'benchmark.service': serviceName,
+        'benchmark.operation': operationName,
+        'benchmark.batch_strategy': strategy,
+        'wallet.id': wallet.id,
+        'wallet.address': wallet.address
+    };
+    const call = (spanName, attributes, fn) => pacer.run(() => withSpan(spanName, { ...spanAttributes, ...attributes }, fn));
+
+    return {
+        strategy,
+        invoke: async (items, attributes = {}) => {
+            const batchAttributes = { ...attributes, 'benchmark.batch_size': items.length };
+            if (native) {
+                return call(batch.method, batchAttributes, () => batch.signAll(serviceModule, wallet, items, context));
+            }
+            const signOne = item => call(batch.single, batchAttributes, () => batch.signOne(serviceModule, wallet, item, context));
+            const results = await (strategy === 'parallel' ? Promise.all(items.map(signOne)) : signSequentially(items, signOne));
+            return { results };
+        },
+        verify: async (batchResult, items) => {
+            const results = batchResult && batchResult.results;
+            if (!Array.isArray(results) || results.length !== items.length) {
+                throw new InvalidSignatureError(`Expected ${items.length} signed items, got ${Array.isArray(results) ? results.length : 'no list'}`);
+            }
+            for (let index = 0; index < items.length; index++) {
+                await batch.verify(results[index], wallet, items[index], context);
+            }
+        }
+    };
+}
+
+// Warmup requests are not measured, but their failures are still worth seeing
+async function warmup(serviceName, label, request, warmupIterations, timeoutMs) {
+    console.log(`🚀 Running ${serviceName} ${label} warmup...`);
+
+    for (let i = 0; i < warmupIterations; i++) {
+        const sample = await measure(() => request.invoke({ 'benchmark.warmup': true }), timeoutMs, request.verify);
+        if (!sample.success) {
+            console.log(`⚠️  Warmup ${i + 1}/${warmupIterations} failed (${sample.errorClass}): ${sample.error}`);
+        }
+    }
+}
+
+// Benchmark a single operation for a single service, keeping up to
+// `config.concurrency` requests in flight during the timed section.
+// Returns one sample per iteration, successful or not.
+export async function benchmarkService(serviceName, serviceModule, wallet, operationName, config, pacer) {
+    const operation = OPERATIONS[operationName];
+    const { iterations, warmupIterations } = config[operationName];
+    const concurrency = Math.max(1, Math.min(config.concurrency || 1, iterations));
+    const label = operation.label.toLowerCase();
+    const context = operation.prepare ? await operation.prepare(config) : {};
+    const request = createRequest(operationName, serviceName, serviceModule, wallet, config, context, pacer);
+
+    try {
+        await warmup(serviceName, label, request, warmupIterations, config.timeoutMs);
+
+        console.log(`📊 Running ${serviceName} ${label} benchmark${concurrency > 1 ? ` (concurrency ${concurrency})` : ''}...`);
+        const samples = [];
+        let started = 0;
+
+        const worker = async () => {
+            while (started < iterations) {
+                const iteration = ++started;
+                const invoke = () => request.invoke({ 'benchmark.iteration': iteration });
+                samples.push({ iteration, ...await measure(invoke, config.timeoutMs, request.verify) });
+            }
+        };
+
+        await Promise.all(Array.from({ length: concurrency }, worker));
+
+        return samples.sort((a, b) => a.iteration - b.iteration);
+    } finally {
+        if (context.close) context.close();
+    }
+}
+
+// Benchmark a single operation for a single service from a cold start. Every
+// iteration gets fresh HTTP agents and constructs a new client with
+// initializeService (the 'init' phase) before signing with the provisioned wallet,
+// so each sample is a time-to-first-signature. There is no warmup, and iterations
+// run one at a time since the agents are process-wide.
+export async function benchmarkServiceCold(serviceName, serviceModule, wallet, operationName, config, connections, pacer) {
+    const operation = OPERATIONS[operationName];
+    const { iterations } = config[operationName];
+    const label = operation.label.toLowerCase();
+    const context = operation.prepare ? await operation.prepare(config) : {};
+    // Adapters may return bare signature bytes, so the result travels wrapped with the timings
+    const verify = ({ result }) => operation.verify(result, wallet, config, context);
+
+    try {
+        console.log(`🧊 Running ${serviceName} ${label} cold-start benchmark...`);
+        const samples = [];
+
+        for (let iteration = 1; iteration <= iterations; iteration++) {
+            await connections.fresh();
+            const invoke = async () => {
+                const phases = createPhaseTimer();
+                const serviceInstance = await phases.time('init', () => serviceModule.initializeService());
+                const request = createRequest(operationName, serviceName, serviceModule, { ...wallet, serviceInstance }, config, context, pacer);
+                const result = await request.invoke({ 'benchmark.iteration': iteration, 'benchmark.connection_mode': 'cold' });
+                return { result, timings: { ...phases.timings, ...(result && result.timings) } };
+            };
+            samples.push({ iteration, ...await measure(invoke, config.timeoutMs, verify) });
+        }
+
+        return samples;
+    } finally {
+        if (context.close) context.close();
+    }
+}
+
+// Benchmark a batch operation for a single service: `iterations` batches of every
+// size in config.batch.sizes, smallest first, after warmup batches of the smallest
+// size. Each sample is one batch with its wall-clock `latency` and the amortized
+// `perItem` latency. The timeout applies per item, so it scales with the batch.
+export async function benchmarkServiceBatches(serviceName, serviceModule, wallet, operationName, config, pacer) {
+    const operation = OPERATIONS[operationName];
+    const { iterations, warmupIterations } = config[operationName];
+    const sizes = [...config.batch.sizes].sort((a, b) => a - b);
+    const label = operation.label.toLowerCase();
+    const context = operation.prepare ? await operation.prepare(config) : {};
+    const request = createBatchRequest(operationName, serviceName, serviceModule, wallet, config, context, pacer);
+    const timeoutFor = size => config.timeoutMs && config.timeoutMs * size;
+
+    try {
+        const warmupItems = operation.batch.items(sizes[0], config);
+        await warmup(serviceName, label, {
+            invoke: attributes => request.invoke(warmupItems, attributes),
+            verify: results => request.verify(results, warmupItems)
+        }, warmupIterations, timeoutFor(sizes[0]));
+
+        const how = request.strategy === 'native' ? 'native batch calls' : `${request.strategy} single calls`;
+        console.log(`📊 Running ${serviceName} ${label} benchmark (${how}, batch sizes ${sizes.join(', ')})...`);
+        const samples = [];
+
+        for (const size of sizes) {
+            const items = operation.batch.items(size, config);
+            for (let iteration = 1; iteration <= iterations; iteration++) {
+                const invoke = () => request.invoke(items, { 'benchmark.iteration': iteration });
+                const sample = await measure(invoke, timeoutFor(size), results => request.verify(results, items));
+                samples.push({ iteration, batchSize: size, strategy: request.strategy, ...sample, perItem: sample.latency / size });
+            }
+        }
+
+        return samples;
+    } finally {
+        if (context.close) context.close();
+    }
+}
+
+// Benchmark a payload sweep for a single service: for every payload kind the service
+// takes, `iterations` signatures at each size of config.sweep until a size is
+// rejected (its samples are marked `rejected`), then, with `refine`, unmeasured
+// probes bisect the exact limit. Warmup signs the smallest payload of the first kind.
+// Returns { samples, limits } with the limit found per kind (see summarizeSweep).
+export async function benchmarkServiceSweep(serviceName, serviceModule, wallet, operationName, config, pacer) {
+    const operation = OPERATIONS[operationName];
+    const { iterations, warmupIterations } = config[operationName];
+    const sizes = sweepSizes(config.sweep);
+    const label = operation.label.toLowerCase();
+    const supported = serviceMessagePayloads(serviceModule);
+    const kinds = config.sweep.kinds.filter(kind => supported.includes(kind));
+    const unsupported = config.sweep.kinds.filter(kind => !supported.includes(kind));
+    const limits = Object.fromEntries(config.sweep.kinds.map(kind => [kind, unsupported.includes(kind) ? { unsupported: true } : null]));
+    const spanAttributes = {
+        'benchmark.service': serviceName,
+        'benchmark.operation': operationName,
+        'wallet.id': wallet.id,
+        'wallet.address': wallet.address
+    };
+    const request = payload => ({
+        invoke: (attributes = {}) => pacer.run(() => withSpan(operation.spanName, { ...spanAttributes, ...attributes },
+            () => operation.sweep.sign(serviceModule, wallet, payload))),
+        verify: result => operation.sweep.verify(result, wallet, payload)
+    });
+    const sign = (payload, attributes) => {
+        const { invoke, verify } = request(payload);
+        return measure(() => invoke(attributes), config.timeoutMs, verify);
+    };
+
+    if (kinds.length === 0) {
+        console.log(`⏭️  ${serviceName} signs none of the ${config.sweep.kinds.join(', ')} payloads`);
+        return { samples: [], limits };
+    }
+    if (unsupported.length > 0) {
+        console.log(`⏭️  ${serviceName} does not sign ${unsupported.join(', ')} payloads, sweeping ${kinds.join(', ')}`);
+    }
+
+    await warmup(serviceName, label, request(buildPayload(kinds[0], sizes[0], config.message.testMessage)), warmupIterations, config.timeoutMs);
+
+    console.log(`📊 Running ${serviceName} ${label} benchmark (${kinds.join(', ')}; ${sizes[0]} to ${sizes[sizes.length - 1]} bytes)...`);
+    const samples = [];
+
+    for (const kind of kinds) {
+        let lastAccepted = null;
+
+        for (const size of sizes.filter(candidate => payloadFits(kind, candidate))) {
+            const payload = buildPayload(kind, size, config.message.testMessage);
+            const sized = [];
+            for (let iteration = 1; iteration <= iterations; iteration++) {
+                const attributes = { 'benchmark.iteration': iteration, 'benchmark.payload_kind': kind, 'benchmark.payload_bytes': size };
+                sized.push({ iteration, kind, size, ...await sign(payload, attributes) });
+            }
+
+            if (!payloadRejected(sized)) {
+                samples.push(...sized);
+                lastAccepted = size;
+                continue;
+            }
+
+            samples.push(...sized.map(sample => ({ ...sample, rejected: true })));
+            limits[kind] = { rejectedAt: size, maxAccepted: lastAccepted, minRejected: size, exact: false, error: sized[0].error };
+            console.log(`🚫 ${serviceName} rejects ${size}-byte ${kind} payloads: ${sized[0].error}`);
+            break;
+        }
+
+        const limit = limits[kind];
+        if (limit && config.sweep.refine && limit.maxAccepted !== null) {
+            while (limit.minRejected - limit.maxAccepted > 1) {
+                const size = Math.floor((limit.maxAccepted + limit.minRejected) / 2);
+                const probe = await sign(buildPayload(kind, size, config.message.testMessage), { 'benchmark.payload_kind': kind, 'benchmark.payload_bytes': size, 'benchmark.probe': true });
+                if (payloadAccepted(probe)) {
+                    limit.maxAccepted = size;
+                } else if (payloadRejected([probe])) {
+                    limit.minRejected = size;
+                    limit.error = probe.error;
+                } else {
+                    // A transient failure says nothing about the limit
+                    break;
+                }
+            }
+            limit.exact = limit.minRejected - limit.maxAccepted === 1;
+            console.log(`📐 ${serviceName} ${kind} limit: ${limit.maxAccepted} bytes accepted, ${limit.minRejected} rejected${limit.exact ? '' : ' (not narrowed further)'}`);
+        }
+    }
+
+    return { samples, limits };
+}
+
+// Benchmark a single operation for a single service in load mode.
+// Returns every sample plus the load summary (throughput, stages, degradation).
+export async function benchmarkServiceUnderLoad(serviceName, serviceModule, wallet, operationName, config, pacer) {
+    const operation = OPERATIONS[operationName];
+    const { warmupIterations } = config[operationName];
+    const label = operation.label.toLowerCase();
+    const context = operation.prepare ? await operation.prepare(config) : {};
+    const request = createRequest(operationName, serviceName, serviceModule, wallet, config, context, pacer);
+
+    try {
+        await warmup(serviceName, label, request, warmupIterations, config.timeoutMs);
+
+        console.log(`📈 Running ${serviceName} ${label} load test (${config.load.mode} loop)...`);
+        return await runLoad(attributes => measure(() => request.invoke(attributes), config.timeoutMs, request.verify), config.load);
+    } finally {
+        if (context.close) context.close();
+    }
+}
+
+// Discover, initialize and provision wallets (reused from the wallet registry) for the
+// configured services; wallets are keyed by chain, then service. Each service gets one
+// pacer, shared by wallet provisioning and all of its operations. Services that fail
+// to initialize are kept under `unavailable` so their operations report them dropped.
+export async function prepareServices(config) {
+    console.log("🔍 Discovering services...");
+    const discovered = await discoverServices();
+    const services = selectServices(discovered, config.services);
+    const serviceNames = Object.keys(services);
+
+    if (serviceNames.length === 0) {
+        throw new Error('No services found in the services directory');
+    }
+
+    console.log(`Found ${serviceNames.length} service(s): ${serviceNames.join(', ')}`);
+
+    enableNetworkTiming();
+    const initializedServices = await initializeServices(services);
+    // Selected services that failed to initialize still count as expected in every operation they support
+    const unavailable = Object.fromEntries(Object.entries(services)
+        .filter(([serviceName]) => !initializedServices[serviceName])
+        .map(([serviceName, serviceModule]) => [serviceName, {
+            name: serviceModule.serviceName || serviceName,
+            module: serviceModule,
+            reason: 'initialization failed'
+        }]));
+    const pacing = config.pacing || {};
+    const pacers = Object.fromEntries(Object.entries(initializedServices).map(([serviceName, service]) =>
+        [serviceName, createPacer({ ...pacing, maxRps: resolveMaxRps(pacing.maxRps, serviceName, service.name) })]));
+
+    // One wallet per service on every chain the configured operations sign on
+    const wallets = {};
+    for (const chain of operationChains(config.operations)) {
+        wallets[chain] = await provisionWallets(initializedServices, config.wallets, pacers, chain);
+    }
+
+    console.log(`✅ Successfully initialized ${Object.keys(initializedServices).length} service(s)\n`);
+
+    return { initializedServices, wallets, pacers, unavailable };
+}
+
+// Why a service does not take part in an operation at all, or null when it does
+function skipReason(operation, serviceModule) {
+    if (!serviceChains(serviceModule).includes(operation.chain)) {
+        return `does not support ${operation.chain}`;
+    }
+    if (operation.format && !serviceTransactionFormats(serviceModule).includes(operation.format)) {
+        return `does not sign ${operation.format} transactions`;
+    }
+    if (operation.requires && typeof serviceModule[operation.requires] !== 'function') {
+        return `does not implement ${operation.requires}`;
+    }
+    return null;
+}
+
+// Run one operation against every prepared service in one connection mode.
+// Returns { statistics, rawTimes, samples, dropped }: the first three keyed by the
+// name of every service that ran, `dropped` by the name of every service that should
+// have run but did not (initialization or wallet creation failed, or the benchmark
+// aborted), with the reason
+async function runOperationMode(operationName, mode, config, { initializedServices, wallets, pacers = {}, unavailable = {} }) {
+    const operation = OPERATIONS[operationName];
+    const chainWallets = wallets[operation.chain] || {};
+    const connections = openConnectionMode(mode, config.connections);
+    const statistics = {};
+    const rawTimes = {};
+    const samples = {};
+    const dropped = {};
+
+    for (const service of Object.values(unavailable)) {
+        if (!skipReason(operation, service.module)) {
+            dropped[service.name] = service.reason;
+        }
+    }
+
+    try {
+        for (const [serviceName, service] of Object.entries(initializedServices)) {
+            const skip = skipReason(operation, service.module);
+            if (skip) {
+                console.log(`⏭️  ${service.name} ${skip}, skipping ${operation.label.toLowerCase()}`);
+                console.log("");
+                continue;
+            }
+            if (!chainWallets[serviceName]) {
+                dropped[service.name] = `no ${operation.chain} wallet (wallet creation failed)`;
+                continue;
+            }
+
+            console.log(`🔹 ${service.name.toUpperCase()} ${operation.title}${mode !== 'warm' ? ` (${mode})` : ''}`);
+            console.log("-".repeat(40));
+
+            let serviceSamples;
+            let load;
+            let sweepLimits;
+            try {
+                if (operation.sweep) {
+                    ({ samples: serviceSamples, limits: sweepLimits } = await benchmarkServiceSweep(
+                        service.name,
+                        service.module,
+                        chainWallets[serviceName],
+                        operationName,
+                        config,
+                        pacers[serviceName]
+                    ));
+                } else if (operation.batch) {
+                    serviceSamples = await benchmarkServiceBatches(
+                        service.name,
+                        service.module,
+                        chainWallets[serviceName],
+                        operationName,
+                        config,
+                        pacers[serviceName]
+                    );
+                } else if (mode === 'cold') {
+                    serviceSamples = await benchmarkServiceCold(
+                        service.name,
+                        service.module,
+                        chainWallets[serviceName],
+                        operationName,
+                        config,
+                        connections,
+                        pacers[serviceName]
+                    );
+                } else if (config.load) {
+                    ({ samples: serviceSamples, summary: load } = await benchmarkServiceUnderLoad(
+                        service.name,
+                        service.module,
+                        chainWallets[serviceName],
+                        operationName,
+                        config,
+                        pacers[serviceName]
+                    ));
+                } else {
+                    serviceSamples = await benchmarkService(
+                        service.name,
+                        service.module,
+                        chainWallets[serviceName],
+                        operationName,
+                        config,
+                        pacers[serviceName]
+                    );
+                }
+            } catch (error) {
+                // Per-request failures are already recorded as samples; anything
+                // reaching here broke the harness itself for this service
+                console.error(`❌ ${service.name} ${operation.label.toLowerCase()} benchmark aborted:`, error.message);
+                console.log("");
+                dropped[service.name] = `benchmark aborted: ${error.message}`;
+                continue;
+            }
+
+            const summary = operation.sweep
+                ? summarizeSweep(serviceSamples, sweepLimits, config.analysis)
+                : operation.batch
+                    ? summarizeBatches(serviceSamples, config.analysis)
+                    : summarizeSamples(serviceSamples, config.analysis);
+            if (summary.failureCount > 0) {
+                console.log(`⚠️  ${summary.failureCount}/${serviceSamples.length} ${operation.label.toLowerCase()} requests failed`);
+            }
+
+            statistics[service.name] = load ? { ...summary, load } : summary;
+            // Batches are compared by their per-item latency at the best batch size
+            // Sweeps are compared at the baseline payload
+            const counted = operation.sweep ? baselineSamples(serviceSamples) : serviceSamples;
+            rawTimes[service.name] = operation.batch
+                ? amortizedTimes(serviceSamples, summary.batch.bestSize)
+                : counted.filter(sample => sample.success).map(sample => sample.latency);
+            samples[service.name] = serviceSamples;
+
+            console.log("");
+        }
+    } finally {
+        await connections.close();
+    }
+
+    return { statistics, rawTimes, samples, dropped };
+}
+
+// Run every configured operation against every prepared service.
+// Returns { [operationName]: { statistics, rawTimes, samples, dropped } }, each keyed by
+// service name. With several connection modes the first one fills those and the others are
+// kept under `modes`, e.g. { ..., connectionMode: 'warm', modes: { cold: {...} } }.
+export async function runOperations(config, prepared) {
+    const measurements = {};
+    const [primaryMode, ...otherModes] = config.connections ? config.connections.modes : ['warm'];
+
+    for (const operationName of config.operations) {
+        const operation = OPERATIONS[operationName];
+        if (!operation) {
+            throw new Error(`Unknown operation "${operationName}" (expected one of ${Object.keys(OPERATIONS).join(', ')})`);
+        }
+
+        console.log(`${operation.emoji} RUNNING ${operation.title} BENCHMARKS`);
+        console.log("=".repeat(80));
+
+        measurements[operationName] = await runOperationMode(operationName, primaryMode, config, prepared);
+
+        if (primaryMode !== 'warm' || otherModes.length > 0) {
+            measurements[operationName].connectionMode = primaryMode;
+            measurements[operationName].modes = {};
+            for (const mode of otherModes) {
+                measurements[operationName].modes[mode] = await runOperationMode(operationName, mode, config, prepared);
+            }
+        }
+    }
+
+    return measurements;
+}
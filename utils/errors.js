@@ -0,0 +1,122 @@
+// Error classification for failed iterations. Every failure is put in exactly one
+// class so runs can report an error breakdown instead of aborting on the first throw.
+
+export const ERROR_CLASSES = ['timeout', 'rate_limit', 'auth', 'network', 'provider_error', 'invalid_signature'];
+
+const NETWORK_CODES = new Set([
+    'ECONNREFUSED', 'ECONNRESET', 'ENOTFOUND', 'EAI_AGAIN', 'EPIPE', 'EHOSTUNREACH', 'ENETUNREACH',
+    'UND_ERR_SOCKET', 'UND_ERR_CONNECT_TIMEOUT', 'ERR_NETWORK'
+]);
+
+const TIMEOUT_CODES = new Set(['ETIMEDOUT', 'ECONNABORTED', 'UND_ERR_HEADERS_TIMEOUT', 'UND_ERR_BODY_TIMEOUT']);
+
+export class TimeoutError extends Error {
+    constructor(ms) {
+        super(`Operation timed out after ${ms} ms`);
+        this.name = 'TimeoutError';
+        this.timeoutMs = ms;
+    }
+}
+
+// The provider answered, but the signature it returned does not verify
+export class InvalidSignatureError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'InvalidSignatureError';
+    }
+}
+
+// Reject with a TimeoutError if `promise` has not settled within `ms`.
+// The underlying request keeps running; only the measurement is abandoned.
+export function withTimeout(promise, ms) {
+    if (!ms) {
+        return promise;
+    }
+
+    let timer;
+    const timeout = new Promise((_, reject) => {
+        timer = setTimeout(() => reject(new TimeoutError(ms)), ms);
+    });
+
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+// Best-effort HTTP status from the error shapes thrown by the provider SDKs
+export function errorStatus(error) {
+    const candidates = [
+        error.status,
+        error.statusCode,
+        error.response && error.response.status,
+        error.cause && (error.cause.status || error.cause.statusCode)
+    ];
+    const status = candidates.find(value => Number.isInteger(value));
+    if (status) {
+        return status;
+    }
+
+    // e.g. Turnkey's "429 Too Many Requests" when the body is not JSON
+    const match = String(error.message || '').match(/^(\d{3})\b/);
+    return match ? Number(match[1]) : undefined;
+}
+
+// A definite "no such resource" answer: HTTP 404, or gRPC NOT_FOUND (code 5) in
+// the body of a Turnkey API error. Anything else (timeouts, 5xx, 429s) says
+// nothing about whether the resource exists.
+export function isNotFoundError(error) {
+    return Boolean(error) && (errorStatus(error) === 404 || (error.name === 'TurnkeyRequestError' && error.code === 5));
+}
+
+function errorCodes(error) {
+    const codes = [];
+    for (let current = error, depth = 0; current && depth < 5; current = current.cause, depth++) {
+        if (current.code) codes.push(String(current.code));
+        if (current.errno && typeof current.errno === 'string') codes.push(current.errno);
+    }
+    return codes;
+}
+
+// Map an error to one of ERROR_CLASSES
+export function classifyError(error) {
+    if (!error) {
+        return 'provider_error';
+    }
+
+    if (error instanceof InvalidSignatureError || error.name === 'InvalidSignatureError') {
+        return 'invalid_signature';
+    }
+
+    const status = errorStatus(error);
+    const codes = errorCodes(error);
+    const message = String(error.message || '');
+
+    if (error instanceof TimeoutError || error.name === 'TimeoutError' || codes.some(code => TIMEOUT_CODES.has(code)) ||
+        status === 408 || status === 504 || /timed? ?out/i.test(message)) {
+        return 'timeout';
+    }
+
+    if (status === 429 || /rate.?limit|too many requests/i.test(message)) {
+        return 'rate_limit';
+    }
+
+    if (status === 401 || status === 403 || /unauthori[sz]ed|forbidden|authenticat|invalid (api )?key|signature (is )?invalid/i.test(message)) {
+        return 'auth';
+    }
+
+    if (codes.some(code => NETWORK_CODES.has(code)) || error.name === 'FetchError' ||
+        /fetch failed|network error|socket hang up|getaddrinfo/i.test(message)) {
+        return 'network';
+    }
+
+    return 'provider_error';
+}
+
+// Count failed samples per error class
+export function errorBreakdown(samples) {
+    const breakdown = {};
+    for (const sample of samples) {
+        if (!sample.success) {
+            breakdown[sample.errorClass] = (breakdown[sample.errorClass] || 0) + 1;
+        }
+    }
+    return breakdown;
+}
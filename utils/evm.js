@@ -0,0 +1,108 @@
+import { isAddress, parseGwei, serializeTransaction, toHex } from 'viem';
+import { generatePrivateKey, privateKeyToAccount } from 'viem/accounts';
+
+// EVM side of the benchmarks: the networks a run can target, the EIP-712 payload
+// and EIP-1559 transfer every adapter signs, and local secp256k1 accounts for the
+// mock provider and the stand-ins. Nothing here talks to a node: nonce, gas and
+// fees come from the config, so every provider signs the same transaction.
+
+// Chain IDs by network name (--evm-chain also takes a numeric ID)
+export const EVM_NETWORKS = {
+    ethereum: 1,
+    sepolia: 11155111,
+    base: 8453,
+    'base-sepolia': 84532
+};
+
+// Fixed so the typed data is identical for every provider and run
+const TYPED_DATA_CONTRACT = '0x000000000000000000000000000000000000bEEF';
+const TYPED_DATA_DEADLINE = 2000000000;
+
+export function resolveEvmChainId(value) {
+    if (EVM_NETWORKS[value] !== undefined) {
+        return EVM_NETWORKS[value];
+    }
+    const chainId = Number(value);
+    if (!Number.isInteger(chainId) || chainId <= 0) {
+        throw new Error(`Unknown EVM chain "${value}" (expected one of ${Object.keys(EVM_NETWORKS).join(', ')} or a chain ID)`);
+    }
+    return chainId;
+}
+
+// Network name of a chain ID, for display
+export function evmNetworkName(chainId) {
+    const name = Object.keys(EVM_NETWORKS).find(network => EVM_NETWORKS[network] === chainId);
+    return name ? `${name} (${chainId})` : `chain ${chainId}`;
+}
+
+// EIP-2612-style permit signed by `owner`. Integers stay plain numbers so the
+// payload survives JSON on the way to every provider API.
+export function benchmarkTypedData(owner, { chainId, spender, value }) {
+    return {
+        domain: {
+            name: 'Signing Benchmark',
+            version: '1',
+            chainId,
+            verifyingContract: TYPED_DATA_CONTRACT
+        },
+        types: {
+            Permit: [
+                { name: 'owner', type: 'address' },
+                { name: 'spender', type: 'address' },
+                { name: 'value', type: 'uint256' },
+                { name: 'nonce', type: 'uint256' },
+                { name: 'deadline', type: 'uint256' }
+            ]
+        },
+        primaryType: 'Permit',
+        message: {
+            owner,
+            spender,
+            value,
+            nonce: 0,
+            deadline: TYPED_DATA_DEADLINE
+        }
+    };
+}
+
+// Unsigned EIP-1559 transfer (viem's transaction shape, bigint amounts)
+export function buildEvmTransfer({ chainId, destinationAddress, value, nonce, gas, maxFeePerGasGwei, maxPriorityFeePerGasGwei }) {
+    return {
+        type: 'eip1559',
+        chainId,
+        nonce,
+        to: destinationAddress,
+        value: BigInt(value),
+        gas: BigInt(gas),
+        maxFeePerGas: parseGwei(String(maxFeePerGasGwei)),
+        maxPriorityFeePerGas: parseGwei(String(maxPriorityFeePerGasGwei))
+    };
+}
+
+// RLP-encoded unsigned transaction, as the CDP and Turnkey APIs take it
+export function serializeUnsignedTransaction(transaction) {
+    return serializeTransaction(transaction);
+}
+
+// The transfer as JSON-safe hex quantities, as Privy's eth_signTransaction takes it
+export function transactionRequest(transaction) {
+    return {
+        type: 2,
+        chainId: transaction.chainId,
+        nonce: transaction.nonce,
+        to: transaction.to,
+        value: toHex(transaction.value),
+        gasLimit: toHex(transaction.gas),
+        maxFeePerGas: toHex(transaction.maxFeePerGas),
+        maxPriorityFeePerGas: toHex(transaction.maxPriorityFeePerGas)
+    };
+}
+
+export function isEvmAddress(value) {
+    return typeof value === 'string' && isAddress(value, { strict: false });
+}
+
+// New local secp256k1 account (viem's local account: address plus sign methods)
+export function generateEvmAccount() {
+    return privateKeyToAccount(generatePrivateKey());
+}
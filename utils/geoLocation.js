@@ -0,0 +1,36 @@
+import fetch from 'node-fetch';
+
+// Get geo location information
+export async function getGeoLocation() {
+    try {
+        const response = await fetch('http://ip-api.com/json/?fields=status,message,country,countryCode,region,regionName,city,zip,lat,lon,timezone,isp', {
+            timeout: 5000
+        });
+        
+        if (!response.ok) {
+            throw new Error(`HTTP error! status: ${response.status}`);
+        }
+        
+        const data = await response.json();
+        
+        if (data.status === 'success') {
+            return {
+                country: data.country,
+                countryCode: data.countryCode,
+                region: data.regionName,
+                city: data.city,
+                lat: data.lat,
+                lon: data.lon,
+                timezone: data.timezone,
+                isp: data.isp,
+                success: true
+            };
+        } else {
+            console.warn('⚠️  Geo location lookup failed:', data.message);
+            return { success: false, error: data.message };
+        }
+    } catch (error) {
+        console.warn('⚠️  Could not fetch geo location:', error.message);
+        return { success: false, error: error.message };
+    }
+}
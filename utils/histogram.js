@@ -0,0 +1,125 @@
+import { PERCENTILES } from './stats.js';
+
+// HDR-style log-linear latency histogram. Each power-of-two range of microseconds
+// is split into `subBucketCount` equal buckets, so every recorded value is kept to
+// within 1 / subBucketCount relative error regardless of magnitude. Counts are
+// stored sparsely as plain JSON, which keeps histograms small enough for result
+// files and lets histograms from different runs be merged exactly.
+
+export const DEFAULT_SUB_BUCKET_COUNT = 128;
+
+// Latencies are recorded in microseconds; anything below 1 µs lands in the first bucket
+const UNIT_SCALE = 1000;
+
+function bucketIndex(micros, subBucketCount) {
+    const value = Math.max(1, micros);
+    const exponent = Math.floor(Math.log2(value));
+    const subBucket = Math.min(subBucketCount - 1, Math.floor((value / 2 ** exponent - 1) * subBucketCount));
+    return exponent * subBucketCount + subBucket;
+}
+
+// Lower and upper bound (ms) of a bucket
+export function bucketBounds(index, subBucketCount = DEFAULT_SUB_BUCKET_COUNT) {
+    const exponent = Math.floor(index / subBucketCount);
+    const subBucket = index % subBucketCount;
+    const base = 2 ** exponent;
+    return [
+        (base * (1 + subBucket / subBucketCount)) / UNIT_SCALE,
+        (base * (1 + (subBucket + 1) / subBucketCount)) / UNIT_SCALE
+    ];
+}
+
+export function createHistogram(subBucketCount = DEFAULT_SUB_BUCKET_COUNT) {
+    return {
+        type: 'log-linear',
+        unit: 'ms',
+        subBucketCount,
+        totalCount: 0,
+        min: null,
+        max: null,
+        sum: 0,
+        counts: {}
+    };
+}
+
+// Record one latency (ms)
+export function recordValue(histogram, value, count = 1) {
+    const index = bucketIndex(value * UNIT_SCALE, histogram.subBucketCount);
+    histogram.counts[index] = (histogram.counts[index] || 0) + count;
+    histogram.totalCount += count;
+    histogram.sum += value * count;
+    histogram.min = histogram.min === null ? value : Math.min(histogram.min, value);
+    histogram.max = histogram.max === null ? value : Math.max(histogram.max, value);
+    return histogram;
+}
+
+export function buildHistogram(values, subBucketCount = DEFAULT_SUB_BUCKET_COUNT) {
+    const histogram = createHistogram(subBucketCount);
+    values.forEach(value => recordValue(histogram, value));
+    return histogram;
+}
+
+// Combine histograms (e.g. the same service across runs) into a new one
+export function mergeHistograms(...histograms) {
+    const present = histograms.filter(Boolean);
+    if (present.length === 0) {
+        return null;
+    }
+
+    const subBucketCount = present[0].subBucketCount;
+    if (present.some(histogram => histogram.subBucketCount !== subBucketCount)) {
+        throw new Error('Cannot merge histograms with different bucket resolutions');
+    }
+
+    const merged = createHistogram(subBucketCount);
+    for (const histogram of present) {
+        for (const [index, count] of Object.entries(histogram.counts)) {
+            merged.counts[index] = (merged.counts[index] || 0) + count;
+        }
+        merged.totalCount += histogram.totalCount;
+        merged.sum += histogram.sum;
+        if (histogram.min !== null) merged.min = merged.min === null ? histogram.min : Math.min(merged.min, histogram.min);
+        if (histogram.max !== null) merged.max = merged.max === null ? histogram.max : Math.max(merged.max, histogram.max);
+    }
+    return merged;
+}
+
+// Buckets in ascending order as { lower, upper, count }
+export function histogramBuckets(histogram) {
+    return Object.entries(histogram.counts)
+        .map(([index, count]) => [Number(index), count])
+        .sort((a, b) => a[0] - b[0])
+        .map(([index, count]) => {
+            const [lower, upper] = bucketBounds(index, histogram.subBucketCount);
+            return { lower, upper, count };
+        });
+}
+
+// Value at quantile p (0-1): midpoint of the bucket holding that rank, clamped to min/max
+export function histogramPercentile(histogram, p) {
+    if (histogram.totalCount === 0) {
+        return null;
+    }
+
+    const rank = Math.max(1, Math.ceil(p * histogram.totalCount));
+    let seen = 0;
+    for (const bucket of histogramBuckets(histogram)) {
+        seen += bucket.count;
+        if (seen >= rank) {
+            const midpoint = (bucket.lower + bucket.upper) / 2;
+            return Math.min(histogram.max, Math.max(histogram.min, midpoint));
+        }
+    }
+    return histogram.max;
+}
+
+// Approximate summary statistics from a (possibly merged) histogram
+export function histogramSummary(histogram) {
+    return {
+        count: histogram.totalCount,
+        min: histogram.min,
+        max: histogram.max,
+        mean: histogram.totalCount > 0 ? histogram.sum / histogram.totalCount : null,
+        ...Object.fromEntries(Object.entries(PERCENTILES).map(([name, p]) => [name, histogramPercentile(histogram, p)]))
+    };
+}
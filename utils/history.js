@@ -0,0 +1,287 @@
+import fs from 'fs';
+import path from 'path';
+import initSqlJs from 'sql.js';
+import { OPERATIONS } from './engine.js';
+import { loadResults, resultOperations } from './results.js';
+import { calculateStats, mannWhitneyU } from './stats.js';
+
+// Historical results store. Saved result files (in every shape the benchmark
+// scripts have ever written) are indexed into a local SQLite database so past runs
+// can be queried and new runs checked for regressions against them.
+
+export const DEFAULT_HISTORY_PATH = path.join('results', 'history.sqlite');
+
+const SCHEMA = `
+CREATE TABLE IF NOT EXISTS runs (
+    id INTEGER PRIMARY KEY,
+    file TEXT UNIQUE NOT NULL,
+    timestamp TEXT NOT NULL,
+    benchmark_type TEXT,
+    scenario TEXT,
+    city TEXT,
+    region TEXT,
+    country TEXT,
+    country_code TEXT,
+    config TEXT
+);
+CREATE TABLE IF NOT EXISTS measurements (
+    run_id INTEGER NOT NULL,
+    operation TEXT NOT NULL,
+    service TEXT NOT NULL,
+    successes INTEGER,
+    failures INTEGER,
+    error_rate REAL,
+    min REAL,
+    max REAL,
+    mean REAL,
+    median REAL,
+    std_dev REAL,
+    p95 REAL,
+    p99 REAL,
+    PRIMARY KEY (run_id, operation, service)
+);
+CREATE TABLE IF NOT EXISTS latencies (
+    run_id INTEGER NOT NULL,
+    operation TEXT NOT NULL,
+    service TEXT NOT NULL,
+    latency REAL NOT NULL
+);
+CREATE INDEX IF NOT EXISTS latencies_by_series ON latencies (operation, service, run_id);
+CREATE INDEX IF NOT EXISTS runs_by_time ON runs (timestamp);
+`;
+
+// Columns a latency query can be grouped by
+export const GROUP_BY = {
+    region: "COALESCE(r.region, 'unknown')",
+    country: "COALESCE(r.country, 'unknown')",
+    city: "COALESCE(r.city, 'unknown')",
+    service: 'l.service',
+    operation: 'l.operation',
+    scenario: "COALESCE(r.scenario, '-')",
+    day: 'substr(r.timestamp, 1, 10)',
+    run: 'r.file'
+};
+
+const DEFAULT_REGRESSION = {
+    days: 30,          // baseline window before the checked run
+    alpha: 0.05,       // one-sided Mann-Whitney significance level
+    minChange: 0.1,    // median must be at least this much worse (fraction)
+    minSamples: 10     // fewer baseline or candidate samples than this are not judged
+};
+
+let sqlPromise;
+
+// Open (or create) the history database
+export async function openHistory(dbPath = DEFAULT_HISTORY_PATH) {
+    sqlPromise = sqlPromise || initSqlJs();
+    const SQL = await sqlPromise;
+    const db = fs.existsSync(dbPath) ? new SQL.Database(fs.readFileSync(dbPath)) : new SQL.Database();
+    db.exec(SCHEMA);
+
+    return {
+        db,
+        path: dbPath,
+        save() {
+            fs.mkdirSync(path.dirname(dbPath), { recursive: true });
+            fs.writeFileSync(dbPath, Buffer.from(db.export()));
+        },
+        close() {
+            db.close();
+        }
+    };
+}
+
+// Run a query and return every row as an object
+export function queryAll(history, sql, params = []) {
+    const statement = history.db.prepare(sql);
+    const rows = [];
+    try {
+        statement.bind(params);
+        while (statement.step()) {
+            rows.push(statement.getAsObject());
+        }
+    } finally {
+        statement.free();
+    }
+    return rows;
+}
+
+function location(geoLocation) {
+    return geoLocation && geoLocation.success !== false ? geoLocation : {};
+}
+
+// Result files are keyed by their path relative to the working directory
+function fileKey(filepath) {
+    return path.relative(process.cwd(), path.resolve(filepath));
+}
+
+// Index one result file; files already in the store are skipped
+export function indexResultFile(history, filepath) {
+    const file = fileKey(filepath);
+    if (queryAll(history, 'SELECT id FROM runs WHERE file = ?', [file]).length > 0) {
+        return { file, skipped: true };
+    }
+
+    const results = loadResults(filepath);
+    const operationNames = resultOperations(results);
+    if (!results.timestamp || operationNames.length === 0) {
+        throw new Error(`${filepath} is not a benchmark result file`);
+    }
+
+    const { city = null, region = null, country = null, countryCode = null } = location(results.geoLocation);
+    const config = results.config || {};
+
+    history.db.run(
+        'INSERT INTO runs (file, timestamp, benchmark_type, scenario, city, region, country, country_code, config) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)',
+        [file, results.timestamp, results.benchmarkType || null, config.scenario ? config.scenario.name : null,
+            city, region, country, countryCode, JSON.stringify(config)]
+    );
+    const [{ id: runId }] = queryAll(history, 'SELECT last_insert_rowid() AS id');
+
+    let series = 0;
+    for (const operationName of operationNames) {
+        const { services } = results[OPERATIONS[operationName].resultKey];
+
+        for (const [serviceName, { rawTimes = [], statistics = {} }] of Object.entries(services)) {
+            history.db.run(
+                'INSERT INTO measurements VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)',
+                [runId, operationName, serviceName,
+                    statistics.successCount ?? rawTimes.length, statistics.failureCount ?? 0, statistics.errorRate ?? 0,
+                    statistics.min ?? null, statistics.max ?? null, statistics.mean ?? null, statistics.median ?? null,
+                    statistics.standardDeviation ?? null, statistics.p95 ?? null, statistics.p99 ?? null]
+            );
+
+            const insert = history.db.prepare('INSERT INTO latencies VALUES (?, ?, ?, ?)');
+            try {
+                rawTimes.forEach(latency => insert.run([runId, operationName, serviceName, latency]));
+            } finally {
+                insert.free();
+            }
+            series++;
+        }
+    }
+
+    return { file, runId, timestamp: results.timestamp, series };
+}
+
+// Index every *.json result file in the given files and directories
+export function indexResults(history, paths) {
+    const files = paths.flatMap(target => fs.statSync(target).isDirectory()
+        ? fs.readdirSync(target).filter(name => name.endsWith('.json')).sort().map(name => path.join(target, name))
+        : [target]);
+
+    return files.map(file => {
+        try {
+            return indexResultFile(history, file);
+        } catch (error) {
+            return { file, error: error.message };
+        }
+    });
+}
+
+// Latency statistics over all stored samples matching the filters, one row per group.
+// e.g. { service: 'turnkey', operation: 'message', days: 30, groupBy: 'region' }
+export function queryLatency(history, { service, operation, region, country, scenario, days, since, groupBy = 'service' } = {}) {
+    const groupExpression = GROUP_BY[groupBy];
+    if (!groupExpression) {
+        throw new Error(`Cannot group by "${groupBy}" (expected one of ${Object.keys(GROUP_BY).join(', ')})`);
+    }
+
+    const conditions = [];
+    const params = [];
+    const filter = (condition, value) => {
+        if (value !== undefined && value !== null) {
+            conditions.push(condition);
+            params.push(value);
+        }
+    };
+
+    filter('lower(l.service) = lower(?)', service);
+    filter('l.operation = ?', operation);
+    filter('lower(r.region) = lower(?)', region);
+    filter('lower(?) IN (lower(r.country), lower(r.country_code))', country);
+    filter('r.scenario = ?', scenario);
+    filter('r.timestamp >= ?', since || (days ? new Date(Date.now() - days * 86400000).toISOString() : undefined));
+
+    const rows = queryAll(history, `
+        SELECT ${groupExpression} AS grp, l.run_id AS run, l.latency AS latency
+        FROM latencies l JOIN runs r ON r.id = l.run_id
+        ${conditions.length ? `WHERE ${conditions.join(' AND ')}` : ''}
+    `, params);
+
+    const groups = new Map();
+    for (const row of rows) {
+        const group = groups.get(row.grp) || { runs: new Set(), latencies: [] };
+        group.runs.add(row.run);
+        group.latencies.push(row.latency);
+        groups.set(row.grp, group);
+    }
+
+    return [...groups.entries()]
+        .map(([group, { runs, latencies }]) => ({
+            group,
+            runs: runs.size,
+            samples: latencies.length,
+            ...calculateStats(latencies)
+        }))
+        .sort((a, b) => String(a.group).localeCompare(String(b.group)));
+}
+
+// The most recently timestamped run, or the run stored for `filepath`
+export function findRun(history, filepath) {
+    const [run] = filepath
+        ? queryAll(history, 'SELECT * FROM runs WHERE file = ?', [fileKey(filepath)])
+        : queryAll(history, 'SELECT * FROM runs ORDER BY timestamp DESC LIMIT 1');
+    return run || null;
+}
+
+function latenciesFor(history, runIds, operation, service) {
+    if (runIds.length === 0) {
+        return [];
+    }
+    return queryAll(
+        history,
+        `SELECT latency FROM latencies WHERE operation = ? AND lower(service) = lower(?) AND run_id IN (${runIds.map(() => '?').join(', ')})`,
+        [operation, service, ...runIds]
+    ).map(row => row.latency);
+}
+
+// Compare every service/operation of a stored run with earlier runs from the same
+// location. A regression needs both a significantly higher latency distribution
+// (one-sided Mann-Whitney U) and a median at least `minChange` worse.
+export function detectRegressions(history, run, options = {}) {
+    const { days, alpha, minChange, minSamples } = { ...DEFAULT_REGRESSION, ...options };
+    const since = new Date(new Date(run.timestamp).getTime() - days * 86400000).toISOString();
+
+    const baselineRuns = queryAll(history, `
+        SELECT id FROM runs
+        WHERE timestamp < ? AND timestamp >= ? AND country_code IS ? AND region IS ?
+    `, [run.timestamp, since, run.country_code, run.region]).map(row => row.id);
+
+    const series = queryAll(history, 'SELECT operation, service FROM measurements WHERE run_id = ? ORDER BY operation, service', [run.id]);
+
+    return series.map(({ operation, service }) => {
+        const candidate = latenciesFor(history, [run.id], operation, service);
+        const baseline = latenciesFor(history, baselineRuns, operation, service);
+        const check = { operation, service, baselineRuns: baselineRuns.length, baselineSamples: baseline.length, samples: candidate.length };
+
+        if (candidate.length < minSamples || baseline.length < minSamples) {
+            return { ...check, status: 'insufficient_data' };
+        }
+
+        const baselineMedian = calculateStats(baseline).median;
+        const candidateMedian = calculateStats(candidate).median;
+        const change = (candidateMedian - baselineMedian) / baselineMedian;
+        const { pValue, effectSize } = mannWhitneyU(candidate, baseline, 'greater');
+
+        return {
+            ...check,
+            baselineMedian,
+            candidateMedian,
+            change,
+            pValue,
+            effectSize,
+            status: pValue < alpha && change > minChange ? 'regression' : 'ok'
+        };
+    });
+}
@@ -0,0 +1,404 @@
+import fs from 'fs';
+import path from 'path';
+import { OPERATIONS } from './engine.js';
+import { loadResults, resultOperations } from './results.js';
+import { percentile } from './stats.js';
+
+// Self-contained HTML report. Every chart is inline SVG rendered here, and the
+// stylesheet is embedded, so the page works offline and can be mailed around.
+
+const PALETTE = ['#2563eb', '#ea580c', '#16a34a', '#9333ea', '#dc2626', '#0891b2', '#ca8a04', '#db2777'];
+
+const CHART = { width: 720, height: 260, margin: { top: 16, right: 16, bottom: 40, left: 60 } };
+
+const STYLE = `
+body { font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif; margin: 0; color: #1f2937; background: #f9fafb; }
+main { max-width: 1100px; margin: 0 auto; padding: 24px; }
+h1 { margin-top: 0; }
+section.run { background: #fff; border: 1px solid #e5e7eb; border-radius: 8px; padding: 20px; margin-bottom: 32px; }
+h2 { margin-top: 0; }
+h3 { border-bottom: 1px solid #e5e7eb; padding-bottom: 4px; }
+table { border-collapse: collapse; margin: 8px 0 16px; font-size: 14px; }
+th, td { border: 1px solid #e5e7eb; padding: 4px 10px; text-align: right; }
+th:first-child, td:first-child { text-align: left; }
+th { background: #f3f4f6; }
+.charts { display: grid; grid-template-columns: repeat(auto-fit, minmax(480px, 1fr)); gap: 16px; }
+figure { margin: 0; }
+figcaption { font-weight: 600; margin-bottom: 4px; }
+svg { width: 100%; height: auto; background: #fff; }
+svg text { font-size: 11px; fill: #4b5563; }
+.legend span { display: inline-block; margin-right: 16px; font-size: 13px; }
+.legend i { display: inline-block; width: 12px; height: 12px; margin-right: 4px; vertical-align: -1px; }
+.muted { color: #6b7280; }
+.warning { color: #b45309; }
+details pre { background: #f3f4f6; padding: 12px; overflow-x: auto; font-size: 12px; }
+`;
+
+function escapeHtml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+function formatMs(value) {
+    return value === null || value === undefined ? '–' : value.toFixed(2);
+}
+
+function linearScale([d0, d1], [r0, r1]) {
+    const span = d1 - d0 || 1;
+    return value => r0 + ((value - d0) / span) * (r1 - r0);
+}
+
+function logScale([d0, d1], range) {
+    const scale = linearScale([Math.log10(d0), Math.log10(d1)], range);
+    return value => scale(Math.log10(Math.max(value, d0)));
+}
+
+// Round tick values spanning [min, max]
+function niceTicks(min, max, count = 5) {
+    if (max === min) {
+        return [min];
+    }
+    const rawStep = (max - min) / count;
+    const magnitude = 10 ** Math.floor(Math.log10(rawStep));
+    const step = [1, 2, 5, 10].map(factor => factor * magnitude).find(candidate => candidate >= rawStep);
+    const ticks = [];
+    for (let tick = Math.ceil(min / step) * step; tick <= max + step * 1e-9; tick += step) {
+        ticks.push(Number(tick.toFixed(10)));
+    }
+    return ticks;
+}
+
+// 1-2-5 ticks per decade for logarithmic axes
+function logTicks(min, max) {
+    const ticks = [];
+    for (let decade = 10 ** Math.floor(Math.log10(min)); decade <= max; decade *= 10) {
+        for (const factor of [1, 2, 5]) {
+            const tick = Number((decade * factor).toPrecision(6));
+            if (tick >= min && tick <= max) ticks.push(tick);
+        }
+    }
+    return ticks;
+}
+
+// Frame, gridlines and axis labels shared by every chart
+function chartFrame({ xDomain, yDomain, xLabel, yLabel, xFormat = String, yFormat = String, height = CHART.height, yAxis = true, xLog = false }) {
+    const { width, margin } = CHART;
+    const x = (xLog ? logScale : linearScale)(xDomain, [margin.left, width - margin.right]);
+    const y = linearScale(yDomain, [height - margin.bottom, margin.top]);
+    const parts = [];
+
+    for (const tick of yAxis ? niceTicks(...yDomain) : []) {
+        parts.push(`<line x1="${margin.left}" x2="${width - margin.right}" y1="${y(tick)}" y2="${y(tick)}" stroke="#e5e7eb"/>`);
+        parts.push(`<text x="${margin.left - 6}" y="${y(tick) + 4}" text-anchor="end">${escapeHtml(yFormat(tick))}</text>`);
+    }
+    for (const tick of xLog ? logTicks(...xDomain) : niceTicks(...xDomain)) {
+        parts.push(`<line x1="${x(tick)}" x2="${x(tick)}" y1="${height - margin.bottom}" y2="${height - margin.bottom + 4}" stroke="#9ca3af"/>`);
+        parts.push(`<text x="${x(tick)}" y="${height - margin.bottom + 16}" text-anchor="middle">${escapeHtml(xFormat(tick))}</text>`);
+    }
+    parts.push(`<line x1="${margin.left}" x2="${width - margin.right}" y1="${height - margin.bottom}" y2="${height - margin.bottom}" stroke="#9ca3af"/>`);
+    parts.push(`<text x="${(margin.left + width - margin.right) / 2}" y="${height - 6}" text-anchor="middle">${escapeHtml(xLabel)}</text>`);
+    parts.push(`<text transform="translate(14 ${(height - margin.bottom + margin.top) / 2}) rotate(-90)" text-anchor="middle">${escapeHtml(yLabel)}</text>`);
+
+    return { x, y, parts, height };
+}
+
+function svg(frame, content) {
+    return `<svg viewBox="0 0 ${CHART.width} ${frame.height}" xmlns="http://www.w3.org/2000/svg" role="img">${frame.parts.join('')}${content.join('')}</svg>`;
+}
+
+function figure(caption, body) {
+    return `<figure><figcaption>${escapeHtml(caption)}</figcaption>${body}</figure>`;
+}
+
+// Latency axis shared by the distribution charts. Services an order of magnitude
+// apart (e.g. a local stand-in next to a remote provider) switch it to a log scale.
+function latencyAxis(series) {
+    const all = series.flatMap(({ times }) => times);
+    const min = Math.min(...all);
+    const max = Math.max(...all);
+
+    if (min > 0 && max / min > 20) {
+        return { domain: [min / 1.1, max * 1.1], log: true, label: 'Latency (ms, log scale)' };
+    }
+
+    const pad = (max - min) * 0.05 || 1;
+    return { domain: [Math.max(0, min - pad), max + pad], log: false, label: 'Latency (ms)' };
+}
+
+// Overlaid latency histograms with shared bins (equal width in log space on a log axis)
+function histogramChart(series) {
+    const axis = latencyAxis(series);
+    const toBinSpace = axis.log ? Math.log10 : value => value;
+    const fromBinSpace = axis.log ? value => 10 ** value : value => value;
+    const [start, end] = axis.domain.map(toBinSpace);
+    const binCount = 40;
+    const binWidth = (end - start) / binCount;
+    const edge = bin => fromBinSpace(start + bin * binWidth);
+
+    const counts = series.map(({ times }) => {
+        const bins = new Array(binCount).fill(0);
+        times.forEach(time => bins[Math.max(0, Math.min(binCount - 1, Math.floor((toBinSpace(time) - start) / binWidth)))]++);
+        return bins.map(count => count / times.length);
+    });
+    const top = Math.max(...counts.flat(), 0.01);
+
+    const frame = chartFrame({
+        xDomain: axis.domain, xLog: axis.log, yDomain: [0, top], xLabel: axis.label, yLabel: 'Share of samples',
+        yFormat: value => `${Math.round(value * 100)}%`
+    });
+    const content = counts.flatMap((bins, seriesIndex) => bins.map((share, bin) => share === 0 ? '' :
+        `<rect x="${frame.x(edge(bin))}" y="${frame.y(share)}" width="${Math.max(1, frame.x(edge(bin + 1)) - frame.x(edge(bin)) - 1)}" height="${frame.y(0) - frame.y(share)}" fill="${series[seriesIndex].color}" fill-opacity="0.45"><title>${escapeHtml(series[seriesIndex].name)}: ${(share * 100).toFixed(1)}% in ${formatMs(edge(bin))}–${formatMs(edge(bin + 1))} ms</title></rect>`));
+
+    return svg(frame, content);
+}
+
+// Empirical cumulative distribution per service
+function cdfChart(series) {
+    const axis = latencyAxis(series);
+    const frame = chartFrame({
+        xDomain: axis.domain, xLog: axis.log, yDomain: [0, 1], xLabel: axis.label, yLabel: 'Cumulative share',
+        yFormat: value => `${Math.round(value * 100)}%`
+    });
+    const content = series.map(({ times, color, name }) => {
+        const sorted = [...times].sort((a, b) => a - b);
+        const points = sorted.flatMap((time, index) => [
+            `${frame.x(time)},${frame.y(index / sorted.length)}`,
+            `${frame.x(time)},${frame.y((index + 1) / sorted.length)}`
+        ]);
+        return `<polyline points="${points.join(' ')}" fill="none" stroke="${color}" stroke-width="2"><title>${escapeHtml(name)}</title></polyline>`;
+    });
+
+    return svg(frame, content);
+}
+
+// Horizontal box plots: quartile box, median line, 1.5 IQR whiskers, outlier dots
+function boxPlotChart(series) {
+    const rowHeight = 36;
+    const height = CHART.margin.top + CHART.margin.bottom + rowHeight * series.length;
+    const axis = latencyAxis(series);
+    const frame = chartFrame({ xDomain: axis.domain, xLog: axis.log, yDomain: [0, series.length], xLabel: axis.label, yLabel: '', height, yAxis: false });
+
+    const content = series.flatMap(({ times, color, name }, index) => {
+        const sorted = Float64Array.from(times).sort();
+        const q1 = percentile(sorted, 0.25);
+        const median = percentile(sorted, 0.5);
+        const q3 = percentile(sorted, 0.75);
+        const lowerFence = q1 - 1.5 * (q3 - q1);
+        const upperFence = q3 + 1.5 * (q3 - q1);
+        const inside = Array.from(sorted).filter(value => value >= lowerFence && value <= upperFence);
+        const whiskerLow = inside[0] ?? q1;
+        const whiskerHigh = inside[inside.length - 1] ?? q3;
+        const center = CHART.margin.top + rowHeight * index + rowHeight / 2;
+        const half = rowHeight * 0.3;
+
+        return [
+            `<text x="${CHART.margin.left - 6}" y="${center + 4}" text-anchor="end">${escapeHtml(name)}</text>`,
+            `<line x1="${frame.x(whiskerLow)}" x2="${frame.x(whiskerHigh)}" y1="${center}" y2="${center}" stroke="${color}"/>`,
+            `<line x1="${frame.x(whiskerLow)}" x2="${frame.x(whiskerLow)}" y1="${center - half / 2}" y2="${center + half / 2}" stroke="${color}"/>`,
+            `<line x1="${frame.x(whiskerHigh)}" x2="${frame.x(whiskerHigh)}" y1="${center - half / 2}" y2="${center + half / 2}" stroke="${color}"/>`,
+            `<rect x="${frame.x(q1)}" y="${center - half}" width="${Math.max(1, frame.x(q3) - frame.x(q1))}" height="${half * 2}" fill="${color}" fill-opacity="0.25" stroke="${color}"><title>${escapeHtml(name)}: Q1 ${formatMs(q1)} | median ${formatMs(median)} | Q3 ${formatMs(q3)} ms</title></rect>`,
+            `<line x1="${frame.x(median)}" x2="${frame.x(median)}" y1="${center - half}" y2="${center + half}" stroke="${color}" stroke-width="2"/>`,
+            ...Array.from(sorted).filter(value => value < lowerFence || value > upperFence)
+                .map(value => `<circle cx="${frame.x(value)}" cy="${center}" r="2.5" fill="none" stroke="${color}"/>`)
+        ];
+    });
+
+    return svg(frame, content);
+}
+
+// Latency of every sample in the order it was taken; failures are marked on the axis
+function timeSeriesChart(series) {
+    const points = series.map(entry => entry.timeline);
+    const successful = points.flat().filter(point => point.success);
+    const maxX = Math.max(1, ...points.flat().map(point => point.x));
+    const maxY = successful.length > 0 ? Math.max(...successful.map(point => point.latency)) * 1.05 : 1;
+    const useSeconds = series.some(entry => entry.timelineUnit === 's');
+
+    const frame = chartFrame({
+        xDomain: [0, maxX], yDomain: [0, maxY],
+        xLabel: useSeconds ? 'Time since start (s)' : 'Iteration', yLabel: 'Latency (ms)'
+    });
+    const content = series.flatMap(({ timeline, color, name }) => timeline.map(point => point.success
+        ? `<circle cx="${frame.x(point.x)}" cy="${frame.y(point.latency)}" r="2" fill="${color}" fill-opacity="0.7"><title>${escapeHtml(name)} #${point.label}: ${formatMs(point.latency)} ms</title></circle>`
+        : `<text x="${frame.x(point.x)}" y="${frame.y(0) - 2}" text-anchor="middle" fill="#dc2626" style="fill:#dc2626">×<title>${escapeHtml(name)} #${point.label}: ${escapeHtml(point.error || 'failed')}</title></text>`));
+
+    return svg(frame, content);
+}
+
+// Median latency against payload size (log scale) for one payload kind of a sweep,
+// one line per service; × marks the size a service rejected
+function sweepChart(lines) {
+    const points = lines.flatMap(line => line.points);
+    const sizes = points.map(point => point.size);
+    const medians = points.filter(point => point.latency).map(point => point.latency.median);
+    const maxY = medians.length > 0 ? Math.max(...medians) * 1.05 : 1;
+    const xDomain = [Math.min(...sizes), Math.max(...sizes, Math.min(...sizes) * 2)];
+
+    const frame = chartFrame({
+        xDomain, xLog: true, yDomain: [0, maxY], xLabel: 'Payload size (bytes, log scale)', yLabel: 'Median latency (ms)'
+    });
+    const content = lines.flatMap(({ name, color, points: servicePoints, limit }) => {
+        const signed = servicePoints.filter(point => point.latency && !point.rejected);
+        const rejected = servicePoints.find(point => point.rejected);
+        return [
+            `<polyline points="${signed.map(point => `${frame.x(point.size)},${frame.y(point.latency.median)}`).join(' ')}" fill="none" stroke="${color}" stroke-width="2"><title>${escapeHtml(name)}</title></polyline>`,
+            ...signed.map(point => `<circle cx="${frame.x(point.size)}" cy="${frame.y(point.latency.median)}" r="3" fill="${color}"><title>${escapeHtml(name)}: ${point.size} bytes, median ${formatMs(point.latency.median)} ms</title></circle>`),
+            rejected
+                ? `<text x="${frame.x(rejected.size)}" y="${frame.y(0) - 2}" text-anchor="middle" style="fill:${color}">×<title>${escapeHtml(name)} rejects ${rejected.size} bytes${limit && limit.maxAccepted !== null ? ` (limit ${limit.exact ? '' : 'at least '}${limit.maxAccepted} bytes)` : ''}: ${escapeHtml(limit ? limit.error : '')}</title></text>`
+                : ''
+        ];
+    });
+
+    return svg(frame, content);
+}
+
+// One latency-vs-size chart per payload kind of a sweep, naming the services
+// whose adapter cannot sign that kind
+function sweepCharts(block) {
+    const lines = Object.entries(block.services).map(([name, service], index) => ({
+        name,
+        color: PALETTE[index % PALETTE.length],
+        kinds: service.statistics.sweep ? service.statistics.sweep.kinds : []
+    }));
+    const kinds = [...new Set(lines.flatMap(line => line.kinds.map(entry => entry.kind)))];
+
+    return kinds.map(kind => {
+        const kindLines = lines.map(line => ({ ...line, ...line.kinds.find(entry => entry.kind === kind) }));
+        const charted = kindLines.filter(line => line.points && line.points.length > 0);
+        const unsupported = kindLines.filter(line => line.limit && line.limit.unsupported).map(line => line.name);
+        const note = unsupported.length > 0 ? `<p class="muted">Not supported by ${escapeHtml(unsupported.join(', '))}</p>` : '';
+        return charted.length > 0 || note ? figure(`Latency by payload size: ${kind}`, `${charted.length > 0 ? sweepChart(charted) : ''}${note}`) : '';
+    });
+}
+
+// Ordered samples for the time-series chart: load-mode samples by start time,
+// benchmark samples by iteration, and legacy files by their rawTimes order
+function timeline(service) {
+    if (service.samples && service.samples.length > 0 && service.samples[0].startedAt !== undefined) {
+        const start = Math.min(...service.samples.map(sample => sample.startedAt));
+        return {
+            unit: 's',
+            points: service.samples.map((sample, index) => ({ ...sample, x: (sample.startedAt - start) / 1000, label: index + 1 }))
+        };
+    }
+    if (service.samples && service.samples.length > 0) {
+        return {
+            unit: 'iteration',
+            points: service.samples.map((sample, index) => ({ ...sample, x: sample.iteration ?? index + 1, label: sample.iteration ?? index + 1 }))
+        };
+    }
+    return {
+        unit: 'iteration',
+        points: (service.rawTimes || []).map((latency, index) => ({ success: true, latency, x: index + 1, label: index + 1 }))
+    };
+}
+
+function statisticsTable(services) {
+    const rows = Object.entries(services).map(([name, { statistics: stats }]) => {
+        const failures = stats.failureCount !== undefined ? `${stats.failureCount} (${(stats.errorRate * 100).toFixed(1)}%)` : '–';
+        return `<tr><td>${escapeHtml(name)}</td><td>${stats.count ?? stats.successCount ?? '–'}</td><td>${failures}</td>` +
+            ['min', 'mean', 'median', 'p90', 'p95', 'p99', 'max', 'standardDeviation'].map(key => `<td>${formatMs(stats[key])}</td>`).join('') + '</tr>';
+    });
+
+    return `<table><thead><tr><th>Service</th><th>Samples</th><th>Failures</th><th>Min</th><th>Mean</th><th>Median</th><th>p90</th><th>p95</th><th>p99</th><th>Max</th><th>Std dev</th></tr></thead><tbody>${rows.join('')}</tbody></table>`;
+}
+
+function comparisonTable(comparison) {
+    if (!comparison || !comparison.rankings || comparison.rankings.length < 2) {
+        return '';
+    }
+
+    const rankings = `<table><thead><tr><th>Service</th><th>Rank</th><th>Mean (ms)</th><th>p vs leader</th></tr></thead><tbody>${comparison.rankings.map(entry =>
+        `<tr><td>${escapeHtml(entry.service)}</td><td>${entry.rank}</td><td>${formatMs(entry.meanTime)}</td><td>${entry.pValueVsLeader !== undefined ? entry.pValueVsLeader.toFixed(4) : '–'}</td></tr>`).join('')}</tbody></table>`;
+
+    const verdict = comparison.pairwise
+        ? comparison.conclusive
+            ? `<p>🥇 <strong>${escapeHtml(comparison.fastest)}</strong> is significantly fastest (α = ${comparison.alpha}).</p>`
+            : `<p class="warning">⚠️ No significant winner at α = ${comparison.alpha}; services sharing a rank cannot be told apart.</p>`
+        : '';
+
+    const pairwise = comparison.pairwise
+        ? `<table><thead><tr><th>Faster</th><th>Slower</th><th>Δ mean (ms)</th><th>Δ median (ms)</th><th>Effect size</th><th>p (adjusted)</th><th>Significant</th></tr></thead><tbody>${comparison.pairwise.map(pair =>
+            `<tr><td>${escapeHtml(pair.faster)}</td><td>${escapeHtml(pair.slower)}</td><td>${formatMs(pair.meanDifference)}</td><td>${formatMs(pair.medianDifference)}</td><td>${pair.effectSize.toFixed(2)}</td><td>${pair.adjustedPValue.toFixed(4)}</td><td>${pair.significant ? 'yes' : 'no'}</td></tr>`).join('')}</tbody></table>`
+        : '';
+
+    return `<h4>Comparison</h4>${verdict}${rankings}${pairwise}`;
+}
+
+function geoTable(geoLocation) {
+    if (!geoLocation || !geoLocation.success) {
+        return `<p class="muted">Location unavailable${geoLocation && geoLocation.error ? `: ${escapeHtml(geoLocation.error)}` : ''}</p>`;
+    }
+    const fields = [['City', geoLocation.city], ['Region', geoLocation.region], ['Country', `${geoLocation.country} (${geoLocation.countryCode})`],
+        ['Coordinates', `${geoLocation.lat}, ${geoLocation.lon}`], ['Timezone', geoLocation.timezone], ['ISP', geoLocation.isp]];
+    return `<table><tbody>${fields.map(([label, value]) => `<tr><th>${label}</th><td>${escapeHtml(value ?? '–')}</td></tr>`).join('')}</tbody></table>`;
+}
+
+function operationSection(operationName, block) {
+    const { title } = OPERATIONS[operationName];
+    const series = Object.entries(block.services)
+        .map(([name, service], index) => {
+            const { unit, points } = timeline(service);
+            return { name, color: PALETTE[index % PALETTE.length], times: service.rawTimes || [], timeline: points, timelineUnit: unit };
+        })
+        .filter(entry => entry.times.length > 0);
+
+    const legend = `<p class="legend">${series.map(entry => `<span><i style="background:${entry.color}"></i>${escapeHtml(entry.name)}</span>`).join('')}</p>`;
+    const charts = series.length > 0
+        ? `${legend}<div class="charts">${[
+            figure('Latency histogram', histogramChart(series)),
+            figure('Cumulative distribution', cdfChart(series)),
+            figure('Box plot', boxPlotChart(series)),
+            figure('Samples over time', timeSeriesChart(series)),
+            ...sweepCharts(block)
+        ].join('')}</div>`
+        : '<p class="muted">No successful samples to chart.</p>';
+
+    return `<h3>${escapeHtml(title)}</h3>${statisticsTable(block.services)}${charts}${comparisonTable(block.comparison)}`;
+}
+
+function runSection(file, results) {
+    const scenario = results.config && results.config.scenario;
+    const heading = `${scenario ? `${scenario.name} — ` : ''}${results.timestamp}`;
+
+    return `<section class="run">
+<h2>${escapeHtml(heading)}</h2>
+<p class="muted">${escapeHtml(file)}${scenario && scenario.description ? ` · ${escapeHtml(scenario.description)}` : ''}</p>
+${resultOperations(results).map(operationName => operationSection(operationName, results[OPERATIONS[operationName].resultKey])).join('\n')}
+<h3>Location</h3>
+${geoTable(results.geoLocation)}
+<details><summary>Configuration</summary><pre>${escapeHtml(JSON.stringify(results.config, null, 2))}</pre></details>
+</section>`;
+}
+
+// Render result documents ([{ file, results }]) as one HTML page
+export function renderHtmlReport(runs, generatedAt = new Date().toISOString()) {
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>Signing Benchmark Report</title>
+<style>${STYLE}</style>
+</head>
+<body>
+<main>
+<h1>Signing Benchmark Report</h1>
+<p class="muted">Generated ${escapeHtml(generatedAt)} from ${runs.length} result file(s).</p>
+${runs.map(({ file, results }) => runSection(file, results)).join('\n')}
+</main>
+</body>
+</html>
+`;
+}
+
+// Load result files and write the HTML report; returns the output path
+export function writeHtmlReport(files, outputPath) {
+    const runs = files.map(file => ({ file, results: loadResults(file) }));
+    fs.mkdirSync(path.dirname(path.resolve(outputPath)), { recursive: true });
+    fs.writeFileSync(outputPath, renderHtmlReport(runs));
+    return outputPath;
+}
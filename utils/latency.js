@@ -0,0 +1,62 @@
+// Latency distributions for the mock provider and the HTTP stand-ins.
+// A spec is written as "<distribution>:<mean ms>[:<spread ms>]", e.g. "lognormal:250:40".
+
+const DISTRIBUTIONS = ['fixed', 'uniform', 'normal', 'lognormal', 'exponential'];
+
+export function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Standard normal sample (Box-Muller)
+function gaussian() {
+    const u = 1 - Math.random();
+    const v = Math.random();
+    return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+}
+
+// Parse a latency spec string (or pass through an already-parsed object)
+export function parseLatencySpec(spec, fallback = 'fixed:0') {
+    if (spec && typeof spec === 'object') {
+        return spec;
+    }
+
+    const [distribution, mean, spread] = String(spec || fallback).split(':');
+
+    if (!DISTRIBUTIONS.includes(distribution)) {
+        throw new Error(`Unknown latency distribution "${distribution}" (expected one of ${DISTRIBUTIONS.join(', ')})`);
+    }
+
+    const parsed = {
+        distribution,
+        mean: Number(mean || 0),
+        spread: Number(spread || 0)
+    };
+
+    if (Number.isNaN(parsed.mean) || Number.isNaN(parsed.spread)) {
+        throw new Error(`Invalid latency spec "${spec}"`);
+    }
+
+    return parsed;
+}
+
+// Build a function returning one latency sample (ms, never negative) per call
+export function createLatencySampler(spec, fallback) {
+    const { distribution, mean, spread } = parseLatencySpec(spec, fallback);
+
+    switch (distribution) {
+        case 'uniform':
+            return () => Math.max(0, mean - spread + Math.random() * 2 * spread);
+        case 'normal':
+            return () => Math.max(0, mean + gaussian() * spread);
+        case 'lognormal': {
+            // Parameterized so the samples have the requested mean and standard deviation
+            const sigma2 = mean > 0 ? Math.log(1 + (spread * spread) / (mean * mean)) : 0;
+            const mu = mean > 0 ? Math.log(mean) - sigma2 / 2 : 0;
+            return () => (mean > 0 ? Math.exp(mu + Math.sqrt(sigma2) * gaussian()) : 0);
+        }
+        case 'exponential':
+            return () => -Math.log(1 - Math.random()) * mean;
+        default:
+            return () => mean;
+    }
+}
@@ -0,0 +1,223 @@
+import { calculateStats } from './stats.js';
+import { sleep } from './latency.js';
+import { errorBreakdown } from './errors.js';
+
+// Load-testing mode. Requests are driven either closed-loop (a fixed number of
+// workers, each sending the next request as soon as the previous one returns) or
+// open-loop (requests arrive at a fixed rate whether or not earlier ones have
+// finished). A run is a list of stages so the load can be ramped up step by step.
+
+export const LOAD_MODES = ['closed', 'open'];
+
+const DEFAULT_DEGRADATION = {
+    latencyFactor: 2,    // p95 more than this multiple of the first stage's p95
+    errorRate: 0.05,     // more than this fraction of requests failing
+    throughputRatio: 0.9 // open loop: completed less than this fraction of the offered rate
+};
+
+// Parse "30s@4,30s@8" (duration@level) into stage objects
+export function parseStages(value, mode) {
+    const levelKey = mode === 'open' ? 'rate' : 'concurrency';
+
+    return value.split(',').map(part => {
+        const match = part.trim().match(/^(\d+(?:\.\d+)?)s?@(\d+(?:\.\d+)?)$/);
+        if (!match) {
+            throw new Error(`Invalid stage "${part}" (expected <seconds>s@<${levelKey}>)`);
+        }
+        return { duration: Number(match[1]), [levelKey]: Number(match[2]) };
+    });
+}
+
+// Resolve the stage list for a load config
+export function resolveStages(load) {
+    const levelKey = load.mode === 'open' ? 'rate' : 'concurrency';
+
+    const stages = load.stages && load.stages.length > 0
+        ? load.stages
+        : [{ duration: load.duration, [levelKey]: load[levelKey] }];
+
+    return stages.map((stage, index) => {
+        if (!(stage.duration > 0) || !(stage[levelKey] > 0)) {
+            throw new Error(`Load stage ${index + 1} needs a positive duration and ${levelKey}`);
+        }
+        return { duration: stage.duration, [levelKey]: stage[levelKey] };
+    });
+}
+
+// Minimal counting semaphore used to cap in-flight requests in open-loop mode
+function createSemaphore(limit) {
+    let available = limit;
+    const waiting = [];
+
+    return {
+        async acquire() {
+            if (available > 0) {
+                available--;
+                return;
+            }
+            await new Promise(resolve => waiting.push(resolve));
+        },
+        release() {
+            const next = waiting.shift();
+            if (next) {
+                next();
+            } else {
+                available++;
+            }
+        }
+    };
+}
+
+// One call through `measureCall`, which times it the same way as every other
+// benchmark (see measure() in utils/engine.js), placed on the load run's clock.
+// Waiting for the service's pacer is queueing, not latency.
+async function timedRequest(measureCall, scheduledAt, stageIndex, samples) {
+    const startedAt = performance.now();
+    const sample = await measureCall({ 'benchmark.stage': stageIndex + 1 });
+    const pacerQueue = sample.pacing && sample.pacing.queueMs ? sample.pacing.queueMs : 0;
+
+    samples.push({
+        stage: stageIndex,
+        scheduledAt,
+        startedAt,
+        endedAt: startedAt + pacerQueue + sample.latency,
+        queueDelay: Math.max(0, startedAt - scheduledAt) + pacerQueue,
+        ...sample
+    });
+}
+
+async function runClosedStage(measureCall, stage, stageIndex, samples) {
+    const stageEnd = performance.now() + stage.duration * 1000;
+
+    const worker = async () => {
+        while (performance.now() < stageEnd) {
+            await timedRequest(measureCall, performance.now(), stageIndex, samples);
+        }
+    };
+
+    await Promise.all(Array.from({ length: stage.concurrency }, worker));
+}
+
+async function runOpenStage(measureCall, stage, stageIndex, samples, maxInFlight) {
+    const stageStart = performance.now();
+    const stageEnd = stageStart + stage.duration * 1000;
+    const interval = 1000 / stage.rate;
+    const semaphore = createSemaphore(maxInFlight);
+    const inFlight = [];
+
+    for (let k = 0; ; k++) {
+        const scheduledAt = stageStart + k * interval;
+        if (scheduledAt >= stageEnd) {
+            break;
+        }
+
+        const wait = scheduledAt - performance.now();
+        if (wait > 0) {
+            await sleep(wait);
+        }
+
+        inFlight.push((async () => {
+            // Time spent waiting for a free slot counts as queueing delay
+            await semaphore.acquire();
+            try {
+                await timedRequest(measureCall, scheduledAt, stageIndex, samples);
+            } finally {
+                semaphore.release();
+            }
+        })());
+    }
+
+    await Promise.all(inFlight);
+}
+
+function summarizeStage(stage, stageIndex, samples, elapsedMs, mode) {
+    const stageSamples = samples.filter(sample => sample.stage === stageIndex);
+    const successful = stageSamples.filter(sample => sample.success);
+    const errors = stageSamples.length - successful.length;
+
+    return {
+        stage: stageIndex + 1,
+        duration: stage.duration,
+        ...(mode === 'open' ? { offeredRate: stage.rate } : { concurrency: stage.concurrency }),
+        requests: stageSamples.length,
+        errors,
+        errorRate: stageSamples.length > 0 ? errors / stageSamples.length : 0,
+        errorBreakdown: errorBreakdown(stageSamples),
+        throughput: successful.length / (elapsedMs / 1000),
+        latency: successful.length > 0 ? calculateStats(successful.map(sample => sample.latency)) : null,
+        // Response time includes queueing, so it is not subject to coordinated omission
+        responseTime: successful.length > 0 ? calculateStats(successful.map(sample => sample.endedAt - sample.scheduledAt)) : null,
+        queueDelay: stageSamples.length > 0 ? calculateStats(stageSamples.map(sample => sample.queueDelay)) : null
+    };
+}
+
+// Find the first stage where latency, errors or (open loop) throughput degrade.
+// Latency is judged on response time so queueing behind a saturated provider counts.
+export function findDegradationPoint(stages, thresholds = {}) {
+    const { latencyFactor, errorRate, throughputRatio } = { ...DEFAULT_DEGRADATION, ...thresholds };
+    const baseline = stages.find(stage => stage.responseTime);
+
+    for (const stage of stages) {
+        const reasons = [];
+
+        if (baseline && stage.responseTime && stage !== baseline && stage.responseTime.p95 > baseline.responseTime.p95 * latencyFactor) {
+            reasons.push(`p95 ${stage.responseTime.p95.toFixed(2)} ms exceeds ${latencyFactor}x the first stage (${baseline.responseTime.p95.toFixed(2)} ms)`);
+        }
+        if (stage.errorRate > errorRate) {
+            reasons.push(`error rate ${(stage.errorRate * 100).toFixed(1)}% exceeds ${(errorRate * 100).toFixed(1)}%`);
+        }
+        if (stage.offeredRate && stage.throughput < stage.offeredRate * throughputRatio) {
+            reasons.push(`throughput ${stage.throughput.toFixed(2)} req/s below ${(throughputRatio * 100).toFixed(0)}% of offered ${stage.offeredRate} req/s`);
+        }
+
+        if (reasons.length > 0) {
+            return {
+                stage: stage.stage,
+                ...(stage.offeredRate ? { offeredRate: stage.offeredRate } : { concurrency: stage.concurrency }),
+                reasons
+            };
+        }
+    }
+
+    return null;
+}
+
+// Drive `measureCall` according to the load config and summarize the outcome.
+// `measureCall(attributes)` makes one call and resolves to its sample, failed or not.
+export async function runLoad(measureCall, load) {
+    const stages = resolveStages(load);
+    const samples = [];
+    const runStart = performance.now();
+    const stageSummaries = [];
+
+    for (const [stageIndex, stage] of stages.entries()) {
+        const stageStart = performance.now();
+
+        if (load.mode === 'open') {
+            await runOpenStage(measureCall, stage, stageIndex, samples, load.maxInFlight || Infinity);
+        } else {
+            await runClosedStage(measureCall, stage, stageIndex, samples);
+        }
+
+        stageSummaries.push(summarizeStage(stage, stageIndex, samples, performance.now() - stageStart, load.mode));
+    }
+
+    const elapsedMs = performance.now() - runStart;
+    const successful = samples.filter(sample => sample.success);
+
+    return {
+        samples,
+        summary: {
+            mode: load.mode,
+            durationSeconds: elapsedMs / 1000,
+            requests: samples.length,
+            errors: samples.length - successful.length,
+            errorRate: samples.length > 0 ? (samples.length - successful.length) / samples.length : 0,
+            errorBreakdown: errorBreakdown(samples),
+            throughput: successful.length / (elapsedMs / 1000),
+            queueDelay: samples.length > 0 ? calculateStats(samples.map(sample => sample.queueDelay)) : null,
+            stages: stageSummaries,
+            degradationPoint: findDegradationPoint(stageSummaries, load.degradation)
+        }
+    };
+}
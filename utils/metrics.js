@@ -0,0 +1,326 @@
+import { OPERATIONS } from './engine.js';
+import { resultOperations } from './results.js';
+
+// Prometheus text exposition (format 0.0.4) for continuous benchmarking. A metrics
+// store accumulates every run the daemon completes: latency histograms and request
+// counters only ever grow, so Prometheus can rate() them, while the last-run gauges
+// describe the most recent measurement of each series.
+
+// Upper bounds (seconds) of the latency histogram buckets
+export const LATENCY_BUCKETS = [0.05, 0.1, 0.2, 0.3, 0.5, 0.75, 1, 1.5, 2, 3, 5, 10, 30];
+
+const SERIES_LABELS = ['service', 'operation', 'connection_mode', 'region', 'isp'];
+
+const FAMILIES = {
+    signing_latency_seconds: { type: 'histogram', help: 'Latency of successful signing requests' },
+    signing_requests_total: { type: 'counter', help: 'Signing requests by outcome (success or failure)' },
+    signing_errors_total: { type: 'counter', help: 'Failed signing requests by error class' },
+    signing_last_run_latency_seconds: { type: 'gauge', help: 'Latency quantiles of the most recent run' },
+    signing_last_run_error_ratio: { type: 'gauge', help: 'Fraction of failed requests in the most recent run' },
+    signing_last_run_timestamp_seconds: { type: 'gauge', help: 'Unix time of the most recent run that measured this series' },
+    signing_budget_breached: { type: 'gauge', help: '1 when the most recent run breached this latency budget, else 0' },
+    bench_runs_total: { type: 'counter', help: 'Benchmark runs by outcome (success or failure)' },
+    bench_last_run_timestamp_seconds: { type: 'gauge', help: 'Unix time the most recent benchmark run finished' },
+    bench_last_run_duration_seconds: { type: 'gauge', help: 'Wall-clock duration of the most recent benchmark run' }
+};
+
+// Families every healthy exporter exposes once a run has completed
+export const EXPECTED_FAMILIES = [
+    'signing_latency_seconds',
+    'signing_requests_total',
+    'signing_last_run_timestamp_seconds',
+    'bench_runs_total',
+    'bench_last_run_timestamp_seconds'
+];
+
+export function createMetricsStore() {
+    return {
+        series: new Map(),
+        budgets: new Map(),
+        runs: { success: 0, failure: 0 },
+        lastRunTimestamp: null,
+        lastRunDuration: null
+    };
+}
+
+function seriesLabels(geoLocation, serviceName, operationName, connectionMode) {
+    const located = geoLocation && geoLocation.success !== false;
+    return {
+        service: serviceName,
+        operation: operationName,
+        connection_mode: connectionMode,
+        region: (located && geoLocation.region) || 'unknown',
+        isp: (located && geoLocation.isp) || 'unknown'
+    };
+}
+
+function seriesFor(store, labels) {
+    const key = SERIES_LABELS.map(name => labels[name]).join('\u0000');
+    if (!store.series.has(key)) {
+        store.series.set(key, {
+            labels,
+            buckets: LATENCY_BUCKETS.map(() => 0),
+            count: 0,
+            sum: 0,
+            successes: 0,
+            failures: 0,
+            errors: {},
+            last: null
+        });
+    }
+    return store.series.get(key);
+}
+
+// Connection mode of a result block: its first mode, warm unless --connection-modes said otherwise
+function primaryMode(block) {
+    return block.connectionMode || 'warm';
+}
+
+// Add the services of one result block, measured in one connection mode
+function recordServices(store, services, labelsOf, finishedAt) {
+    for (const [serviceName, { rawTimes = [], statistics }] of Object.entries(services)) {
+        const series = seriesFor(store, labelsOf(serviceName));
+
+        for (const latency of rawTimes) {
+            const seconds = latency / 1000;
+            LATENCY_BUCKETS.forEach((bound, index) => {
+                if (seconds <= bound) series.buckets[index]++;
+            });
+            series.count++;
+            series.sum += seconds;
+        }
+
+        series.successes += statistics.successCount ?? rawTimes.length;
+        series.failures += statistics.failureCount ?? 0;
+        for (const [errorClass, count] of Object.entries(statistics.errorBreakdown || {})) {
+            series.errors[errorClass] = (series.errors[errorClass] || 0) + count;
+        }
+
+        const seconds = value => (value === null || value === undefined ? null : value / 1000);
+        series.last = {
+            timestamp: finishedAt,
+            errorRate: statistics.errorRate ?? 0,
+            quantiles: { '0.5': seconds(statistics.median), '0.95': seconds(statistics.p95), '0.99': seconds(statistics.p99) }
+        };
+    }
+}
+
+// Add one completed run (a result document) to the store. Every connection mode
+// the run measured is its own series; budgets only cover the first mode.
+export function recordRun(store, results, durationMs) {
+    const finishedAt = Date.parse(results.timestamp) / 1000;
+
+    for (const operationName of resultOperations(results)) {
+        const block = results[OPERATIONS[operationName].resultKey];
+        const modes = { [primaryMode(block)]: block, ...block.modes };
+
+        for (const [mode, { services }] of Object.entries(modes)) {
+            recordServices(store, services, serviceName => seriesLabels(results.geoLocation, serviceName, operationName, mode), finishedAt);
+        }
+    }
+
+    store.budgets.clear();
+    for (const check of (results.budgets && results.budgets.checks) || []) {
+        const mode = primaryMode(results[OPERATIONS[check.operation].resultKey]);
+        const labels = { ...seriesLabels(results.geoLocation, check.service, check.operation, mode), metric: check.metric };
+        const key = Object.values(labels).join('\u0000');
+        // Several budgets may cover the same metric; any breach counts
+        store.budgets.set(key, { labels, breached: (store.budgets.get(key) || { breached: false }).breached || !check.passed });
+    }
+
+    store.runs.success++;
+    store.lastRunTimestamp = finishedAt;
+    store.lastRunDuration = durationMs / 1000;
+}
+
+// Count a run that failed before producing results
+export function recordFailedRun(store, durationMs) {
+    store.runs.failure++;
+    store.lastRunTimestamp = Date.now() / 1000;
+    store.lastRunDuration = durationMs / 1000;
+}
+
+function escapeLabelValue(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(labels) {
+    const entries = Object.entries(labels);
+    return entries.length === 0 ? '' : `{${entries.map(([name, value]) => `${name}="${escapeLabelValue(value)}"`).join(',')}}`;
+}
+
+function formatValue(value) {
+    if (value === Infinity) return '+Inf';
+    if (value === -Infinity) return '-Inf';
+    if (Number.isNaN(value)) return 'NaN';
+    return String(value);
+}
+
+// Render the store in the Prometheus text format
+export function renderMetrics(store) {
+    const samples = Object.fromEntries(Object.keys(FAMILIES).map(name => [name, []]));
+    const add = (family, labels, value, suffix = '') => samples[family].push(`${family}${suffix}${formatLabels(labels)} ${formatValue(value)}`);
+
+    for (const series of store.series.values()) {
+        const { labels } = series;
+
+        LATENCY_BUCKETS.forEach((bound, index) => add('signing_latency_seconds', { ...labels, le: bound }, series.buckets[index], '_bucket'));
+        add('signing_latency_seconds', { ...labels, le: '+Inf' }, series.count, '_bucket');
+        add('signing_latency_seconds', labels, series.sum, '_sum');
+        add('signing_latency_seconds', labels, series.count, '_count');
+
+        add('signing_requests_total', { ...labels, outcome: 'success' }, series.successes);
+        add('signing_requests_total', { ...labels, outcome: 'failure' }, series.failures);
+        for (const [errorClass, count] of Object.entries(series.errors)) {
+            add('signing_errors_total', { ...labels, error_class: errorClass }, count);
+        }
+
+        if (series.last) {
+            for (const [quantile, value] of Object.entries(series.last.quantiles)) {
+                if (value !== null) add('signing_last_run_latency_seconds', { ...labels, quantile }, value);
+            }
+            add('signing_last_run_error_ratio', labels, series.last.errorRate);
+            add('signing_last_run_timestamp_seconds', labels, series.last.timestamp);
+        }
+    }
+
+    for (const { labels, breached } of store.budgets.values()) {
+        add('signing_budget_breached', labels, breached ? 1 : 0);
+    }
+
+    add('bench_runs_total', { outcome: 'success' }, store.runs.success);
+    add('bench_runs_total', { outcome: 'failure' }, store.runs.failure);
+    if (store.lastRunTimestamp !== null) {
+        add('bench_last_run_timestamp_seconds', {}, store.lastRunTimestamp);
+        add('bench_last_run_duration_seconds', {}, store.lastRunDuration);
+    }
+
+    const lines = [];
+    for (const [name, { type, help }] of Object.entries(FAMILIES)) {
+        if (samples[name].length > 0) {
+            lines.push(`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`, ...samples[name]);
+        }
+    }
+    return lines.join('\n') + '\n';
+}
+
+const SAMPLE_LINE = /^([a-zA-Z_:][a-zA-Z0-9_:]*)(?:\{(.*)\})?\s+(\S+)(?:\s+(-?\d+))?$/;
+const LABEL_PAIR = /\s*([a-zA-Z_][a-zA-Z0-9_]*)="((?:[^"\\]|\\.)*)"\s*(?:,|$)/y;
+
+function parseLabels(text) {
+    const labels = {};
+    LABEL_PAIR.lastIndex = 0;
+    while (LABEL_PAIR.lastIndex < text.length) {
+        const match = LABEL_PAIR.exec(text);
+        if (!match) {
+            return null;
+        }
+        labels[match[1]] = match[2].replace(/\\(["\\n])/g, (_, escaped) => (escaped === 'n' ? '\n' : escaped));
+    }
+    return labels;
+}
+
+function parseValue(text) {
+    if (text === '+Inf') return Infinity;
+    if (text === '-Inf') return -Infinity;
+    if (text === 'NaN') return NaN;
+    const value = Number(text);
+    return text.trim() !== '' && !Number.isNaN(value) ? value : undefined;
+}
+
+// Parse a scraped text payload into { [family]: { type, help, samples: [{ name, labels, value }] } }.
+// Lines that cannot be parsed are returned in `errors` instead of throwing.
+export function parseMetrics(text) {
+    const families = {};
+    const errors = [];
+    const familyFor = name => (families[name] = families[name] || { type: 'untyped', help: '', samples: [] });
+
+    text.split('\n').forEach((line, index) => {
+        if (line.trim() === '') {
+            return;
+        }
+
+        const meta = line.match(/^#\s+(HELP|TYPE)\s+(\S+)\s*(.*)$/);
+        if (meta) {
+            familyFor(meta[2])[meta[1] === 'HELP' ? 'help' : 'type'] = meta[3];
+            return;
+        }
+        if (line.startsWith('#')) {
+            return;
+        }
+
+        const match = line.match(SAMPLE_LINE);
+        const labels = match && parseLabels(match[2] || '');
+        const value = match && parseValue(match[3]);
+        if (!match || !labels || value === undefined) {
+            errors.push(`line ${index + 1}: cannot parse "${line}"`);
+            return;
+        }
+
+        const name = match[1];
+        const base = Object.keys(families).find(family =>
+            families[family].type === 'histogram' && [`${family}_bucket`, `${family}_sum`, `${family}_count`].includes(name)) || name;
+        familyFor(base).samples.push({ name, labels, value });
+    });
+
+    return { families, errors };
+}
+
+// Check a scraped payload: it must parse, contain the expected families, carry the
+// series labels, and every histogram must have cumulative buckets ending in +Inf = _count
+export function checkMetrics(text) {
+    const { families, errors } = parseMetrics(text);
+    const problems = [...errors];
+
+    for (const name of EXPECTED_FAMILIES) {
+        if (!families[name] || families[name].samples.length === 0) {
+            problems.push(`missing metric family ${name}`);
+        }
+    }
+
+    for (const [name, family] of Object.entries(families)) {
+        if (family.type === 'untyped') {
+            problems.push(`${name} has no TYPE line`);
+        }
+
+        if (name.startsWith('signing_')) {
+            family.samples
+                .filter(sample => SERIES_LABELS.some(label => !(label in sample.labels)))
+                .forEach(sample => problems.push(`${sample.name} is missing one of the labels ${SERIES_LABELS.join(', ')}`));
+        }
+
+        if (family.type === 'counter') {
+            family.samples
+                .filter(sample => !(sample.value >= 0))
+                .forEach(sample => problems.push(`${sample.name}${formatLabels(sample.labels)} is a negative counter`));
+        }
+
+        if (family.type === 'histogram') {
+            const byLabels = new Map();
+            for (const sample of family.samples) {
+                const { le, ...labels } = sample.labels;
+                const key = formatLabels(labels);
+                const series = byLabels.get(key) || { buckets: [], count: undefined };
+                if (sample.name.endsWith('_bucket')) series.buckets.push([parseValue(le), sample.value]);
+                if (sample.name.endsWith('_count')) series.count = sample.value;
+                byLabels.set(key, series);
+            }
+
+            for (const [key, { buckets, count }] of byLabels) {
+                buckets.sort((a, b) => a[0] - b[0]);
+                if (buckets.some(([, value], index) => index > 0 && value < buckets[index - 1][1])) {
+                    problems.push(`${name}${key} buckets are not cumulative`);
+                }
+                const last = buckets[buckets.length - 1];
+                if (!last || last[0] !== Infinity) {
+                    problems.push(`${name}${key} has no +Inf bucket`);
+                } else if (last[1] !== count) {
+                    problems.push(`${name}${key} +Inf bucket (${last[1]}) does not match _count (${count})`);
+                }
+            }
+        }
+    }
+
+    const series = Object.values(families).reduce((total, family) => total + family.samples.length, 0);
+    return { families: Object.keys(families).length, series, problems };
+}
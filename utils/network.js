@@ -0,0 +1,229 @@
+import diagnosticsChannel from 'diagnostics_channel';
+import { AsyncLocalStorage } from 'async_hooks';
+import tls from 'tls';
+
+// Network-level timing for the HTTP requests an adapter call makes. Requests are
+// seen through Node's diagnostics channels: `http.client.*` for the http/https
+// modules (axios, node-fetch, cross-fetch) and `undici:*` for fetch. Connection setup
+// is timed from the socket's own lookup/connect/secureConnect events. TLS sockets
+// are not announced on `net.client.socket`, so tls.connect is wrapped to see them
+// before the handshake starts. An AsyncLocalStorage context ties every request to
+// the sample whose call started it.
+//
+// Per request (ms): dns, connect (TCP), tls, ttfb (request written on a ready
+// connection until response headers), transfer (headers until the body ends) and
+// whether the connection was reused. dns/connect/tls are null on reused connections.
+// The response status and any rate-limit headers are kept as well.
+
+export const NETWORK_TIMINGS = ['dns', 'connect', 'tls', 'ttfb', 'transfer'];
+
+// Response headers kept on request records, for rate-limit handling (see utils/pacing.js)
+export const RATE_LIMIT_HEADERS = [
+    'retry-after',
+    'ratelimit-limit', 'ratelimit-remaining', 'ratelimit-reset',
+    'x-ratelimit-limit', 'x-ratelimit-remaining', 'x-ratelimit-reset', 'x-ratelimit-reset-after',
+    'x-rate-limit-limit', 'x-rate-limit-remaining', 'x-rate-limit-reset'
+];
+
+const storage = new AsyncLocalStorage();
+const sockets = new WeakMap();
+const requests = new WeakMap();
+let enabled = false;
+
+// Timestamps of a socket's connection setup, recorded from its creation
+function trackSocket(socket) {
+    if (sockets.has(socket)) {
+        return;
+    }
+
+    const timing = { createdAt: performance.now(), lookupAt: null, connectAt: null, secureAt: null, claimed: false };
+    sockets.set(socket, timing);
+    socket.once('lookup', () => { timing.lookupAt = performance.now(); });
+    socket.once('connect', () => { timing.connectAt = performance.now(); });
+    socket.once('secureConnect', () => { timing.secureAt = performance.now(); });
+}
+
+// Start a request record when the request was made inside a captured call
+function startRequest(request, method, origin) {
+    const capture = storage.getStore();
+    if (!capture) {
+        return;
+    }
+
+    const record = { method, origin, startedAt: performance.now(), socket: null, reused: null, sentAt: null, headersAt: null, endedAt: null, status: null, rateLimit: null, error: null };
+    capture.requests.push(record);
+    requests.set(request, record);
+}
+
+// Attach the connection a request was sent on. The first request on a newly
+// created socket owns its setup time; any later request reused the connection.
+function assignSocket(record, socket, reused) {
+    const timing = sockets.get(socket);
+    record.socket = socket;
+    record.reused = reused ?? (!timing || timing.claimed);
+    if (timing && !record.reused) {
+        timing.claimed = true;
+    }
+}
+
+// Status and rate-limit headers of a response; `entries` are [name, value] pairs
+function recordResponse(record, statusCode, entries) {
+    record.headersAt = performance.now();
+    record.status = statusCode;
+
+    const rateLimit = {};
+    for (const [name, value] of entries) {
+        const key = String(name).toLowerCase();
+        if (RATE_LIMIT_HEADERS.includes(key)) {
+            rateLimit[key] = String(value);
+        }
+    }
+    record.rateLimit = Object.keys(rateLimit).length > 0 ? rateLimit : null;
+}
+
+// undici hands over raw headers as a flat [name, value, name, value, ...] list of buffers
+function headerPairs(rawHeaders = []) {
+    const pairs = [];
+    for (let i = 0; i + 1 < rawHeaders.length; i += 2) {
+        pairs.push([rawHeaders[i].toString(), rawHeaders[i + 1].toString()]);
+    }
+    return pairs;
+}
+
+function onHttpRequest({ request }) {
+    startRequest(request, request.method, `${request.protocol}//${request.getHeader('host') || request.host}`);
+    const record = requests.get(request);
+    if (!record) {
+        return;
+    }
+
+    // A freshly created agent socket can already be attached when the channel fires
+    if (request.socket) {
+        assignSocket(record, request.socket, request.reusedSocket);
+    } else {
+        request.once('socket', socket => assignSocket(record, socket, request.reusedSocket));
+    }
+    request.once('finish', () => { record.sentAt = performance.now(); });
+    request.once('error', error => { record.error = error.message; });
+    request.once('response', response => {
+        recordResponse(record, response.statusCode, Object.entries(response.headers));
+        response.once('end', () => { record.endedAt = performance.now(); });
+    });
+}
+
+// Turn on request and connection tracking (idempotent)
+export function enableNetworkTiming() {
+    if (enabled) {
+        return;
+    }
+    enabled = true;
+
+    diagnosticsChannel.subscribe('net.client.socket', ({ socket }) => trackSocket(socket));
+    const connect = tls.connect;
+    tls.connect = function (...args) {
+        const socket = connect.apply(this, args);
+        trackSocket(socket);
+        return socket;
+    };
+
+    diagnosticsChannel.subscribe('http.client.request.start', onHttpRequest);
+
+    diagnosticsChannel.subscribe('undici:request:create', ({ request }) => startRequest(request, request.method, request.origin));
+    diagnosticsChannel.subscribe('undici:client:sendHeaders', ({ request, socket }) => {
+        const record = requests.get(request);
+        if (record) {
+            assignSocket(record, socket);
+            record.sentAt = performance.now();
+        }
+    });
+    diagnosticsChannel.subscribe('undici:request:headers', ({ request, response }) => {
+        const record = requests.get(request);
+        if (record) recordResponse(record, response.statusCode, headerPairs(response.headers));
+    });
+    diagnosticsChannel.subscribe('undici:request:trailers', ({ request }) => {
+        const record = requests.get(request);
+        if (record) record.endedAt = performance.now();
+    });
+    diagnosticsChannel.subscribe('undici:request:error', ({ request, error }) => {
+        const record = requests.get(request);
+        if (record) record.error = error.message;
+    });
+}
+
+function elapsed(from, to) {
+    return from !== null && to !== null && to >= from ? to - from : null;
+}
+
+// Timings (ms) of one request record
+function requestTimings(record) {
+    const timing = record.socket && !record.reused ? sockets.get(record.socket) : null;
+    let ready = record.startedAt;
+    let setup = { dns: null, connect: null, tls: null };
+
+    if (timing) {
+        const tcpStart = timing.lookupAt ?? timing.createdAt;
+        setup = {
+            dns: elapsed(timing.createdAt, timing.lookupAt),
+            connect: elapsed(tcpStart, timing.connectAt),
+            tls: elapsed(timing.connectAt, timing.secureAt)
+        };
+        ready = timing.secureAt ?? timing.connectAt ?? ready;
+    }
+
+    // Measured from whichever came last: the connection being ready or the request being written
+    const written = Math.max(ready, record.sentAt ?? ready);
+
+    return {
+        method: record.method,
+        origin: record.origin,
+        reused: record.reused ?? false,
+        ...setup,
+        ttfb: elapsed(written, record.headersAt),
+        transfer: elapsed(record.headersAt, record.endedAt),
+        total: elapsed(record.startedAt, record.endedAt ?? record.headersAt),
+        ...(record.status !== null ? { status: record.status } : {}),
+        ...(record.rateLimit ? { rateLimit: record.rateLimit } : {}),
+        ...(record.error ? { error: record.error } : {})
+    };
+}
+
+// Status and rate-limit headers of the responses the current captured call has
+// received so far, oldest first (empty outside a capture)
+export function capturedResponses() {
+    const capture = storage.getStore();
+    return capture
+        ? capture.requests.filter(record => record.status !== null).map(record => ({ status: record.status, rateLimit: record.rateLimit }))
+        : [];
+}
+
+// Run `fn` with every HTTP request it makes recorded. Returns the promise of `fn`
+// and a `summary()` to call once it has settled.
+export function captureNetwork(fn) {
+    const capture = { requests: [] };
+    const promise = storage.run(capture, fn);
+
+    return {
+        promise,
+        summary: () => summarizeRequests(capture.requests.map(requestTimings))
+    };
+}
+
+// Per-sample network breakdown: the timings summed over the call's requests, the
+// number of requests and new connections, and every request's own timings
+export function summarizeRequests(timedRequests) {
+    if (timedRequests.length === 0) {
+        return null;
+    }
+
+    const total = name => {
+        const values = timedRequests.map(request => request[name]).filter(value => value !== null);
+        return values.length > 0 ? values.reduce((sum, value) => sum + value, 0) : null;
+    };
+
+    return {
+        ...Object.fromEntries(NETWORK_TIMINGS.map(name => [name, total(name)])),
+        requestCount: timedRequests.length,
+        newConnections: timedRequests.filter(request => !request.reused).length,
+        requests: timedRequests
+    };
+}
@@ -0,0 +1,187 @@
+import { AsyncLocalStorage } from 'async_hooks';
+import { classifyError, errorStatus } from './errors.js';
+import { capturedResponses } from './network.js';
+import { sleep } from './latency.js';
+
+// Request pacing shared by every adapter call. Each service gets one pacer that
+// spaces call starts to at most `maxRps` and retries rate-limited calls. The wait
+// before a retry comes from the throttled response's Retry-After or rate-limit reset
+// header (read from the network capture, so it works the same for every SDK), or
+// else exponential backoff with jitter. A throttled response pauses every caller of
+// that service until the wait is over.
+//
+// Each call records its attempts, so a sample keeps the latency of its first attempt
+// apart from the latency including retries and every throttle event on the way. A
+// sample may cover several calls (a batch signed item by item): only the first
+// call's wait counts as queueing, and attempts and throttles add up across calls.
+
+export const DEFAULT_PACING = {
+    // Calls per second per service (null: unpaced); a number or { service: number }
+    maxRps: null,
+    maxRetries: 3,
+    backoffMs: 500,
+    maxBackoffMs: 30000
+};
+
+// Reset headers in order of preference
+const RESET_HEADERS = ['retry-after', 'ratelimit-reset', 'x-ratelimit-reset-after', 'x-ratelimit-reset', 'x-rate-limit-reset'];
+
+const storage = new AsyncLocalStorage();
+
+// Milliseconds until a reset header says to retry, or null if it cannot be read.
+// Retry-After is delta seconds or an HTTP date; the reset headers are delta seconds
+// or, when the value is that large, an epoch timestamp in seconds or milliseconds.
+function resetDelay(name, value, now) {
+    const number = Number(value);
+
+    if (name === 'retry-after' && !Number.isFinite(number)) {
+        const date = Date.parse(value);
+        return Number.isNaN(date) ? null : Math.max(0, date - now);
+    }
+    if (!Number.isFinite(number)) {
+        return null;
+    }
+    if (number > 1e12) {
+        return Math.max(0, number - now);
+    }
+    if (number > 1e9) {
+        return Math.max(0, number * 1000 - now);
+    }
+    return Math.max(0, number * 1000);
+}
+
+// Wait requested by rate-limit headers: { waitMs, source } or null
+export function headerDelay(headers, now = Date.now()) {
+    if (!headers) {
+        return null;
+    }
+
+    for (const name of RESET_HEADERS) {
+        const value = typeof headers.get === 'function' ? headers.get(name) : headers[name];
+        if (value === undefined || value === null) {
+            continue;
+        }
+        const waitMs = resetDelay(name, String(value), now);
+        if (waitMs !== null) {
+            return { waitMs, source: name };
+        }
+    }
+    return null;
+}
+
+// Rate-limit headers of a throttled attempt: the last 429 (or the last response
+// carrying rate-limit headers) it received, else whatever the SDK put on the error
+function throttleHeaders(responses, error) {
+    const throttled = responses.filter(response => response.rateLimit);
+    const response = throttled.find(candidate => candidate.status === 429) || throttled[throttled.length - 1];
+    if (response) {
+        return response.rateLimit;
+    }
+    return (error.response && error.response.headers) || error.headers || null;
+}
+
+// Per-service max RPS from a number or a { service: rps } map (directory or service name)
+export function resolveMaxRps(maxRps, ...names) {
+    if (maxRps === null || maxRps === undefined || typeof maxRps === 'number') {
+        return maxRps ?? null;
+    }
+    const key = Object.keys(maxRps).find(candidate => names.some(name => name && name.toLowerCase() === candidate.toLowerCase()));
+    return key ? maxRps[key] : null;
+}
+
+export function createPacer(options = {}) {
+    const { maxRps, maxRetries, backoffMs, maxBackoffMs } = { ...DEFAULT_PACING, ...options };
+    const interval = maxRps ? 1000 / maxRps : 0;
+    let nextStart = 0;
+    let pausedUntil = 0;
+
+    // Reserve the next start slot; resolves once it has come (returns the wait in ms)
+    async function acquire() {
+        const now = performance.now();
+        const start = Math.max(now, nextStart, pausedUntil);
+        nextStart = start + interval;
+        if (start > now) {
+            await sleep(start - now);
+        }
+        return start - now;
+    }
+
+    function backoff(attempt) {
+        const delay = Math.min(maxBackoffMs, backoffMs * 2 ** (attempt - 1));
+        return delay / 2 + Math.random() * delay / 2;
+    }
+
+    return {
+        maxRps: maxRps || null,
+
+        // Run `attempt` under the pacer, retrying it while it is rate limited
+        async run(attempt) {
+            const record = storage.getStore();
+            const first = record && ++record.calls === 1;
+
+            for (let number = 1; ; number++) {
+                const waited = await acquire();
+                if (record) {
+                    // Only pacing before the first attempt is queueing; later waits belong to the retries
+                    if (first && number === 1) record.queueMs = waited;
+                    record.attempts++;
+                }
+
+                const start = performance.now();
+                const seen = capturedResponses().length;
+                try {
+                    const result = await attempt();
+                    if (first && number === 1) record.firstAttemptLatency = performance.now() - start;
+                    return result;
+                } catch (error) {
+                    const latency = performance.now() - start;
+                    if (first && number === 1) record.firstAttemptLatency = latency;
+                    if (classifyError(error) !== 'rate_limit') {
+                        throw error;
+                    }
+
+                    const requested = headerDelay(throttleHeaders(capturedResponses().slice(seen), error));
+                    const delay = requested || { waitMs: backoff(number), source: 'backoff' };
+                    const retry = number <= maxRetries;
+                    if (record) {
+                        record.throttles.push({
+                            attempt: number,
+                            status: errorStatus(error) ?? 429,
+                            latency,
+                            waitMs: retry ? delay.waitMs : 0,
+                            source: delay.source,
+                            retried: retry
+                        });
+                    }
+                    if (!retry) {
+                        throw error;
+                    }
+                    pausedUntil = Math.max(pausedUntil, performance.now() + delay.waitMs);
+                }
+            }
+        }
+    };
+}
+
+// Run `fn` with the pacing of its calls recorded. Returns the promise of `fn` and a
+// `summary()` to call once it has settled: null when the call was neither queued
+// nor throttled, else { queueMs, attempts, firstAttemptLatency, throttles }.
+export function capturePacing(fn) {
+    const record = { calls: 0, queueMs: 0, attempts: 0, firstAttemptLatency: null, throttles: [] };
+    const promise = storage.run(record, fn);
+
+    return {
+        promise,
+        summary: () => {
+            if (record.throttles.length === 0 && record.queueMs < 1) {
+                return null;
+            }
+            return {
+                ...(record.queueMs >= 1 ? { queueMs: record.queueMs } : {}),
+                ...(record.throttles.length > 0
+                    ? { attempts: record.attempts, firstAttemptLatency: record.firstAttemptLatency, throttles: record.throttles }
+                    : {})
+            };
+        }
+    };
+}
@@ -0,0 +1,48 @@
+// Sub-phase timing for adapter calls. Transaction signing is split into the RPC
+// blockhash fetch, building/serializing the transaction and the provider signing
+// call, so Solana RPC latency can be told apart from the signing service itself.
+// Solana transactions are built by the harness (see utils/workloads.js) but inside
+// the adapter's call, after the blockhash it may have to fetch.
+
+import { withSpan } from './tracing.js';
+
+export const TRANSACTION_PHASES = ['blockhash', 'build', 'sign'];
+
+// Times named phases of one call; `timings` maps phase name to milliseconds.
+// Each phase is also a child span of the call's trace span.
+export function createPhaseTimer() {
+    const timings = {};
+
+    return {
+        timings,
+        time(phase, fn) {
+            return withSpan(phase, { 'benchmark.phase': phase }, async () => {
+                const start = performance.now();
+                try {
+                    return await fn();
+                } finally {
+                    timings[phase] = (timings[phase] || 0) + (performance.now() - start);
+                }
+            });
+        }
+    };
+}
+
+// Use the blockhash prefetched by the harness when there is one, otherwise fetch
+// it inside the call as the 'blockhash' phase
+export async function resolveBlockhash(phases, connection, transactionConfig) {
+    if (transactionConfig.blockhash) {
+        return transactionConfig.blockhash;
+    }
+
+    const { blockhash } = await phases.time('blockhash', () => connection.getLatestBlockhash());
+    return blockhash;
+}
+
+// The serialized unsigned transaction to sign (a list of them for a batch): the
+// harness's `build(blockhash)`, timed as the 'build' phase, with the blockhash from
+// resolveBlockhash
+export async function resolveTransaction(phases, connection, transactionConfig) {
+    const blockhash = await resolveBlockhash(phases, connection, transactionConfig);
+    return phases.time('build', () => transactionConfig.build(blockhash));
+}
@@ -0,0 +1,245 @@
+import fs from 'fs';
+import path from 'path';
+import { OPERATIONS } from './engine.js';
+import { mannWhitneyU, holmAdjust, trimOutliers } from './stats.js';
+import { buildHistogram } from './histogram.js';
+import { WRITERS } from './writers.js';
+import { budgetReport } from './budgets.js';
+
+const RESULTS_DIR = 'results';
+
+// Rank services by mean time for one operation. Services without a single
+// successful request have no latency to rank and are left out.
+//
+// Every pair of services is compared with a two-sided Mann-Whitney U test on the raw
+// latencies (Holm-adjusted across pairs). Walking down the mean ordering, a service
+// only gets a worse rank than the leader of the current rank when it is
+// significantly slower; otherwise the two share a rank. `fastest` is only declared
+// when a single service holds rank 1. With `trimOutliers` the test leaves out the
+// same Tukey outliers the means were computed without, so ordering and test use
+// one sample set.
+export function buildComparison(statistics, rawTimes = {}, { alpha = 0.05, trimOutliers: trim = false } = {}) {
+    const serviceNames = Object.keys(statistics).filter(serviceName => statistics[serviceName].mean != null);
+    if (serviceNames.length < 2) {
+        return {};
+    }
+
+    const sortedServices = [...serviceNames].sort((a, b) => statistics[a].mean - statistics[b].mean);
+    const hasSamples = sortedServices.every(serviceName => rawTimes[serviceName] && rawTimes[serviceName].length > 0);
+
+    if (!hasSamples) {
+        // Without raw latencies there is nothing to test; rank by mean as before
+        return {
+            fastest: sortedServices[0],
+            slowest: sortedServices[sortedServices.length - 1],
+            rankings: sortedServices.map((serviceName, index) => ({
+                rank: index + 1,
+                service: serviceName,
+                meanTime: statistics[serviceName].mean
+            }))
+        };
+    }
+
+    const tested = Object.fromEntries(sortedServices.map(serviceName =>
+        [serviceName, trim ? trimOutliers(rawTimes[serviceName]) : rawTimes[serviceName]]));
+
+    const pairwise = [];
+    sortedServices.forEach((a, i) => {
+        sortedServices.slice(i + 1).forEach(b => {
+            const test = mannWhitneyU(tested[b], tested[a]);
+            pairwise.push({
+                faster: a,
+                slower: b,
+                meanDifference: statistics[b].mean - statistics[a].mean,
+                medianDifference: statistics[b].median - statistics[a].median,
+                // Rank-biserial correlation: 1 means every sample of `slower` exceeds every sample of `faster`
+                effectSize: test.effectSize,
+                pValue: test.pValue
+            });
+        });
+    });
+
+    holmAdjust(pairwise.map(pair => pair.pValue)).forEach((adjusted, index) => {
+        pairwise[index].adjustedPValue = adjusted;
+        pairwise[index].significant = adjusted < alpha;
+    });
+
+    const pairFor = (a, b) => pairwise.find(pair => pair.faster === a && pair.slower === b);
+
+    const rankings = [];
+    let leader = sortedServices[0];
+    let rank = 1;
+    sortedServices.forEach((serviceName, index) => {
+        if (index > 0 && pairFor(leader, serviceName).significant) {
+            rank = index + 1;
+            leader = serviceName;
+        }
+        rankings.push({
+            rank,
+            service: serviceName,
+            meanTime: statistics[serviceName].mean,
+            ...(index > 0 ? { pValueVsLeader: pairFor(sortedServices[0], serviceName).adjustedPValue } : {})
+        });
+    });
+
+    const lastRank = rankings[rankings.length - 1].rank;
+    const atRank = rankValue => rankings.filter(entry => entry.rank === rankValue);
+
+    return {
+        fastest: atRank(1).length === 1 ? rankings[0].service : null,
+        slowest: atRank(lastRank).length === 1 && lastRank > 1 ? rankings[rankings.length - 1].service : null,
+        conclusive: atRank(1).length === 1,
+        alpha,
+        test: 'mann-whitney-u (two-sided, Holm-adjusted)',
+        rankings,
+        pairwise
+    };
+}
+
+// Services and comparison of one operation's measurements
+function buildBlock({ statistics, rawTimes, samples = {}, dropped = {} }, config) {
+    const block = { services: {}, comparison: buildComparison(statistics, rawTimes, config.analysis) };
+    // Services that should have run but have no results, with the reason
+    if (Object.keys(dropped).length > 0) {
+        block.dropped = dropped;
+    }
+
+    Object.keys(statistics).forEach(serviceName => {
+        block.services[serviceName] = {
+            rawTimes: rawTimes[serviceName],
+            histogram: buildHistogram(rawTimes[serviceName]),
+            ...(samples[serviceName] ? { samples: samples[serviceName] } : {}),
+            statistics: statistics[serviceName]
+        };
+    });
+
+    return block;
+}
+
+// Assemble the result document saved for a run
+export function buildResults(measurements, config, geoLocation) {
+    const operationNames = Object.keys(measurements);
+    const results = {
+        timestamp: new Date().toISOString(),
+        geoLocation: geoLocation || { success: false, error: "Location data not available" },
+        benchmarkType: operationNames.length === 1 ? OPERATIONS[operationNames[0]].benchmarkType : "comprehensive",
+        config: config
+    };
+
+    for (const operationName of operationNames) {
+        const { connectionMode, modes, ...measurement } = measurements[operationName];
+        const block = buildBlock(measurement, config);
+
+        // Further connection modes sit next to the first one, each with its own comparison
+        if (modes) {
+            block.connectionMode = connectionMode;
+            block.modes = Object.fromEntries(Object.entries(modes).map(([mode, modeMeasurement]) => [mode, buildBlock(modeMeasurement, config)]));
+        }
+
+        results[OPERATIONS[operationName].resultKey] = block;
+    }
+
+    if (config.budgets && config.budgets.length > 0) {
+        results.budgets = budgetReport(results, config.budgets);
+    }
+
+    return results;
+}
+
+// Save results in every format listed in `formats` (see WRITERS).
+// Returns the written file per format, e.g. { json: 'results/...json' }.
+export function saveResults(results, resultsDir = RESULTS_DIR, formats = ['json']) {
+    const unknown = formats.filter(format => !WRITERS[format]);
+    if (unknown.length > 0) {
+        throw new Error(`Unknown output format "${unknown[0]}" (expected one of ${Object.keys(WRITERS).join(', ')})`);
+    }
+
+    // Create results directory if it doesn't exist
+    if (!fs.existsSync(resultsDir)) {
+        fs.mkdirSync(resultsDir, { recursive: true });
+        console.log(`📁 Created results directory: ${resultsDir}`);
+    }
+
+    const operation = Object.values(OPERATIONS).find(op => op.benchmarkType === results.benchmarkType);
+    const prefix = operation ? operation.filePrefix : 'comprehensive-benchmark';
+    const scenario = results.config.scenario ? `${results.config.scenario.name}-` : '';
+    const basename = `${prefix}-${scenario}${results.timestamp.replace(/[:.]/g, '-')}`;
+
+    const written = {};
+    for (const format of formats) {
+        const filepath = path.join(resultsDir, basename + WRITERS[format].extension);
+        fs.writeFileSync(filepath, WRITERS[format].write(results));
+        console.log(`💾 Results saved to: ${filepath}`);
+        written[format] = filepath;
+    }
+
+    return written;
+}
+
+// Names of the operations present in a (normalized) result document
+export function resultOperations(results) {
+    return Object.keys(OPERATIONS).filter(operationName => results[OPERATIONS[operationName].resultKey]);
+}
+
+// Bring result files written by the older single-purpose scripts into the current shape
+function normalizeShape(results) {
+    const operation = Object.entries(OPERATIONS).find(([, op]) => op.benchmarkType === results.benchmarkType);
+
+    if (operation && results.services) {
+        const [operationName, { resultKey }] = operation;
+        const { services, comparison, config = {}, ...rest } = results;
+        const { iterations, warmupIterations, message, ...operationConfig } = config;
+
+        return {
+            ...rest,
+            config: {
+                operations: [operationName],
+                [operationName]: {
+                    iterations,
+                    warmupIterations,
+                    ...(operationName === 'message' ? { testMessage: message } : operationConfig)
+                }
+            },
+            [resultKey]: { services, comparison: comparison || {} }
+        };
+    }
+
+    if (results.config && !results.config.operations) {
+        return {
+            ...results,
+            config: { ...results.config, operations: resultOperations(results) }
+        };
+    }
+
+    return results;
+}
+
+// Files written before significance testing only carry a mean ranking; rebuild
+// their comparison from the stored raw latencies so reports are judged the same way
+function refreshComparisons(results) {
+    for (const operationName of resultOperations(results)) {
+        const block = results[OPERATIONS[operationName].resultKey];
+        if (block.comparison && block.comparison.pairwise) {
+            continue;
+        }
+
+        const statistics = {};
+        const rawTimes = {};
+        for (const [serviceName, service] of Object.entries(block.services)) {
+            statistics[serviceName] = service.statistics;
+            rawTimes[serviceName] = service.rawTimes;
+        }
+        block.comparison = buildComparison(statistics, rawTimes, results.config && results.config.analysis);
+    }
+    return results;
+}
+
+export function normalizeResults(results) {
+    return refreshComparisons(normalizeShape(results));
+}
+
+// Load and normalize a saved result file
+export function loadResults(filepath) {
+    const results = JSON.parse(fs.readFileSync(filepath, 'utf8'));
+    return normalizeResults(results);
+}
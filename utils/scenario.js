@@ -0,0 +1,114 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import Ajv from 'ajv';
+import YAML from 'yaml';
+import { DEFAULT_CONFIG } from './config.js';
+import { resolveEvmChainId } from './evm.js';
+import { BATCH_OPERATIONS, SOLANA_TRANSACTION_OPERATIONS } from './engine.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+export const SCENARIO_SCHEMA_PATH = path.join(__dirname, '../schemas/scenario.schema.json');
+
+let validator;
+
+function getValidator() {
+    if (!validator) {
+        const schema = JSON.parse(fs.readFileSync(SCENARIO_SCHEMA_PATH, 'utf8'));
+        validator = new Ajv({ allErrors: true }).compile(schema);
+    }
+    return validator;
+}
+
+// Parse a scenario file as YAML or JSON depending on its extension
+function parseScenarioFile(filepath) {
+    const source = fs.readFileSync(filepath, 'utf8');
+    const extension = path.extname(filepath).toLowerCase();
+
+    if (extension === '.yaml' || extension === '.yml') {
+        return YAML.parse(source);
+    }
+    if (extension === '.json') {
+        return JSON.parse(source);
+    }
+
+    throw new Error(`Unsupported scenario file type "${extension}" (expected .yaml, .yml or .json)`);
+}
+
+// Validate a parsed scenario against the JSON Schema; returns a list of readable errors
+export function validateScenario(scenario) {
+    const validate = getValidator();
+    if (validate(scenario)) {
+        return [];
+    }
+
+    return validate.errors.map(error => {
+        const location = error.instancePath || '(root)';
+        const detail = error.params && error.params.additionalProperty
+            ? ` "${error.params.additionalProperty}"`
+            : error.params && error.params.allowedValues
+                ? ` (${error.params.allowedValues.join(', ')})`
+                : '';
+        return `${location} ${error.message}${detail}`;
+    });
+}
+
+// Turn a validated scenario into a full benchmark config
+export function scenarioToConfig(scenario, baseConfig = DEFAULT_CONFIG) {
+    const config = structuredClone(baseConfig);
+
+    if (scenario.operations) config.operations = [...scenario.operations];
+    if (scenario.concurrency !== undefined) config.concurrency = scenario.concurrency;
+    if (scenario.timeoutMs !== undefined) config.timeoutMs = scenario.timeoutMs;
+    if (scenario.load) config.load = structuredClone(scenario.load);
+    if (scenario.budgets) config.budgets = structuredClone(scenario.budgets);
+
+    config.analysis = { ...config.analysis, ...scenario.analysis };
+    config.services = { ...config.services, ...scenario.services };
+    config.output = { ...config.output, ...scenario.output };
+    config.connections = { ...config.connections, ...scenario.connections };
+    config.pacing = { ...config.pacing, ...structuredClone(scenario.pacing) };
+    config.message = { ...config.message, ...scenario.message };
+    config.transaction = { ...config.transaction, ...scenario.transaction };
+    config.createWallet = { ...config.createWallet, ...scenario.createWallet };
+    config.getWallet = { ...config.getWallet, ...scenario.getWallet };
+    config.listWallets = { ...config.listWallets, ...scenario.listWallets };
+    if (scenario.evm) config.evm = { ...config.evm, chainId: resolveEvmChainId(scenario.evm.chain) };
+    config.evmMessage = { ...config.evmMessage, ...scenario.evmMessage };
+    config.evmTypedData = { ...config.evmTypedData, ...scenario.evmTypedData };
+    config.evmTransaction = { ...config.evmTransaction, ...scenario.evmTransaction };
+    config.evmCreateWallet = { ...config.evmCreateWallet, ...scenario.evmCreateWallet };
+    config.workloads = { ...config.workloads, ...scenario.workloads };
+    config.batch = { ...config.batch, ...structuredClone(scenario.batch) };
+    config.sweep = { ...config.sweep, ...structuredClone(scenario.sweep) };
+    for (const name of new Set([...SOLANA_TRANSACTION_OPERATIONS.filter(name => name !== 'transaction'), ...BATCH_OPERATIONS, 'messageSweep'])) {
+        config[name] = { ...config[name], ...scenario[name] };
+    }
+    config.scenario = {
+        name: scenario.name,
+        description: scenario.description
+    };
+
+    return config;
+}
+
+// Load, validate and convert a scenario file. Throws with every schema error listed.
+export function loadScenario(filepath) {
+    let scenario;
+    try {
+        scenario = parseScenarioFile(filepath);
+    } catch (error) {
+        throw new Error(`${filepath}: ${error.message}`);
+    }
+
+    const errors = validateScenario(scenario);
+    if (errors.length > 0) {
+        throw new Error(`${filepath} is not a valid scenario:\n${errors.map(error => `   • ${error}`).join('\n')}`);
+    }
+
+    const config = scenarioToConfig(scenario);
+    config.scenario.file = filepath;
+    return config;
+}
@@ -1,6 +1,8 @@
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { TRANSACTION_FORMATS } from './workloads.js';
+import { PAYLOAD_KINDS } from './sweep.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -56,14 +58,36 @@ export async function initializeServices(services) {
     return initializedServices;
 }
 
-// Create wallets for all services
-export async function createWalletsForServices(initializedServices) {
+// Chains a service can create wallets and sign on; adapters that do not declare
+// `chains` are Solana-only
+export function serviceChains(serviceModule) {
+    return serviceModule.chains || ['solana'];
+}
+
+// Solana transaction formats a service signs ('legacy', 'v0'); adapters that do
+// not declare `transactionFormats` are taken to sign both
+export function serviceTransactionFormats(serviceModule) {
+    return serviceModule.transactionFormats || TRANSACTION_FORMATS;
+}
+
+// Message payload kinds a service's signMessage takes ('utf8', 'binary', 'offchain');
+// adapters that do not declare `messagePayloads` are taken to sign them all
+export function serviceMessagePayloads(serviceModule) {
+    return serviceModule.messagePayloads || PAYLOAD_KINDS;
+}
+
+// Create wallets on `chain` for all services that support it, through their pacers when given
+export async function createWalletsForServices(initializedServices, pacers = {}, chain = 'solana') {
     const wallets = {};
     
     for (const [serviceName, service] of Object.entries(initializedServices)) {
+        if (!serviceChains(service.module).includes(chain)) {
+            continue;
+        }
         try {
-            console.log(`Creating wallet for ${service.name}...`);
-            const wallet = await service.module.createWallet(service.instance);
+            console.log(`Creating ${chain === 'solana' ? '' : `${chain} `}wallet for ${service.name}...`);
+            const create = () => service.module.createWallet(service.instance, chain);
+            const wallet = await (pacers[serviceName] ? pacers[serviceName].run(create) : create());
             wallets[serviceName] = {
                 ...wallet,
                 serviceName: service.name
@@ -2,7 +2,7 @@
  * Sign a message with a Turnkey Solana address.
  * @param signer
  * @param fromAddress
- * @param message
+ * @param message UTF-8 string or raw bytes (Uint8Array)
  */
 export async function signMessage(input)  {
   const { signer, fromAddress, message } = input;
@@ -0,0 +1,35 @@
+import { Connection, clusterApiUrl } from '@solana/web3.js';
+
+// Blockhashes stay valid for roughly 60-90 seconds; refresh well within that
+const BLOCKHASH_REFRESH_MS = 20000;
+
+let connection;
+
+// Harness-side RPC connection, pointed at the same endpoint as the adapters
+export function getConnection() {
+    if (!connection) {
+        connection = new Connection(process.env.SOLANA_RPC_URL || clusterApiUrl('devnet'));
+    }
+    return connection;
+}
+
+// Fetch a blockhash up front and keep it fresh in the background so that
+// prefetching never adds RPC time to a measured request
+export async function startBlockhashRefresher(refreshMs = BLOCKHASH_REFRESH_MS) {
+    const rpc = getConnection();
+    let { blockhash } = await rpc.getLatestBlockhash();
+
+    const timer = setInterval(async () => {
+        try {
+            ({ blockhash } = await rpc.getLatestBlockhash());
+        } catch (error) {
+            console.log(`⚠️  Could not refresh blockhash, reusing the previous one: ${error.message}`);
+        }
+    }, refreshMs);
+    timer.unref();
+
+    return {
+        current: () => blockhash,
+        stop: () => clearInterval(timer)
+    };
+}
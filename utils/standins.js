@@ -0,0 +1,577 @@
+import http from 'http';
+import crypto from 'crypto';
+import bs58 from 'bs58';
+import { PublicKey } from '@solana/web3.js';
+import { parseSignature, parseTransaction } from 'viem';
+import { generateKeypair, signBytes, signSerializedTransaction } from './ed25519.js';
+import { generateEvmAccount } from './evm.js';
+import { createLatencySampler, sleep } from './latency.js';
+
+// Local HTTP stand-ins for the Privy, Turnkey and Coinbase CDP wallet APIs and the
+// Solana JSON-RPC endpoint. The real SDK clients are pointed at these through the
+// base URL environment variables returned by startStandins(); every response is
+// signed with a real local key (ed25519 for Solana, secp256k1 for EVM) so the
+// results look like the providers' own.
+
+const DEFAULT_OPTIONS = {
+    port: 0,
+    delayMs: 0,
+    jitterMs: 0,
+    errorRate: 0,
+    rateLimitRate: 0
+};
+
+// Provider-shaped error bodies for injected failures
+const ERROR_BODIES = {
+    privy: {
+        500: { error: 'Internal server error (stand-in)' },
+        429: { error: 'Too many requests (stand-in)' }
+    },
+    turnkey: {
+        500: { code: 13, message: 'internal error (stand-in)', details: [] },
+        429: { code: 8, message: 'rate limit exceeded (stand-in)', details: [] }
+    },
+    coinbase: {
+        500: { errorType: 'internal_server_error', errorMessage: 'Internal server error (stand-in)' },
+        429: { errorType: 'rate_limit_exceeded', errorMessage: 'Rate limit exceeded (stand-in)' }
+    },
+    solana: {
+        500: { jsonrpc: '2.0', error: { code: -32603, message: 'Internal error (stand-in)' }, id: null },
+        429: { jsonrpc: '2.0', error: { code: 429, message: 'Too many requests (stand-in)' }, id: null }
+    }
+};
+
+class StandinError extends Error {
+    constructor(status, message) {
+        super(message);
+        this.status = status;
+    }
+}
+
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        req.on('data', chunk => chunks.push(chunk));
+        req.on('end', () => {
+            const raw = Buffer.concat(chunks).toString('utf8');
+            try {
+                resolve(raw ? JSON.parse(raw) : {});
+            } catch (error) {
+                reject(new StandinError(400, `Invalid JSON body: ${error.message}`));
+            }
+        });
+        req.on('error', reject);
+    });
+}
+
+function createKeyStore() {
+    const keys = new Map();
+
+    return {
+        create() {
+            const keypair = generateKeypair();
+            keys.set(keypair.address, keypair);
+            return keypair;
+        },
+        seedFor(address) {
+            const keypair = keys.get(address);
+            if (!keypair) {
+                throw new StandinError(404, `Unknown wallet address ${address}`);
+            }
+            return keypair.seed;
+        },
+        all() {
+            return [...keys.values()];
+        }
+    };
+}
+
+// Local secp256k1 accounts by address (EVM addresses are matched case-insensitively)
+function createEvmKeyStore() {
+    const accounts = new Map();
+
+    return {
+        create() {
+            const account = generateEvmAccount();
+            accounts.set(account.address.toLowerCase(), account);
+            return account;
+        },
+        accountFor(address) {
+            const account = accounts.get(String(address).toLowerCase());
+            if (!account) {
+                throw new StandinError(404, `Unknown wallet address ${address}`);
+            }
+            return account;
+        },
+        has(address) {
+            return accounts.has(String(address).toLowerCase());
+        },
+        all() {
+            return [...accounts.values()];
+        }
+    };
+}
+
+// EIP-712 payload for a viem account: the domain type is derived, not passed in
+function typedDataFor({ domain, types, primaryType, message }) {
+    const { EIP712Domain, ...rest } = types;
+    return { domain, types: rest, primaryType, message };
+}
+
+// Sign an unsigned EIP-1559 transaction given as RLP hex (with or without 0x)
+function signEvmTransaction(account, unsignedHex) {
+    const hex = unsignedHex.startsWith('0x') ? unsignedHex : `0x${unsignedHex}`;
+    return account.signTransaction(parseTransaction(hex));
+}
+
+// Privy's eth_signTransaction fields (snake_case, hex or decimal quantities) as a viem transaction
+function privyTransaction(transaction) {
+    const quantity = value => (value === undefined || value === null ? undefined : BigInt(value));
+    return {
+        type: 'eip1559',
+        chainId: Number(transaction.chain_id),
+        nonce: Number(transaction.nonce ?? 0),
+        to: transaction.to,
+        value: quantity(transaction.value),
+        data: transaction.data,
+        gas: quantity(transaction.gas_limit),
+        maxFeePerGas: quantity(transaction.max_fee_per_gas),
+        maxPriorityFeePerGas: quantity(transaction.max_priority_fee_per_gas)
+    };
+}
+
+// Privy wallet API (https://api.privy.io)
+function createPrivyHandler() {
+    const store = createKeyStore();
+    const evmStore = createEvmKeyStore();
+    const wallets = new Map();
+
+    const walletView = wallet => ({
+        id: wallet.id,
+        address: wallet.address,
+        chain_type: wallet.chainType,
+        policy_ids: [],
+        owner_id: null,
+        additional_signers: [],
+        created_at: wallet.createdAt,
+        imported_at: null,
+        exported_at: null
+    });
+
+    const findWallet = id => {
+        const wallet = wallets.get(id);
+        if (!wallet) {
+            throw new StandinError(404, `Wallet ${id} not found`);
+        }
+        return wallet;
+    };
+
+    return async (method, pathname, body) => {
+        const route = pathname.replace(/^\/api/, '');
+
+        if (method === 'POST' && route === '/v1/wallets') {
+            const { address } = body.chain_type === 'ethereum' ? evmStore.create() : store.create();
+            const wallet = { id: crypto.randomUUID(), address, chainType: body.chain_type, createdAt: Date.now() };
+            wallets.set(wallet.id, wallet);
+            return walletView(wallet);
+        }
+
+        if (method === 'GET' && route === '/v1/wallets') {
+            return { data: [...wallets.values()].map(walletView), next_cursor: null };
+        }
+
+        const walletMatch = route.match(/^\/v1\/wallets\/([^/]+)(\/rpc)?$/);
+        if (walletMatch && method === 'GET' && !walletMatch[2]) {
+            return walletView(findWallet(walletMatch[1]));
+        }
+
+        if (walletMatch && method === 'POST' && walletMatch[2]) {
+            const wallet = findWallet(walletMatch[1]);
+
+            if (wallet.chainType === 'ethereum') {
+                const account = evmStore.accountFor(wallet.address);
+                const { params } = body;
+
+                if (body.method === 'personal_sign') {
+                    const message = params.encoding === 'hex' ? { raw: `0x${params.message.replace(/^0x/, '')}` } : params.message;
+                    return { method: body.method, data: { signature: await account.signMessage({ message }), encoding: 'hex' } };
+                }
+
+                if (body.method === 'eth_signTypedData_v4') {
+                    const { primary_type: primaryType, ...typedData } = params.typed_data;
+                    const signature = await account.signTypedData(typedDataFor({ ...typedData, primaryType }));
+                    return { method: body.method, data: { signature, encoding: 'hex' } };
+                }
+
+                if (body.method === 'eth_signTransaction') {
+                    const signed = await account.signTransaction(privyTransaction(params.transaction));
+                    return { method: body.method, data: { signed_transaction: signed, encoding: 'rlp' } };
+                }
+
+                throw new StandinError(400, `Unsupported RPC method ${body.method}`);
+            }
+
+            const seed = store.seedFor(wallet.address);
+
+            if (body.method === 'signMessage') {
+                const signature = signBytes(seed, Buffer.from(body.params.message, 'base64'));
+                return { method: body.method, data: { signature: signature.toString('base64'), encoding: 'base64' } };
+            }
+
+            if (body.method === 'signTransaction') {
+                const signed = signSerializedTransaction(seed, wallet.address, Buffer.from(body.params.transaction, 'base64'));
+                return { method: body.method, data: { signed_transaction: signed.toString('base64'), encoding: 'base64' } };
+            }
+
+            throw new StandinError(400, `Unsupported RPC method ${body.method}`);
+        }
+
+        return undefined;
+    };
+}
+
+// Turnkey API (https://api.turnkey.com)
+function createTurnkeyHandler() {
+    const store = createKeyStore();
+    const evmStore = createEvmKeyStore();
+    const accounts = [];
+
+    const timestamp = () => ({ seconds: String(Math.floor(Date.now() / 1000)), nanos: '0' });
+
+    const completed = (body, resultKey, result) => ({
+        activity: {
+            id: crypto.randomUUID(),
+            organizationId: body.organizationId,
+            status: 'ACTIVITY_STATUS_COMPLETED',
+            type: body.type,
+            result: { [resultKey]: result },
+            createdAt: timestamp(),
+            updatedAt: timestamp()
+        }
+    });
+
+    // Raw payloads for secp256k1 keys are signed as given (hash function NO_OP)
+    const rawSignature = async (signWith, payloadHex) => {
+        if (evmStore.has(signWith)) {
+            const signature = await evmStore.accountFor(signWith).sign({ hash: `0x${payloadHex.replace(/^0x/, '')}` });
+            const { r, s, yParity } = parseSignature(signature);
+            return { r: r.slice(2), s: s.slice(2), v: yParity === 1 ? '01' : '00' };
+        }
+
+        const signature = signBytes(store.seedFor(signWith), Buffer.from(payloadHex, 'hex'));
+        return {
+            r: signature.subarray(0, 32).toString('hex'),
+            s: signature.subarray(32).toString('hex'),
+            v: '00'
+        };
+    };
+
+    return async (method, pathname, body) => {
+        if (method !== 'POST') {
+            return undefined;
+        }
+
+        const { parameters = {} } = body;
+
+        switch (pathname) {
+            case '/public/v1/submit/create_wallet': {
+                const evm = parameters.accounts?.[0]?.curve === 'CURVE_SECP256K1';
+                const { address } = evm ? evmStore.create() : store.create();
+                const walletId = crypto.randomUUID();
+                accounts.push({
+                    walletAccountId: crypto.randomUUID(),
+                    organizationId: body.organizationId,
+                    walletId,
+                    curve: evm ? 'CURVE_SECP256K1' : 'CURVE_ED25519',
+                    pathFormat: 'PATH_FORMAT_BIP32',
+                    path: evm ? "m/44'/60'/0'/0/0" : "m/44'/501'/0'/0'",
+                    addressFormat: evm ? 'ADDRESS_FORMAT_ETHEREUM' : 'ADDRESS_FORMAT_SOLANA',
+                    address,
+                    createdAt: timestamp(),
+                    updatedAt: timestamp()
+                });
+                return completed(body, 'createWalletResult', { walletId, addresses: [address] });
+            }
+            case '/public/v1/submit/delete_wallets': {
+                const deleted = parameters.walletIds.filter(walletId => accounts.some(account => account.walletId === walletId));
+                if (deleted.length !== parameters.walletIds.length) {
+                    throw new StandinError(404, 'Unknown wallet ID');
+                }
+                accounts.splice(0, accounts.length, ...accounts.filter(account => !deleted.includes(account.walletId)));
+                return completed(body, 'deleteWalletsResult', { walletIds: deleted });
+            }
+            case '/public/v1/query/list_wallet_accounts':
+                return { accounts: accounts.filter(account => !body.walletId || account.walletId === body.walletId) };
+            case '/public/v1/submit/sign_raw_payload':
+                return completed(body, 'signRawPayloadResult', await rawSignature(parameters.signWith, parameters.payload));
+            case '/public/v1/submit/sign_raw_payloads':
+                return completed(body, 'signRawPayloadsResult', {
+                    signatures: await Promise.all(parameters.payloads.map(payload => rawSignature(parameters.signWith, payload)))
+                });
+            case '/public/v1/submit/sign_transaction': {
+                if (parameters.type === 'TRANSACTION_TYPE_ETHEREUM') {
+                    const signed = await signEvmTransaction(evmStore.accountFor(parameters.signWith), parameters.unsignedTransaction);
+                    return completed(body, 'signTransactionResult', { signedTransaction: signed.slice(2) });
+                }
+                const signed = signSerializedTransaction(
+                    store.seedFor(parameters.signWith),
+                    parameters.signWith,
+                    Buffer.from(parameters.unsignedTransaction, 'hex')
+                );
+                return completed(body, 'signTransactionResult', { signedTransaction: signed.toString('hex') });
+            }
+            default:
+                return undefined;
+        }
+    };
+}
+
+// Coinbase CDP API (https://api.cdp.coinbase.com/platform)
+function createCoinbaseHandler() {
+    const store = createKeyStore();
+    const evmStore = createEvmKeyStore();
+    const names = new Map();
+
+    // EVM accounts: same shapes as the Solana routes, signing with secp256k1
+    const evmRoute = async (method, route, body) => {
+        if (method === 'POST' && route === '/v2/evm/accounts') {
+            const { address } = evmStore.create();
+            if (body.name) names.set(address, body.name);
+            return { address, name: body.name, policies: [] };
+        }
+
+        if (method === 'GET' && route === '/v2/evm/accounts') {
+            return { accounts: evmStore.all().map(({ address }) => ({ address, name: names.get(address), policies: [] })) };
+        }
+
+        const accountMatch = route.match(/^\/v2\/evm\/accounts\/([^/]+)$/);
+        if ((method === 'GET' || method === 'PUT') && accountMatch) {
+            const { address } = evmStore.accountFor(accountMatch[1]);
+            if (method === 'PUT' && body.name) names.set(address, body.name);
+            return { address, name: names.get(address), policies: [] };
+        }
+
+        const signMatch = route.match(/^\/v2\/evm\/accounts\/([^/]+)\/sign\/(message|typed-data|transaction)$/);
+        if (method === 'POST' && signMatch) {
+            const [, address, kind] = signMatch;
+            const account = evmStore.accountFor(address);
+
+            if (kind === 'message') {
+                return { signature: await account.signMessage({ message: body.message }) };
+            }
+            if (kind === 'typed-data') {
+                return { signature: await account.signTypedData(typedDataFor(body)) };
+            }
+            return { signedTransaction: await signEvmTransaction(account, body.transaction) };
+        }
+
+        return undefined;
+    };
+
+    return async (method, pathname, body) => {
+        const route = pathname.replace(/^\/platform/, '');
+
+        if (route.startsWith('/v2/evm/')) {
+            return evmRoute(method, route, body);
+        }
+
+        if (method === 'POST' && route === '/v2/solana/accounts') {
+            const { address } = store.create();
+            if (body.name) names.set(address, body.name);
+            return { address, name: body.name, policies: [] };
+        }
+
+        if (method === 'GET' && route === '/v2/solana/accounts') {
+            return { accounts: store.all().map(({ address }) => ({ address, policies: [] })) };
+        }
+
+        const accountMatch = route.match(/^\/v2\/solana\/accounts\/([^/]+)$/);
+        if (method === 'GET' && accountMatch) {
+            store.seedFor(accountMatch[1]);
+            return { address: accountMatch[1], name: names.get(accountMatch[1]), policies: [] };
+        }
+        if (method === 'PUT' && accountMatch) {
+            store.seedFor(accountMatch[1]);
+            if (body.name) names.set(accountMatch[1], body.name);
+            return { address: accountMatch[1], name: names.get(accountMatch[1]), policies: [] };
+        }
+
+        const signMatch = route.match(/^\/v2\/solana\/accounts\/([^/]+)\/sign\/(message|transaction)$/);
+        if (method === 'POST' && signMatch) {
+            const [, address, kind] = signMatch;
+            const seed = store.seedFor(address);
+
+            if (kind === 'message') {
+                return { signature: bs58.encode(signBytes(seed, Buffer.from(body.message))) };
+            }
+
+            const signed = signSerializedTransaction(seed, address, Buffer.from(body.transaction, 'base64'));
+            return { signedTransaction: signed.toString('base64') };
+        }
+
+        return undefined;
+    };
+}
+
+// Solana JSON-RPC (only what the adapters call)
+function createSolanaHandler() {
+    let slot = 1;
+
+    return async (method, pathname, body) => {
+        if (method !== 'POST') {
+            return undefined;
+        }
+
+        slot += 1;
+
+        switch (body.method) {
+            case 'getLatestBlockhash':
+                return {
+                    jsonrpc: '2.0',
+                    id: body.id,
+                    result: {
+                        context: { apiVersion: '2.0.0', slot },
+                        value: { blockhash: PublicKey.unique().toBase58(), lastValidBlockHeight: slot + 150 }
+                    }
+                };
+            default:
+                return {
+                    jsonrpc: '2.0',
+                    id: body.id,
+                    error: { code: -32601, message: `Method ${body.method} not supported by stand-in` }
+                };
+        }
+    };
+}
+
+const HANDLER_FACTORIES = {
+    privy: createPrivyHandler,
+    turnkey: createTurnkeyHandler,
+    coinbase: createCoinbaseHandler,
+    solana: createSolanaHandler
+};
+
+export const standinProviders = Object.keys(HANDLER_FACTORIES);
+
+// Start a single provider stand-in
+export async function startStandin(provider, options = {}) {
+    const factory = HANDLER_FACTORIES[provider];
+    if (!factory) {
+        throw new Error(`Unknown stand-in provider "${provider}" (expected one of ${standinProviders.join(', ')})`);
+    }
+
+    const settings = { ...DEFAULT_OPTIONS, ...options };
+    const handle = factory();
+    const delay = createLatencySampler(`uniform:${settings.delayMs}:${settings.jitterMs}`);
+    const stats = { requests: 0, injectedErrors: 0, injectedRateLimits: 0 };
+
+    const server = http.createServer(async (req, res) => {
+        const send = (status, payload, headers = {}) => {
+            res.writeHead(status, { 'content-type': 'application/json', ...headers });
+            res.end(JSON.stringify(payload));
+        };
+
+        stats.requests += 1;
+
+        try {
+            const body = await readBody(req);
+            const { pathname } = new URL(req.url, 'http://localhost');
+
+            await sleep(delay());
+
+            const roll = Math.random();
+            if (roll < settings.rateLimitRate) {
+                stats.injectedRateLimits += 1;
+                return send(429, ERROR_BODIES[provider][429], { 'retry-after': '1' });
+            }
+            if (roll < settings.rateLimitRate + settings.errorRate) {
+                stats.injectedErrors += 1;
+                return send(500, ERROR_BODIES[provider][500]);
+            }
+
+            const payload = await handle(req.method, pathname, body);
+            if (payload === undefined) {
+                return send(404, { error: `No stand-in route for ${req.method} ${pathname}` });
+            }
+
+            return send(200, payload);
+        } catch (error) {
+            return send(error.status || 500, { error: error.message });
+        }
+    });
+
+    await new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(settings.port, '127.0.0.1', resolve);
+    });
+
+    const url = `http://127.0.0.1:${server.address().port}`;
+
+    return {
+        provider,
+        url,
+        stats,
+        // Change the injected error and 429 rates of the running stand-in
+        configure: overrides => Object.assign(settings, overrides),
+        close: () => new Promise(resolve => server.close(() => resolve()))
+    };
+}
+
+// Throwaway credentials in the formats the real SDKs validate locally
+export function generateStandinCredentials() {
+    const turnkeyKey = crypto.createECDH('prime256v1');
+    turnkeyKey.generateKeys();
+
+    const cdpApiKey = generateKeypair();
+    const { privateKey: cdpWalletKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+
+    return {
+        PRIVY_APP_ID: 'standin-app',
+        PRIVY_APP_SECRET: 'standin-secret',
+        TURNKEY_ORGANIZATION_ID: crypto.randomUUID(),
+        TURNKEY_API_PRIVATE_KEY: turnkeyKey.getPrivateKey('hex').padStart(64, '0'),
+        TURNKEY_API_PUBLIC_KEY: turnkeyKey.getPublicKey('hex', 'compressed'),
+        CDP_API_KEY_ID: crypto.randomUUID(),
+        CDP_API_KEY_SECRET: Buffer.concat([cdpApiKey.seed, new PublicKey(cdpApiKey.address).toBuffer()]).toString('base64'),
+        CDP_WALLET_SECRET: cdpWalletKey.export({ format: 'der', type: 'pkcs8' }).toString('base64'),
+        DISABLE_CDP_ERROR_REPORTING: 'true',
+        DISABLE_CDP_USAGE_TRACKING: 'true'
+    };
+}
+
+// Start stand-ins for every provider. `options` holds shared settings plus optional
+// per-provider overrides, e.g. { delayMs: 100, turnkey: { errorRate: 0.05 } }.
+export async function startStandins(options = {}) {
+    const { providers = standinProviders, ...shared } = options;
+    const standins = {};
+
+    for (const provider of providers) {
+        const { [provider]: overrides = {}, ...common } = shared;
+        const providerOptions = Object.fromEntries(
+            // Ports are only meaningful per provider
+            Object.entries(common).filter(([key]) => key !== 'port' && !standinProviders.includes(key))
+        );
+        standins[provider] = await startStandin(provider, { ...providerOptions, ...overrides });
+    }
+
+    const env = {};
+    if (standins.privy) {
+        env.PRIVY_API_URL = standins.privy.url;
+        env.PRIVY_WALLET_API_URL = standins.privy.url;
+    }
+    if (standins.turnkey) {
+        env.TURNKEY_API_BASE_URL = standins.turnkey.url;
+    }
+    if (standins.coinbase) {
+        env.CDP_API_BASE_PATH = `${standins.coinbase.url}/platform`;
+    }
+    if (standins.solana) {
+        env.SOLANA_RPC_URL = standins.solana.url;
+    }
+
+    return {
+        standins,
+        env,
+        close: () => Promise.all(Object.values(standins).map(standin => standin.close()))
+    };
+}
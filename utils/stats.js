@@ -0,0 +1,339 @@
+import { errorBreakdown } from './errors.js';
+import { NETWORK_TIMINGS } from './network.js';
+
+// Utility functions for statistics. Shared by the benchmark engine, load runner,
+// history store and reports so every latency figure is computed the same way.
+
+export const PERCENTILES = { p50: 0.5, p75: 0.75, p90: 0.9, p95: 0.95, p99: 0.99, p999: 0.999 };
+
+// Tukey's fences: values beyond k * IQR outside the quartiles are outliers
+const OUTLIER_FENCE = 1.5;
+
+function sortedCopy(values) {
+    return Float64Array.from(values).sort();
+}
+
+// Linearly interpolated percentile of an ascending array (same as numpy's default)
+export function percentile(sorted, p) {
+    if (sorted.length === 0) {
+        return null;
+    }
+    const position = (sorted.length - 1) * p;
+    const lower = Math.floor(position);
+    const upper = Math.min(lower + 1, sorted.length - 1);
+    return sorted[lower] + (position - lower) * (sorted[upper] - sorted[lower]);
+}
+
+export function mean(values) {
+    let sum = 0;
+    for (const value of values) sum += value;
+    return sum / values.length;
+}
+
+// Sample (n - 1) standard deviation; 0 for a single value
+export function sampleStandardDeviation(values, valuesMean = mean(values)) {
+    if (values.length < 2) {
+        return 0;
+    }
+    let squares = 0;
+    for (const value of values) squares += (value - valuesMean) ** 2;
+    return Math.sqrt(squares / (values.length - 1));
+}
+
+// Median absolute deviation from the median (unscaled)
+export function medianAbsoluteDeviation(sorted, median = percentile(sorted, 0.5)) {
+    return percentile(sortedCopy(Array.from(sorted, value => Math.abs(value - median))), 0.5);
+}
+
+// Tukey fences for a sorted sample and the values outside them
+export function findOutliers(sorted, fence = OUTLIER_FENCE) {
+    const q1 = percentile(sorted, 0.25);
+    const q3 = percentile(sorted, 0.75);
+    const lowerFence = q1 - fence * (q3 - q1);
+    const upperFence = q3 + fence * (q3 - q1);
+
+    return {
+        lowerFence,
+        upperFence,
+        values: Array.from(sorted).filter(value => value < lowerFence || value > upperFence)
+    };
+}
+
+// Drop Tukey outliers; returns the kept values in their original order
+export function trimOutliers(values, fence = OUTLIER_FENCE) {
+    const { lowerFence, upperFence } = findOutliers(sortedCopy(values), fence);
+    return values.filter(value => value >= lowerFence && value <= upperFence);
+}
+
+// Descriptive statistics for a list of latencies (ms)
+export function calculateStats(times) {
+    const sorted = sortedCopy(times);
+    const average = mean(sorted);
+    const standardDeviation = sampleStandardDeviation(sorted, average);
+    const median = percentile(sorted, 0.5);
+    const outliers = findOutliers(sorted);
+
+    return {
+        count: sorted.length,
+        min: sorted[0],
+        max: sorted[sorted.length - 1],
+        mean: average,
+        median: median,
+        standardDeviation: standardDeviation,
+        ...Object.fromEntries(Object.entries(PERCENTILES).map(([name, p]) => [name, percentile(sorted, p)])),
+        iqr: percentile(sorted, 0.75) - percentile(sorted, 0.25),
+        mad: medianAbsoluteDeviation(sorted, median),
+        coefficientOfVariation: average > 0 ? standardDeviation / average : null,
+        outliers: {
+            method: 'tukey',
+            lowerFence: outliers.lowerFence,
+            upperFence: outliers.upperFence,
+            count: outliers.values.length
+        }
+    };
+}
+
+const EMPTY_STATS = {
+    count: 0,
+    min: null,
+    max: null,
+    mean: null,
+    median: null,
+    standardDeviation: null,
+    ...Object.fromEntries(Object.keys(PERCENTILES).map(name => [name, null])),
+    iqr: null,
+    mad: null,
+    coefficientOfVariation: null,
+    outliers: null
+};
+
+// Latency statistics over the successful samples, plus failure accounting.
+// Failed samples never contribute to the latency figures. With
+// `analysis.trimOutliers` the figures are computed without Tukey outliers.
+export function summarizeSamples(samples, analysis = {}) {
+    const successful = samples.filter(sample => sample.success);
+    const allTimes = successful.map(sample => sample.latency);
+    const times = analysis.trimOutliers && allTimes.length > 0 ? trimOutliers(allTimes) : allTimes;
+    const failureCount = samples.length - allTimes.length;
+    const phases = summarizePhases(successful);
+    const network = summarizeNetwork(successful);
+    const throttling = summarizeThrottling(samples);
+    const confidenceIntervals = bootstrapIntervals(times, analysis);
+
+    return {
+        ...(times.length > 0 ? calculateStats(times) : EMPTY_STATS),
+        // Outliers are always reported against the untrimmed sample
+        ...(analysis.trimOutliers && allTimes.length > 0
+            ? { outliers: calculateStats(allTimes).outliers, trimmedOutliers: allTimes.length - times.length }
+            : {}),
+        ...(confidenceIntervals ? { confidenceIntervals } : {}),
+        successCount: allTimes.length,
+        failureCount,
+        errorRate: samples.length > 0 ? failureCount / samples.length : 0,
+        errorBreakdown: errorBreakdown(samples),
+        ...(phases ? { phases } : {}),
+        ...(network ? { network } : {}),
+        ...(throttling ? { throttling } : {})
+    };
+}
+
+// Per-phase statistics for samples whose adapter reported sub-phase timings
+export function summarizePhases(samples) {
+    const byPhase = {};
+    for (const sample of samples) {
+        for (const [phase, time] of Object.entries(sample.phases || {})) {
+            (byPhase[phase] = byPhase[phase] || []).push(time);
+        }
+    }
+
+    const phaseNames = Object.keys(byPhase);
+    if (phaseNames.length === 0) {
+        return null;
+    }
+
+    return Object.fromEntries(phaseNames.map(phase => [phase, calculateStats(byPhase[phase])]));
+}
+
+// Network timing statistics for samples that recorded HTTP requests. Connection
+// setup (dns, connect, tls) is summarized over the calls that opened a connection;
+// `newConnectionRate` is the fraction of calls that did.
+export function summarizeNetwork(samples) {
+    const withNetwork = samples.filter(sample => sample.network);
+    if (withNetwork.length === 0) {
+        return null;
+    }
+
+    const statsOf = name => {
+        const values = withNetwork.map(sample => sample.network[name]).filter(value => value !== null && value !== undefined);
+        return values.length > 0 ? calculateStats(values) : null;
+    };
+
+    return {
+        samples: withNetwork.length,
+        requestsPerCall: mean(withNetwork.map(sample => sample.network.requestCount)),
+        newConnectionRate: withNetwork.filter(sample => sample.network.newConnections > 0).length / withNetwork.length,
+        ...Object.fromEntries(NETWORK_TIMINGS.map(name => [name, statsOf(name)]))
+    };
+}
+
+// Throttle events and retries recorded by the pacer (see utils/pacing.js). The
+// headline statistics include the time spent retrying; `firstAttempt` covers only
+// the calls that succeeded on their first attempt and `retried` the calls that
+// succeeded after a retry. Null when no call was throttled.
+export function summarizeThrottling(samples) {
+    const throttled = samples.filter(sample => sample.pacing && sample.pacing.throttles);
+    if (throttled.length === 0) {
+        return null;
+    }
+
+    const events = throttled.flatMap(sample => sample.pacing.throttles);
+    const waits = events.filter(event => event.retried).map(event => event.waitMs);
+    const sources = {};
+    events.forEach(event => { sources[event.source] = (sources[event.source] || 0) + 1; });
+
+    const firstAttempt = samples.filter(sample => sample.success && !(sample.pacing && sample.pacing.throttles)).map(sample => sample.latency);
+    const retried = throttled.filter(sample => sample.success).map(sample => sample.latency);
+
+    return {
+        throttledCalls: throttled.length,
+        throttledRate: throttled.length / samples.length,
+        events: events.length,
+        retries: waits.length,
+        recovered: retried.length,
+        sources,
+        ...(waits.length > 0 ? { waitMs: calculateStats(waits) } : {}),
+        firstAttempt: firstAttempt.length > 0 ? calculateStats(firstAttempt) : null,
+        retried: retried.length > 0 ? calculateStats(retried) : null
+    };
+}
+
+// Standard normal CDF (Abramowitz & Stegun 7.1.26 approximation of erf)
+export function normalCdf(z) {
+    const t = 1 / (1 + 0.3275911 * Math.abs(z) / Math.SQRT2);
+    const erf = 1 - (((((1.061405429 * t - 1.453152027) * t) + 1.421413741) * t - 0.284496736) * t + 0.254829592) * t * Math.exp(-(z * z) / 2);
+    return z >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+}
+
+// Mann-Whitney U test (normal approximation with tie correction).
+// `alternative` is 'two-sided', 'greater' (a tends to be larger than b) or 'less'.
+// Returns U for `a`, the p-value and the rank-biserial effect size in [-1, 1],
+// positive when `a` tends to be larger.
+export function mannWhitneyU(a, b, alternative = 'two-sided') {
+    const n1 = a.length;
+    const n2 = b.length;
+    if (n1 === 0 || n2 === 0) {
+        return null;
+    }
+
+    const pooled = [
+        ...a.map(value => ({ value, group: 0 })),
+        ...b.map(value => ({ value, group: 1 }))
+    ].sort((x, y) => x.value - y.value);
+
+    // Average ranks over ties
+    let rankSumA = 0;
+    let tieTerm = 0;
+    for (let i = 0; i < pooled.length;) {
+        let j = i;
+        while (j + 1 < pooled.length && pooled[j + 1].value === pooled[i].value) j++;
+        const rank = (i + j) / 2 + 1;
+        const ties = j - i + 1;
+        tieTerm += ties ** 3 - ties;
+        for (let k = i; k <= j; k++) {
+            if (pooled[k].group === 0) rankSumA += rank;
+        }
+        i = j + 1;
+    }
+
+    const u = rankSumA - (n1 * (n1 + 1)) / 2;
+    const n = n1 + n2;
+    const meanU = (n1 * n2) / 2;
+    const sigma = Math.sqrt((n1 * n2 / 12) * ((n + 1) - tieTerm / (n * (n - 1))));
+
+    let pValue = 1;
+    if (sigma > 0) {
+        // Continuity correction towards the mean
+        const z = (u - meanU - Math.sign(u - meanU) * 0.5) / sigma;
+        pValue = alternative === 'greater' ? 1 - normalCdf(z)
+            : alternative === 'less' ? normalCdf(z)
+                : Math.min(1, 2 * (1 - normalCdf(Math.abs(z))));
+    }
+
+    return {
+        u,
+        pValue,
+        effectSize: (2 * u) / (n1 * n2) - 1
+    };
+}
+
+// Small seeded PRNG (mulberry32) so bootstrap intervals are reproducible
+export function seededRandom(seed = 1) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+// Percentile bootstrap confidence interval for statistic(sortedSample)
+export function bootstrapCI(values, statistic, { resamples = 1000, confidence = 0.95, random = seededRandom() } = {}) {
+    if (values.length < 2) {
+        return null;
+    }
+
+    const estimates = new Float64Array(resamples);
+    const resample = new Float64Array(values.length);
+    for (let r = 0; r < resamples; r++) {
+        for (let i = 0; i < values.length; i++) {
+            resample[i] = values[Math.floor(random() * values.length)];
+        }
+        resample.sort();
+        estimates[r] = statistic(resample);
+    }
+    estimates.sort();
+
+    const tail = (1 - confidence) / 2;
+    return {
+        lower: estimates[Math.floor(tail * (resamples - 1))],
+        upper: estimates[Math.ceil((1 - tail) * (resamples - 1))]
+    };
+}
+
+// Bootstrap intervals for the mean, median and p95 reported by calculateStats
+export function bootstrapIntervals(times, { confidence = 0.95, bootstrapResamples = 1000 } = {}) {
+    if (times.length < 2) {
+        return null;
+    }
+
+    const statistics = {
+        mean: sorted => mean(sorted),
+        median: sorted => percentile(sorted, 0.5),
+        p95: sorted => percentile(sorted, 0.95)
+    };
+
+    // Same seed per statistic so the intervals come from the same resamples
+    return {
+        confidence,
+        ...Object.fromEntries(Object.entries(statistics).map(([name, statistic]) => [
+            name,
+            bootstrapCI(times, statistic, { resamples: bootstrapResamples, confidence, random: seededRandom(times.length) })
+        ]))
+    };
+}
+
+// Holm-Bonferroni adjustment of a list of p-values (same order as given)
+export function holmAdjust(pValues) {
+    const order = pValues.map((pValue, index) => ({ pValue, index })).sort((a, b) => a.pValue - b.pValue);
+    const adjusted = new Array(pValues.length);
+    let running = 0;
+
+    order.forEach(({ pValue, index }, rank) => {
+        running = Math.max(running, Math.min(1, pValue * (pValues.length - rank)));
+        adjusted[index] = running;
+    });
+
+    return adjusted;
+}
@@ -0,0 +1,191 @@
+import crypto from 'crypto';
+import { calculateStats, summarizeSamples } from './stats.js';
+import { errorBreakdown } from './errors.js';
+
+// Message payload size sweep: signMessage with payloads from `minBytes` up to
+// `maxBytes`, growing by `factor`, in each payload kind. A size every iteration of
+// which the provider refuses (provider_error) is where it rejects the payload; the
+// sweep of that kind stops there and, with `refine`, bisects down to the exact
+// byte limit with unmeasured probes.
+//
+// Payload kinds, each exactly `size` bytes:
+// - utf8:     text (the configured message repeated, with multi-byte characters)
+// - binary:   arbitrary bytes, not valid UTF-8
+// - offchain: a Solana off-chain message (v0 header + UTF-8 text), as wallets sign them
+
+export const PAYLOAD_KINDS = ['utf8', 'binary', 'offchain'];
+
+export const DEFAULT_SWEEP = {
+    kinds: [...PAYLOAD_KINDS],
+    minBytes: 32,
+    maxBytes: 65536,
+    factor: 2,
+    refine: true
+};
+
+// Off-chain message v0: signing domain, header version, message format, u16 length
+const SIGNING_DOMAIN = Buffer.from('\xffsolana offchain', 'latin1');
+export const OFFCHAIN_HEADER_BYTES = SIGNING_DOMAIN.length + 4;
+export const OFFCHAIN_MAX_BYTES = 0xffff;
+// Longest body of the restricted ASCII and limited UTF-8 formats (fits a packet, so hardware wallets can show it)
+const OFFCHAIN_MAX_LEDGER_BODY = 1232 - OFFCHAIN_HEADER_BYTES;
+
+// Payload sizes of a sweep, smallest first; maxBytes is always the last one
+export function sweepSizes({ minBytes, maxBytes, factor }) {
+    const sizes = [];
+    for (let size = minBytes; size < maxBytes; size = Math.ceil(size * factor)) {
+        sizes.push(size);
+    }
+    sizes.push(maxBytes);
+    return sizes;
+}
+
+// Whether a payload of this kind can be `size` bytes long
+export function payloadFits(kind, size) {
+    return kind !== 'offchain' || (size > OFFCHAIN_HEADER_BYTES && size <= OFFCHAIN_MAX_BYTES);
+}
+
+// `message` repeated into exactly `size` bytes of UTF-8, cut at a character
+// boundary and padded with ASCII
+function utf8Text(message, size) {
+    const unit = `${message} · `;
+    const repeated = Buffer.from(unit.repeat(Math.ceil(size / Buffer.byteLength(unit)) + 1));
+    let cut = size;
+    while (cut > 0 && (repeated[cut] & 0xc0) === 0x80) {
+        cut--;
+    }
+    return Buffer.concat([repeated.subarray(0, cut), Buffer.alloc(size - cut, '.')]).toString('utf8');
+}
+
+// Deterministic bytes spanning the whole byte range
+function binaryBytes(size) {
+    const blocks = [];
+    for (let counter = 0; blocks.length * 32 < size; counter++) {
+        blocks.push(crypto.createHash('sha256').update(`signing-benchmark:payload:${counter}`).digest());
+    }
+    return Buffer.concat(blocks).subarray(0, size);
+}
+
+// Off-chain message v0 around `text`, in the most restrictive format the text allows
+export function offchainMessage(text) {
+    const body = Buffer.from(text);
+    const format = body.length > OFFCHAIN_MAX_LEDGER_BODY ? 2 : /^[\x20-\x7e]*$/.test(text) ? 0 : 1;
+    const header = Buffer.alloc(4);
+    header.writeUInt8(0, 0);
+    header.writeUInt8(format, 1);
+    header.writeUInt16LE(body.length, 2);
+    return Buffer.concat([SIGNING_DOMAIN, header, body]);
+}
+
+// The payload handed to signMessage: a string for utf8, bytes otherwise
+export function buildPayload(kind, size, message) {
+    if (kind === 'utf8') {
+        return utf8Text(message, size);
+    }
+    if (kind === 'binary') {
+        return binaryBytes(size);
+    }
+    return offchainMessage(utf8Text(message, size - OFFCHAIN_HEADER_BYTES));
+}
+
+// A payload the provider took: signed, even if the signature then failed to verify
+export function payloadAccepted(sample) {
+    return sample.success || sample.errorClass === 'invalid_signature';
+}
+
+// Every iteration refused by the provider itself, as opposed to timeouts, throttling
+// or network trouble
+export function payloadRejected(samples) {
+    return samples.length > 0 && samples.every(sample => !sample.success && sample.errorClass === 'provider_error');
+}
+
+// Least-squares slope of median latency against size, in ms per KiB
+function slope(points) {
+    if (points.length < 2) {
+        return null;
+    }
+    const xs = points.map(point => point.size / 1024);
+    const ys = points.map(point => point.latency.median);
+    const meanX = xs.reduce((sum, x) => sum + x, 0) / xs.length;
+    const meanY = ys.reduce((sum, y) => sum + y, 0) / ys.length;
+    const covariance = xs.reduce((sum, x, index) => sum + (x - meanX) * (ys[index] - meanY), 0);
+    const variance = xs.reduce((sum, x) => sum + (x - meanX) ** 2, 0);
+    return variance > 0 ? covariance / variance : null;
+}
+
+function summarizeKind(samples, kind, limit) {
+    const ofKind = samples.filter(sample => sample.kind === kind);
+    const sizes = [...new Set(ofKind.map(sample => sample.size))].sort((a, b) => a - b);
+    const points = sizes.map(size => {
+        const sized = ofKind.filter(sample => sample.size === size);
+        const times = sized.filter(sample => sample.success).map(sample => sample.latency);
+        const stats = times.length > 0 ? calculateStats(times) : null;
+        return {
+            size,
+            samples: sized.length,
+            failures: sized.length - times.length,
+            ...(sized.some(sample => sample.rejected) ? { rejected: true } : {}),
+            latency: stats ? { mean: stats.mean, median: stats.median, p95: stats.p95, min: stats.min, max: stats.max } : null
+        };
+    });
+    const measured = points.filter(point => point.latency);
+    const [smallest, largest] = [measured[0], measured[measured.length - 1]];
+
+    return {
+        kind,
+        points,
+        slopeMsPerKiB: slope(measured),
+        // Median at the largest signed size relative to the smallest
+        slowdown: measured.length >= 2 ? largest.latency.median / smallest.latency.median - 1 : null,
+        limit
+    };
+}
+
+// Statistics of one service's sweep. The headline latency figures are the first
+// kind's smallest size (the baseline every service signs); success and error figures
+// count every sample except those at a size the provider rejected, which are
+// reported under `sweep` instead. `limits` maps kind to what the sweep found: null
+// (signed up to maxBytes), { unsupported } or { rejectedAt, maxAccepted, minRejected, exact, error }.
+export function summarizeSweep(samples, limits, analysis = {}) {
+    const kinds = Object.keys(limits);
+    const baseline = baselineSamples(samples);
+    const counted = samples.filter(sample => !sample.rejected);
+    const failureCount = counted.filter(sample => !sample.success).length;
+
+    return {
+        ...summarizeSamples(baseline, analysis),
+        successCount: counted.length - failureCount,
+        failureCount,
+        errorRate: counted.length > 0 ? failureCount / counted.length : 0,
+        errorBreakdown: errorBreakdown(counted),
+        sweep: {
+            baseline: baseline.length > 0 ? { kind: baseline[0].kind, size: baseline[0].size } : null,
+            kinds: kinds.map(kind => summarizeKind(samples, kind, limits[kind]))
+        }
+    };
+}
+
+// What the sweep of one kind found, as text: see summarizeSweep for `limit`
+export function describeSweepLimit(limit) {
+    if (limit === null) {
+        return 'signed every size';
+    }
+    if (limit.unsupported) {
+        return 'not supported by the adapter';
+    }
+    if (limit.maxAccepted === null) {
+        return `rejected from the smallest size (${limit.rejectedAt} bytes): ${limit.error}`;
+    }
+    const bound = limit.exact ? `limit ${limit.maxAccepted} bytes` : `limit between ${limit.maxAccepted} and ${limit.minRejected} bytes`;
+    return `${bound} (${limit.minRejected} rejected: ${limit.error})`;
+}
+
+// Samples of the first swept kind at its smallest size
+export function baselineSamples(samples) {
+    if (samples.length === 0) {
+        return [];
+    }
+    const { kind } = samples[0];
+    const size = Math.min(...samples.filter(sample => sample.kind === kind).map(sample => sample.size));
+    return samples.filter(sample => sample.kind === kind && sample.size === size);
+}
@@ -0,0 +1,111 @@
+import fs from 'fs';
+import path from 'path';
+import { trace, context, SpanStatusCode } from '@opentelemetry/api';
+import { AsyncLocalStorageContextManager } from '@opentelemetry/context-async-hooks';
+import { BasicTracerProvider, BatchSpanProcessor } from '@opentelemetry/sdk-trace-base';
+import { resourceFromAttributes } from '@opentelemetry/resources';
+import { OTLPTraceExporter } from '@opentelemetry/exporter-trace-otlp-http';
+import { registerInstrumentations } from '@opentelemetry/instrumentation';
+import { HttpInstrumentation } from '@opentelemetry/instrumentation-http';
+import { UndiciInstrumentation } from '@opentelemetry/instrumentation-undici';
+
+// OpenTelemetry tracing. Every adapter call becomes a span carrying the service,
+// operation, iteration and wallet; sub-phases (e.g. the RPC blockhash fetch) and the
+// provider HTTP requests made by the SDKs (http module and fetch/undici) nest under it.
+// Without initTracing() the API hands out no-op spans, so tracing costs nothing.
+
+export const TRACE_EXPORTERS = ['file', 'otlp'];
+export const DEFAULT_TRACE_FILE = path.join('results', 'traces.jsonl');
+
+const tracer = trace.getTracer('signing-benchmark');
+
+function hrTimeToMs([seconds, nanos]) {
+    return seconds * 1000 + nanos / 1e6;
+}
+
+// Writes finished spans as JSON lines so traces can be read without a collector
+export class FileSpanExporter {
+    constructor(filepath) {
+        this.filepath = filepath;
+        fs.mkdirSync(path.dirname(filepath), { recursive: true });
+    }
+
+    export(spans, resultCallback) {
+        try {
+            const lines = spans.map(span => JSON.stringify({
+                traceId: span.spanContext().traceId,
+                spanId: span.spanContext().spanId,
+                parentSpanId: span.parentSpanContext ? span.parentSpanContext.spanId : undefined,
+                name: span.name,
+                kind: span.kind,
+                startTime: new Date(hrTimeToMs(span.startTime)).toISOString(),
+                durationMs: hrTimeToMs(span.duration),
+                status: span.status,
+                attributes: span.attributes,
+                events: span.events.map(event => ({ name: event.name, attributes: event.attributes }))
+            }));
+            fs.appendFileSync(this.filepath, lines.join('\n') + '\n');
+            resultCallback({ code: 0 });
+        } catch (error) {
+            resultCallback({ code: 1, error });
+        }
+    }
+
+    shutdown() {
+        return Promise.resolve();
+    }
+}
+
+// Install the tracer provider, exporters and HTTP instrumentation. Must run before the
+// service SDKs are imported so their HTTP clients are instrumented.
+// Returns { shutdown() } which flushes pending spans.
+export function initTracing({ exporters = [], file = DEFAULT_TRACE_FILE, otlpEndpoint } = {}) {
+    const unknown = exporters.find(exporter => !TRACE_EXPORTERS.includes(exporter));
+    if (unknown) {
+        throw new Error(`Unknown trace exporter "${unknown}" (expected ${TRACE_EXPORTERS.join(' or ')})`);
+    }
+
+    const spanProcessors = [];
+    if (exporters.includes('file')) {
+        spanProcessors.push(new BatchSpanProcessor(new FileSpanExporter(file)));
+    }
+    if (exporters.includes('otlp')) {
+        // Without an endpoint the exporter follows OTEL_EXPORTER_OTLP_ENDPOINT (default http://localhost:4318)
+        spanProcessors.push(new BatchSpanProcessor(new OTLPTraceExporter(otlpEndpoint ? { url: otlpEndpoint } : {})));
+    }
+
+    const provider = new BasicTracerProvider({
+        resource: resourceFromAttributes({ 'service.name': 'signing-benchmark' }),
+        spanProcessors
+    });
+
+    context.setGlobalContextManager(new AsyncLocalStorageContextManager().enable());
+    trace.setGlobalTracerProvider(provider);
+    registerInstrumentations({
+        tracerProvider: provider,
+        instrumentations: [
+            // Only outgoing requests; the daemon's /metrics server is not traced
+            new HttpInstrumentation({ ignoreIncomingRequestHook: () => true }),
+            new UndiciInstrumentation()
+        ]
+    });
+
+    return {
+        shutdown: () => provider.shutdown()
+    };
+}
+
+// Run `fn` inside a new active span; failures are recorded on the span and rethrown
+export function withSpan(name, attributes, fn) {
+    return tracer.startActiveSpan(name, { attributes }, async span => {
+        try {
+            return await fn(span);
+        } catch (error) {
+            span.recordException(error);
+            span.setStatus({ code: SpanStatusCode.ERROR, message: error.message });
+            throw error;
+        } finally {
+            span.end();
+        }
+    });
+}
@@ -0,0 +1,241 @@
+import bs58 from 'bs58';
+import { PublicKey, Transaction, VersionedTransaction } from '@solana/web3.js';
+import { isAddressEqual, parseTransaction, recoverMessageAddress, recoverTransactionAddress, recoverTypedDataAddress } from 'viem';
+import { verifyBytes } from './ed25519.js';
+import { InvalidSignatureError } from './errors.js';
+import { isEvmAddress } from './evm.js';
+
+// Adapters return signatures in whatever shape their SDK produces: Privy gives
+// { signature: Uint8Array }, Turnkey raw r||s bytes, CDP base58 signatures and
+// base64 transactions. These helpers bring them into one shape and check the
+// ed25519 signature locally against the wallet address. EVM results are checked by
+// recovering the secp256k1 signer and comparing it with the wallet address.
+
+const SIGNATURE_LENGTH = 64;
+
+// Decode with the first encoding that yields bytes (of `length`, when given)
+function decodeString(value, order, length) {
+    for (const encoding of order) {
+        try {
+            const bytes = encoding === 'base58' ? bs58.decode(value) : Buffer.from(value, encoding);
+            if (bytes.length > 0 && (!length || bytes.length === length)) {
+                return Uint8Array.from(bytes);
+            }
+        } catch {
+            // try the next encoding
+        }
+    }
+    throw new InvalidSignatureError(`Could not decode "${value.slice(0, 16)}..." as ${order.join(' or ')}`);
+}
+
+// Normalize a signMessage result into the raw 64-byte signature
+export function normalizeMessageSignature(result) {
+    let value = result;
+    if (value && !(value instanceof Uint8Array) && typeof value === 'object') {
+        value = value.signature;
+    }
+
+    let signature;
+    if (value instanceof Uint8Array) {
+        signature = Uint8Array.from(value);
+    } else if (typeof value === 'string') {
+        signature = decodeString(value, ['base58', 'base64', 'hex'], SIGNATURE_LENGTH);
+    } else {
+        throw new InvalidSignatureError('signMessage returned no signature');
+    }
+
+    if (signature.length !== SIGNATURE_LENGTH) {
+        throw new InvalidSignatureError(`Expected a ${SIGNATURE_LENGTH}-byte signature, got ${signature.length} bytes`);
+    }
+    return signature;
+}
+
+// Normalize a signTransaction result into the serialized wire-format transaction
+export function normalizeSignedTransaction(result) {
+    let value = result;
+    if (value && typeof value === 'object' && !(value instanceof Uint8Array) && 'signedTransaction' in value) {
+        value = value.signedTransaction;
+    }
+
+    if (value instanceof VersionedTransaction) {
+        return value.serialize();
+    }
+    if (value instanceof Transaction) {
+        return Uint8Array.from(value.serialize({ requireAllSignatures: false, verifySignatures: false }));
+    }
+    if (value instanceof Uint8Array) {
+        return Uint8Array.from(value);
+    }
+    if (typeof value === 'string') {
+        return decodeString(value, ['base64', 'base58']);
+    }
+
+    throw new InvalidSignatureError('signTransaction returned no signed transaction');
+}
+
+// Verify a signMessage result over the UTF-8 message bytes
+export function verifyMessageResult(address, message, result) {
+    const signature = normalizeMessageSignature(result);
+
+    if (!verifyBytes(address, Buffer.from(message), signature)) {
+        throw new InvalidSignatureError(`Message signature does not verify against ${address}`);
+    }
+    return { signature };
+}
+
+// Verify the wallet's signature on a signed legacy or v0 transaction. When the
+// harness built the transaction, `expectedMessage(recentBlockhash)` returns the
+// message bytes the wallet was given; a provider that signed anything else fails.
+export function verifyTransactionResult(address, result, expectedMessage) {
+    const serialized = normalizeSignedTransaction(result);
+
+    let transaction;
+    try {
+        transaction = VersionedTransaction.deserialize(serialized);
+    } catch (error) {
+        throw new InvalidSignatureError(`Signed transaction could not be deserialized: ${error.message}`);
+    }
+
+    const { header, staticAccountKeys } = transaction.message;
+    const signerIndex = staticAccountKeys.findIndex(key => key.toBase58() === address);
+    if (signerIndex === -1 || signerIndex >= header.numRequiredSignatures) {
+        throw new InvalidSignatureError(`${address} is not a required signer of the returned transaction`);
+    }
+
+    const message = transaction.message.serialize();
+    const signature = transaction.signatures[signerIndex];
+    if (!verifyBytes(address, message, signature)) {
+        throw new InvalidSignatureError(`Transaction signature does not verify against ${address}`);
+    }
+    if (expectedMessage && !Buffer.from(message).equals(Buffer.from(expectedMessage(transaction.message.recentBlockhash)))) {
+        throw new InvalidSignatureError('Signed transaction differs from the one submitted for signing');
+    }
+    return { signature, serialized };
+}
+
+// Check a wallet returned by createWallet or getWallet: its address must be a
+// 32-byte ed25519 public key (and the expected one, for a lookup). A wallet that
+// fails the check counts as invalid, like a signature that does not verify.
+export function verifyWalletResult(result, expectedAddress) {
+    const address = result && result.address;
+    if (typeof address !== 'string') {
+        throw new InvalidSignatureError('Wallet result carries no address');
+    }
+
+    let publicKey;
+    try {
+        publicKey = new PublicKey(address);
+    } catch (error) {
+        throw new InvalidSignatureError(`Wallet address ${address} is not a valid public key: ${error.message}`);
+    }
+    if (!PublicKey.isOnCurve(publicKey.toBytes())) {
+        throw new InvalidSignatureError(`Wallet address ${address} is not an ed25519 public key`);
+    }
+    if (expectedAddress && address !== expectedAddress) {
+        throw new InvalidSignatureError(`Lookup returned wallet ${address} instead of ${expectedAddress}`);
+    }
+    return { address };
+}
+
+// Check a listWallets result: a list of wallets with addresses
+export function verifyWalletList(result) {
+    if (!Array.isArray(result)) {
+        throw new InvalidSignatureError('listWallets did not return a list');
+    }
+    const invalid = result.find(wallet => !wallet || typeof wallet.address !== 'string');
+    if (invalid) {
+        throw new InvalidSignatureError('listWallets returned an entry without an address');
+    }
+    return { count: result.length };
+}
+
+const EVM_SIGNATURE_LENGTH = 65;
+
+// Hex with a 0x prefix (Turnkey returns bare hex)
+function prefixedHex(value) {
+    return value.startsWith('0x') ? value : `0x${value}`;
+}
+
+// Normalize an EVM signMessage/signTypedData result into a 65-byte r||s||v hex signature
+export function normalizeEvmSignature(result) {
+    const value = result && typeof result === 'object' ? result.signature : result;
+    if (typeof value !== 'string' || !/^(0x)?[0-9a-fA-F]+$/.test(value)) {
+        throw new InvalidSignatureError('EVM signing returned no hex signature');
+    }
+
+    const signature = prefixedHex(value);
+    if ((signature.length - 2) / 2 !== EVM_SIGNATURE_LENGTH) {
+        throw new InvalidSignatureError(`Expected a ${EVM_SIGNATURE_LENGTH}-byte signature, got ${(signature.length - 2) / 2} bytes`);
+    }
+    return signature;
+}
+
+// Normalize an EVM signTransaction result into the serialized signed transaction
+export function normalizeEvmSignedTransaction(result) {
+    const value = result && typeof result === 'object' ? result.signedTransaction : result;
+    if (typeof value !== 'string' || !/^(0x)?[0-9a-fA-F]+$/.test(value)) {
+        throw new InvalidSignatureError('signTransaction returned no serialized EVM transaction');
+    }
+    return prefixedHex(value);
+}
+
+// A signature that cannot be recovered at all (e.g. r or s out of range) is as invalid as one from the wrong signer
+async function expectSigner(recover, address, what) {
+    let recovered;
+    try {
+        recovered = await recover();
+    } catch (error) {
+        throw new InvalidSignatureError(`${what} signature could not be recovered: ${error.message.split('\n')[0]}`);
+    }
+    if (!isAddressEqual(recovered, address)) {
+        throw new InvalidSignatureError(`${what} was signed by ${recovered}, not ${address}`);
+    }
+}
+
+// Verify a personal_sign (EIP-191) signature over the UTF-8 message
+export async function verifyEvmMessageResult(address, message, result) {
+    const signature = normalizeEvmSignature(result);
+    await expectSigner(() => recoverMessageAddress({ message, signature }), address, 'Message');
+    return { signature };
+}
+
+// Verify an EIP-712 typed-data signature
+export async function verifyTypedDataResult(address, typedData, result) {
+    const signature = normalizeEvmSignature(result);
+    await expectSigner(() => recoverTypedDataAddress({ ...typedData, signature }), address, 'Typed data');
+    return { signature };
+}
+
+// Verify a signed EIP-1559 transaction: it must be the requested transfer, and
+// signed by the wallet
+export async function verifyEvmTransactionResult(address, expected, result) {
+    const serializedTransaction = normalizeEvmSignedTransaction(result);
+
+    let transaction;
+    try {
+        transaction = parseTransaction(serializedTransaction);
+    } catch (error) {
+        throw new InvalidSignatureError(`Signed transaction could not be parsed: ${error.message}`);
+    }
+    if (transaction.type !== 'eip1559' || transaction.r === undefined) {
+        throw new InvalidSignatureError(`Expected a signed EIP-1559 transaction, got ${transaction.type}${transaction.r === undefined ? ' (unsigned)' : ''}`);
+    }
+    if (transaction.chainId !== expected.chainId || !isAddressEqual(transaction.to, expected.to) || transaction.value !== expected.value) {
+        throw new InvalidSignatureError('Signed transaction differs from the requested transfer');
+    }
+
+    await expectSigner(() => recoverTransactionAddress({ serializedTransaction }), address, 'Transaction');
+    return { serialized: serializedTransaction };
+}
+
+// Check an EVM wallet returned by createWallet: its address must be a 20-byte hex address
+export function verifyEvmWalletResult(result, expectedAddress) {
+    const address = result && result.address;
+    if (!isEvmAddress(address)) {
+        throw new InvalidSignatureError(`Wallet address ${address} is not an EVM address`);
+    }
+    if (expectedAddress && !isAddressEqual(address, expectedAddress)) {
+        throw new InvalidSignatureError(`Lookup returned wallet ${address} instead of ${expectedAddress}`);
+    }
+    return { address };
+}
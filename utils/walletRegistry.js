@@ -0,0 +1,220 @@
+import fs from 'fs';
+import path from 'path';
+import { isNotFoundError } from './errors.js';
+import { createWalletsForServices, serviceChains } from './serviceLoader.js';
+
+// Local registry of the benchmark wallets created with each provider, so runs reuse
+// one wallet per service instead of provisioning a new one every time. Entries are
+// scoped by the adapter's optional walletScope() (API base URL plus app, org or key
+// ID), so switching credentials never picks up a wallet from another account;
+// services without walletScope() (e.g. the in-memory mock) are never registered.
+// Each chain has its own wallet; entries from before chains were added are Solana's.
+//
+// A replaced wallet is kept as `retired` until `bench wallets prune` deletes (or
+// archives) it through the adapter's optional deleteWallet().
+
+export const DEFAULT_REGISTRY_PATH = 'wallet-registry.json';
+// Registry location that turns the registry off
+export const REGISTRY_OFF = 'off';
+
+const REGISTRY_VERSION = 1;
+
+// Registry file to use: the configured one, then $WALLET_REGISTRY, then the default
+export function registryPath(configured) {
+    return configured || process.env.WALLET_REGISTRY || DEFAULT_REGISTRY_PATH;
+}
+
+export function loadRegistry(filepath) {
+    if (!fs.existsSync(filepath)) {
+        return { version: REGISTRY_VERSION, wallets: [] };
+    }
+
+    const registry = JSON.parse(fs.readFileSync(filepath, 'utf8'));
+    if (registry.version !== REGISTRY_VERSION || !Array.isArray(registry.wallets)) {
+        throw new Error(`${filepath} is not a wallet registry (version ${REGISTRY_VERSION})`);
+    }
+    return registry;
+}
+
+// Written to a temporary file first so an interrupted run cannot truncate the registry
+export function saveRegistry(filepath, registry) {
+    const directory = path.dirname(filepath);
+    if (!fs.existsSync(directory)) {
+        fs.mkdirSync(directory, { recursive: true });
+    }
+    const temporary = `${filepath}.tmp`;
+    fs.writeFileSync(temporary, JSON.stringify(registry, null, 2) + '\n');
+    fs.renameSync(temporary, filepath);
+}
+
+// Scope of the account the adapter's wallets live in, or null when they cannot be reused
+export function walletScope(serviceModule) {
+    return typeof serviceModule.walletScope === 'function' ? serviceModule.walletScope() : null;
+}
+
+// The wallet fields worth keeping: everything but the live client and display name
+function walletRecord(wallet) {
+    const { serviceInstance, serviceName, ...record } = wallet;
+    return record;
+}
+
+export function entryChain(entry) {
+    return entry.chain || 'solana';
+}
+
+export function activeEntry(registry, service, scope, chain = 'solana') {
+    return registry.wallets.find(entry => entry.service === service && entry.scope === scope &&
+        entryChain(entry) === chain && entry.status === 'active');
+}
+
+// Retire the service's active wallet (if any) on this chain in this scope
+export function retireEntry(registry, service, scope, chain = 'solana') {
+    const entry = activeEntry(registry, service, scope, chain);
+    if (entry) {
+        entry.status = 'retired';
+        entry.retiredAt = new Date().toISOString();
+    }
+    return entry;
+}
+
+// Register a newly created wallet as the service's active one on its chain, retiring the previous
+export function registerWallet(registry, service, scope, wallet) {
+    const chain = wallet.chain || 'solana';
+    retireEntry(registry, service, scope, chain);
+
+    const now = new Date().toISOString();
+    const entry = {
+        service,
+        serviceName: wallet.serviceName,
+        scope,
+        chain,
+        wallet: walletRecord(wallet),
+        status: 'active',
+        createdAt: now,
+        lastUsedAt: now
+    };
+    registry.wallets.push(entry);
+    return entry;
+}
+
+// A registered wallet is only replaced when the provider says it no longer has it
+// (when the adapter can look wallets up). Other lookup errors are rethrown: a
+// timeout or 5xx says nothing about the wallet. The lookup goes through the service's
+// `pacer`, when given, like every other call to the provider.
+export async function stillAvailable(serviceModule, wallet, pacer) {
+    if (typeof serviceModule.getWallet !== 'function') {
+        return true;
+    }
+    try {
+        const lookup = () => serviceModule.getWallet(wallet);
+        const found = await (pacer ? pacer.run(lookup) : lookup());
+        return Boolean(found) && found.address === wallet.address;
+    } catch (error) {
+        if (isNotFoundError(error)) {
+            return false;
+        }
+        throw error;
+    }
+}
+
+// Wallets on `chain` for every initialized service that supports it: the registered
+// one when there is a usable entry, otherwise a newly created wallet that is
+// registered for the next run. `fresh` creates new wallets regardless (the old ones
+// are retired). Lookups and creation go through the services' `pacers`, when given,
+// so a rate limit is waited out.
+export async function provisionWallets(initializedServices, { registry: configured, fresh = false } = {}, pacers = {}, chain = 'solana') {
+    const filepath = registryPath(configured);
+    if (filepath === REGISTRY_OFF) {
+        return createWalletsForServices(initializedServices, pacers, chain);
+    }
+
+    const registry = loadRegistry(filepath);
+    const wallets = {};
+    const toCreate = {};
+    const label = chain === 'solana' ? '' : `${chain} `;
+
+    for (const [serviceName, service] of Object.entries(initializedServices)) {
+        if (!serviceChains(service.module).includes(chain)) {
+            continue;
+        }
+        const scope = walletScope(service.module);
+        const entry = scope && !fresh ? activeEntry(registry, serviceName, scope, chain) : null;
+
+        if (entry) {
+            const wallet = { ...entry.wallet, serviceInstance: service.instance };
+            let available;
+            try {
+                available = await stillAvailable(service.module, wallet, pacers[serviceName]);
+            } catch (error) {
+                // Keep the entry as it is; if the wallet is really gone the run's requests fail
+                console.log(`⚠️  Could not look up registered ${service.name} ${label}wallet ${entry.wallet.address} (${error.message}), reusing it`);
+                available = true;
+            }
+            if (available) {
+                console.log(`🔁 Reusing ${service.name} ${label}wallet ${entry.wallet.address} from ${filepath}`);
+                entry.lastUsedAt = new Date().toISOString();
+                wallets[serviceName] = { ...wallet, serviceName: service.name };
+                continue;
+            }
+            console.log(`⚠️  Registered ${service.name} ${label}wallet ${entry.wallet.address} is no longer available, creating a new one`);
+        }
+
+        toCreate[serviceName] = service;
+    }
+
+    const created = await createWalletsForServices(toCreate, pacers, chain);
+    for (const [serviceName, wallet] of Object.entries(created)) {
+        const scope = walletScope(initializedServices[serviceName].module);
+        if (scope) {
+            registerWallet(registry, serviceName, scope, wallet);
+        }
+    }
+
+    saveRegistry(filepath, registry);
+    return { ...wallets, ...created };
+}
+
+// Delete or archive the retired wallets of the given services through their
+// adapters' deleteWallet(). Retired wallets that cannot be removed (no provider
+// support, or registered under other credentials) stay in the registry unless
+// `forget` is set. Returns one outcome per retired entry.
+export async function pruneWallets(filepath, initializedServices, { forget = false } = {}) {
+    const registry = loadRegistry(filepath);
+    const outcomes = [];
+    const kept = [];
+
+    for (const entry of registry.wallets) {
+        const service = initializedServices[entry.service];
+        if (entry.status !== 'retired' || !service) {
+            kept.push(entry);
+            continue;
+        }
+
+        let outcome;
+        if (walletScope(service.module) !== entry.scope) {
+            outcome = { entry, action: 'skipped', reason: 'registered under other credentials' };
+        } else if (typeof service.module.deleteWallet !== 'function') {
+            outcome = { entry, action: 'skipped', reason: `${service.name} cannot delete wallets through its API` };
+        } else {
+            try {
+                const action = await service.module.deleteWallet({ ...entry.wallet, serviceInstance: service.instance });
+                outcome = { entry, action: action || 'deleted' };
+            } catch (error) {
+                outcome = { entry, action: 'failed', reason: error.message };
+            }
+        }
+
+        const removed = outcome.action === 'deleted' || outcome.action === 'archived';
+        if (!removed && forget) {
+            outcome.action = 'forgotten';
+        }
+        if (!removed && !forget) {
+            kept.push(entry);
+        }
+        outcomes.push(outcome);
+    }
+
+    registry.wallets = kept;
+    saveRegistry(filepath, registry);
+    return outcomes;
+}
@@ -0,0 +1,262 @@
+import crypto from 'crypto';
+import {
+    AddressLookupTableAccount,
+    ComputeBudgetProgram,
+    PACKET_DATA_SIZE,
+    PublicKey,
+    SystemProgram,
+    TransactionInstruction,
+    TransactionMessage,
+    VersionedTransaction
+} from '@solana/web3.js';
+
+// Solana transactions the harness builds for the adapters to sign: the single SOL
+// transfer of the `transaction` operation and the workloads beyond it. Every adapter
+// gets the same serialized bytes (apart from the fee payer, which is each provider's
+// wallet) in the same format, legacy or v0, so latency differences come from the
+// provider and from payload size or complexity, not from how each adapter would
+// assemble the transaction.
+//
+// Every account other than the payer is fixed (derived from a label). Providers only
+// sign and nothing is submitted, so the transactions need not be landable.
+
+// Solana transaction formats: legacy messages and v0 (versioned) messages
+export const TRANSACTION_FORMATS = ['legacy', 'v0'];
+
+export const TOKEN_PROGRAM_ID = new PublicKey('TokenkegQfeZyiNwAJbNbGKPFXCWuBvf9Ss623VQ5DA');
+export const ASSOCIATED_TOKEN_PROGRAM_ID = new PublicKey('ATokenGPvbdGVxr1b2hvZbsiqW5xWH25efTNsLJA8knL');
+export const MEMO_PROGRAM_ID = new PublicKey('MemoSq4gqABAXKb96qnH8TysNcWxMyWCqXgDLGmfcHr');
+
+// Blockhash used when the harness does not prefetch a live one
+export const WORKLOAD_BLOCKHASH = fixedAddress('workload-blockhash').toBase58();
+
+// Deterministic account for a label (32 hashed bytes; need not be on the curve)
+function fixedAddress(label) {
+    return new PublicKey(crypto.createHash('sha256').update(`signing-benchmark:${label}`).digest());
+}
+
+function recipients(count, label) {
+    return Array.from({ length: count }, (_, index) => fixedAddress(`${label}-${index}`));
+}
+
+export function associatedTokenAddress(owner, mint) {
+    const [address] = PublicKey.findProgramAddressSync(
+        [owner.toBuffer(), TOKEN_PROGRAM_ID.toBuffer(), mint.toBuffer()],
+        ASSOCIATED_TOKEN_PROGRAM_ID
+    );
+    return address;
+}
+
+// Associated Token Account program: CreateIdempotent (instruction 1)
+function createAssociatedTokenAccountIdempotent(payer, owner, mint) {
+    return new TransactionInstruction({
+        programId: ASSOCIATED_TOKEN_PROGRAM_ID,
+        keys: [
+            { pubkey: payer, isSigner: true, isWritable: true },
+            { pubkey: associatedTokenAddress(owner, mint), isSigner: false, isWritable: true },
+            { pubkey: owner, isSigner: false, isWritable: false },
+            { pubkey: mint, isSigner: false, isWritable: false },
+            { pubkey: SystemProgram.programId, isSigner: false, isWritable: false },
+            { pubkey: TOKEN_PROGRAM_ID, isSigner: false, isWritable: false }
+        ],
+        data: Buffer.from([1])
+    });
+}
+
+// SPL Token program: TransferChecked (instruction 12, u64 amount, u8 decimals)
+function transferChecked(owner, destinationOwner, mint, amount, decimals) {
+    const data = Buffer.alloc(10);
+    data.writeUInt8(12, 0);
+    data.writeBigUInt64LE(BigInt(amount), 1);
+    data.writeUInt8(decimals, 9);
+
+    return new TransactionInstruction({
+        programId: TOKEN_PROGRAM_ID,
+        keys: [
+            { pubkey: associatedTokenAddress(owner, mint), isSigner: false, isWritable: true },
+            { pubkey: mint, isSigner: false, isWritable: false },
+            { pubkey: associatedTokenAddress(destinationOwner, mint), isSigner: false, isWritable: true },
+            { pubkey: owner, isSigner: true, isWritable: false }
+        ],
+        data
+    });
+}
+
+function memo(text) {
+    return new TransactionInstruction({ programId: MEMO_PROGRAM_ID, keys: [], data: Buffer.from(text, 'utf8') });
+}
+
+function priorityFee({ computeUnitLimit, computeUnitPriceMicroLamports }) {
+    return [
+        ComputeBudgetProgram.setComputeUnitLimit({ units: computeUnitLimit }),
+        ComputeBudgetProgram.setComputeUnitPrice({ microLamports: computeUnitPriceMicroLamports })
+    ];
+}
+
+function solTransfers(payer, destinations, lamports) {
+    return destinations.map(toPubkey => SystemProgram.transfer({ fromPubkey: payer, toPubkey, lamports }));
+}
+
+// Table at a fixed address holding `addresses`; it only has to exist for compiling
+// the message, since nothing is submitted
+function lookupTable(addresses) {
+    return new AddressLookupTableAccount({
+        key: fixedAddress('lookup-table'),
+        state: {
+            deactivationSlot: BigInt('18446744073709551615'),
+            lastExtendedSlot: 0,
+            lastExtendedSlotStartIndex: 0,
+            addresses
+        }
+    });
+}
+
+// The `transaction` operation's transfer
+export const TRANSFER = {
+    label: 'Transfer',
+    description: 'Single SOL transfer',
+    instructions: (payer, params) => ({
+        instructions: solTransfers(payer, [new PublicKey(params.destinationAddress)], params.transferAmount)
+    })
+};
+
+// Workload templates. `instructions(payer, params)` returns the instructions and
+// any lookup tables; `params` is config.workloads plus the destination and amount
+// of config.transaction. Templates limited to some formats list them in `formats`.
+export const SOLANA_WORKLOADS = {
+    splTransfer: {
+        label: 'SPL Transfer',
+        emoji: '🪙',
+        description: 'Create the recipient\'s associated token account (idempotent) and transfer tokens to it',
+        instructions: (payer, params) => {
+            const mint = new PublicKey(params.mint);
+            const destination = new PublicKey(params.destinationAddress);
+            return {
+                instructions: [
+                    createAssociatedTokenAccountIdempotent(payer, destination, mint),
+                    transferChecked(payer, destination, mint, params.tokenAmount, params.decimals)
+                ]
+            };
+        }
+    },
+    priorityFee: {
+        label: 'Priority Fee Transfer',
+        emoji: '⚡',
+        description: 'SOL transfer with compute-budget unit limit and price instructions',
+        instructions: (payer, params) => ({
+            instructions: [
+                ...priorityFee(params),
+                ...solTransfers(payer, [new PublicKey(params.destinationAddress)], params.transferAmount)
+            ]
+        })
+    },
+    multiInstruction: {
+        label: 'Multi-instruction',
+        emoji: '🧩',
+        description: 'Priority fee, an SPL transfer, several SOL transfers and a memo in one transaction',
+        instructions: (payer, params) => {
+            const mint = new PublicKey(params.mint);
+            const destination = new PublicKey(params.destinationAddress);
+            return {
+                instructions: [
+                    ...priorityFee(params),
+                    createAssociatedTokenAccountIdempotent(payer, destination, mint),
+                    transferChecked(payer, destination, mint, params.tokenAmount, params.decimals),
+                    ...solTransfers(payer, recipients(params.transfers, 'multi'), params.transferAmount),
+                    memo('signing benchmark')
+                ]
+            };
+        }
+    },
+    lookupTable: {
+        label: 'Lookup Table',
+        emoji: '📇',
+        description: 'v0 transaction whose recipients are loaded from an address lookup table',
+        // Lookup tables need a v0 message
+        formats: ['v0'],
+        instructions: (payer, params) => {
+            const destinations = recipients(params.lookupTableAddresses, 'lookup');
+            return {
+                instructions: [
+                    ...priorityFee(params),
+                    ...solTransfers(payer, destinations, params.transferAmount)
+                ],
+                lookupTables: [lookupTable(destinations)]
+            };
+        }
+    },
+    maxSize: {
+        label: 'Max-size',
+        emoji: '📦',
+        description: `Priority-fee SOL transfer padded with a memo to the ${PACKET_DATA_SIZE}-byte packet limit`,
+        instructions: (payer, params, padding = 0) => ({
+            instructions: [
+                ...priorityFee(params),
+                ...solTransfers(payer, [new PublicKey(params.destinationAddress)], params.transferAmount),
+                memo('x'.repeat(padding))
+            ]
+        })
+    }
+};
+
+export const WORKLOAD_NAMES = Object.keys(SOLANA_WORKLOADS);
+
+// Every template by name: the transfer, then the workloads
+export const SOLANA_TEMPLATES = { transfer: TRANSFER, ...SOLANA_WORKLOADS };
+
+export function templateFormats(name) {
+    return SOLANA_TEMPLATES[name].formats || TRANSACTION_FORMATS;
+}
+
+const MAX_PADDING_ATTEMPTS = 8;
+
+function compile(payer, blockhash, { instructions, lookupTables = [] }, format) {
+    const message = new TransactionMessage({ payerKey: payer, recentBlockhash: blockhash, instructions });
+    return new VersionedTransaction(format === 'legacy' ? message.compileToLegacyMessage() : message.compileToV0Message(lookupTables));
+}
+
+// Unsigned transaction of a template for `payerAddress` in `format`, serialized
+// (signature slots zeroed). maxSize pads its memo until the transaction is exactly
+// the limit; the memo's length prefix grows by a byte past 127, hence the loop, which
+// gives up after a few rounds rather than oscillating around a size it cannot hit.
+export function buildSolanaTransaction(name, payerAddress, blockhash, params, format = 'v0') {
+    const template = SOLANA_TEMPLATES[name];
+    const payer = new PublicKey(payerAddress);
+
+    if (!templateFormats(name).includes(format)) {
+        throw new Error(`The ${name} transaction cannot be built as ${format}`);
+    }
+    if (name !== 'maxSize') {
+        return compile(payer, blockhash, template.instructions(payer, params), format).serialize();
+    }
+
+    let padding = 0;
+    for (let attempt = 0; attempt < MAX_PADDING_ATTEMPTS; attempt++) {
+        const serialized = compile(payer, blockhash, template.instructions(payer, params, padding), format).serialize();
+        if (serialized.length === PACKET_DATA_SIZE || padding === 0 && serialized.length > PACKET_DATA_SIZE) {
+            return serialized;
+        }
+        padding = Math.max(0, padding + PACKET_DATA_SIZE - serialized.length);
+    }
+    throw new Error(`Could not pad the ${format} maxSize transaction to exactly ${PACKET_DATA_SIZE} bytes`);
+}
+
+// Parameters of the workloads from a benchmark config
+export function workloadParams(config) {
+    return {
+        ...config.workloads,
+        destinationAddress: config.transaction.destinationAddress,
+        transferAmount: config.transaction.transferAmount
+    };
+}
+
+// Serialized size and instruction count of a template, for display
+export function describeTransaction(name, config, format = 'v0') {
+    const serialized = buildSolanaTransaction(name, fixedAddress('payer').toBase58(), WORKLOAD_BLOCKHASH, workloadParams(config), format);
+    const { compiledInstructions, addressTableLookups } = VersionedTransaction.deserialize(serialized).message;
+    return {
+        bytes: serialized.length,
+        instructions: compiledInstructions.length,
+        lookupTables: addressTableLookups.length
+    };
+}
@@ -0,0 +1,230 @@
+import { OPERATIONS } from './engine.js';
+import { resultOperations } from './results.js';
+import { TRANSACTION_PHASES } from './phases.js';
+import { NETWORK_TIMINGS } from './network.js';
+import { budgetChecks, checkOutcome, describeCheck } from './budgets.js';
+import { describeSweepLimit } from './sweep.js';
+
+// Result writers. Each one renders a result document into one output format;
+// `output.formats` in the config selects which of them a run writes.
+
+// One row per timed request, across every service and operation
+export function sampleRows(results) {
+    const rows = [];
+
+    for (const operationName of resultOperations(results)) {
+        const { services } = results[OPERATIONS[operationName].resultKey];
+
+        for (const [serviceName, service] of Object.entries(services)) {
+            // Older result files only stored successful latencies
+            const samples = service.samples || (service.rawTimes || []).map(latency => ({ success: true, latency }));
+
+            samples.forEach((sample, index) => {
+                rows.push({
+                    service: serviceName,
+                    operation: operationName,
+                    iteration: sample.iteration ?? index + 1,
+                    stage: sample.stage !== undefined ? sample.stage + 1 : null,
+                    // Message size sweep payloads
+                    payload_kind: sample.kind ?? null,
+                    payload_bytes: sample.size ?? null,
+                    latency_ms: sample.latency,
+                    success: sample.success,
+                    error_class: sample.errorClass || null,
+                    error: sample.error || null,
+                    valid: sample.valid ?? null,
+                    ...Object.fromEntries(TRANSACTION_PHASES.map(phase => [`phase_${phase}_ms`, sample.phases ? sample.phases[phase] ?? null : null])),
+                    net_requests: sample.network ? sample.network.requestCount : null,
+                    net_new_connections: sample.network ? sample.network.newConnections : null,
+                    ...Object.fromEntries(NETWORK_TIMINGS.map(name => [`net_${name}_ms`, sample.network ? sample.network[name] : null])),
+                    attempts: sample.pacing && sample.pacing.attempts ? sample.pacing.attempts : 1,
+                    first_attempt_ms: sample.pacing && sample.pacing.throttles ? sample.pacing.firstAttemptLatency : sample.latency,
+                    throttle_wait_ms: sample.pacing && sample.pacing.throttles
+                        ? sample.pacing.throttles.reduce((sum, event) => sum + event.waitMs, 0)
+                        : 0
+                });
+            });
+        }
+    }
+
+    return rows;
+}
+
+function csvField(value) {
+    if (value === null || value === undefined) {
+        return '';
+    }
+    const text = String(value);
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function xmlEscape(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+function ms(value) {
+    return value === null || value === undefined ? '-' : value.toFixed(2);
+}
+
+function successCount({ statistics, rawTimes = [] }) {
+    return statistics.successCount ?? statistics.count ?? rawTimes.length;
+}
+
+// Test cases for JUnit/TAP: one per budget check plus a failing one per budget that
+// matched nothing, or, without budgets, one per service and operation that passes
+// when at least one request succeeded (and fails for a service dropped from the run)
+export function testCases(results) {
+    const checks = budgetChecks(results);
+    const unmatched = results.budgets ? results.budgets.unmatched || [] : [];
+
+    if (checks.length > 0 || unmatched.length > 0) {
+        return [
+            ...checks.map(check => ({
+                suite: `${check.service}.${check.operation}`,
+                name: describeCheck(check),
+                passed: check.passed,
+                detail: check.dropped ? checkOutcome(check) : `${check.metric} was ${checkOutcome(check)}`
+            })),
+            ...unmatched.map(({ index, service, operation }) => ({
+                suite: 'budgets',
+                name: `Budget ${index + 1} (${[service, operation].filter(Boolean).join(' / ') || 'all'}) matches results`,
+                passed: false,
+                detail: 'matched no service or operation in the run'
+            }))
+        ];
+    }
+
+    return resultOperations(results).flatMap(operationName => {
+        const { services, dropped = {} } = results[OPERATIONS[operationName].resultKey];
+        return [
+            ...Object.entries(services).map(([serviceName, service]) => {
+                const successes = successCount(service);
+                return {
+                    suite: `${serviceName}.${operationName}`,
+                    name: `${serviceName} ${operationName} completes`,
+                    passed: successes > 0,
+                    detail: `${successes} successful request(s)`
+                };
+            }),
+            ...Object.entries(dropped).map(([serviceName, reason]) => ({
+                suite: `${serviceName}.${operationName}`,
+                name: `${serviceName} ${operationName} completes`,
+                passed: false,
+                detail: `no results: ${reason}`
+            }))
+        ];
+    });
+}
+
+function writeCsv(results) {
+    const rows = sampleRows(results);
+    const columns = rows.length > 0 ? Object.keys(rows[0]) : ['service', 'operation', 'iteration', 'latency_ms', 'success'];
+    return [columns.join(','), ...rows.map(row => columns.map(column => csvField(row[column])).join(','))].join('\n') + '\n';
+}
+
+function writeJsonl(results) {
+    return sampleRows(results).map(row => JSON.stringify(row)).join('\n') + '\n';
+}
+
+function writeMarkdown(results) {
+    const location = results.geoLocation && results.geoLocation.success !== false
+        ? [results.geoLocation.city, results.geoLocation.region, results.geoLocation.country].filter(Boolean).join(', ')
+        : 'unknown location';
+    const scenario = results.config && results.config.scenario ? ` — scenario \`${results.config.scenario.name}\`` : '';
+    const lines = [`## Signing benchmark${scenario}`, '', `${results.timestamp} from ${location}`];
+
+    for (const operationName of resultOperations(results)) {
+        const { services, comparison = {}, dropped = {} } = results[OPERATIONS[operationName].resultKey];
+        const ranks = Object.fromEntries((comparison.rankings || []).map(entry => [entry.service, entry.rank]));
+
+        lines.push('', `### ${OPERATIONS[operationName].label}`, '');
+        lines.push('| Rank | Service | Mean (ms) | Median (ms) | p95 (ms) | p99 (ms) | Success | Error rate |');
+        lines.push('|---:|---|---:|---:|---:|---:|---:|---:|');
+
+        // Ranked services in ranking order (fastest mean first), unranked ones last
+        const ranked = (comparison.rankings || []).map(entry => entry.service);
+        const serviceNames = [...ranked, ...Object.keys(services).filter(serviceName => !ranked.includes(serviceName))];
+        for (const serviceName of serviceNames) {
+            const stats = services[serviceName].statistics;
+            const successes = successCount(services[serviceName]);
+            const total = successes + (stats.failureCount ?? 0);
+            lines.push(`| ${ranks[serviceName] ?? '-'} | ${serviceName} | ${ms(stats.mean)} | ${ms(stats.median)} | ${ms(stats.p95)} | ${ms(stats.p99)} | ${successes}/${total} | ${((stats.errorRate ?? 0) * 100).toFixed(1)}% |`);
+        }
+        for (const [serviceName, reason] of Object.entries(dropped)) {
+            lines.push(`| - | ${serviceName} | - | - | - | - | no results: ${reason} | 100.0% |`);
+        }
+
+        if (comparison.rankings) {
+            lines.push('');
+            lines.push(comparison.fastest
+                ? `**Fastest:** ${comparison.fastest}${comparison.alpha ? ` (significant at α = ${comparison.alpha})` : ''}`
+                : `**No significant winner** at α = ${comparison.alpha}`);
+        }
+
+        // Every swept payload kind of every service, including the ones it cannot sign
+        const sweeps = serviceNames.filter(serviceName => services[serviceName].statistics.sweep);
+        if (sweeps.length > 0) {
+            lines.push('', '| Service | Payload | Outcome |', '|---|---|---|');
+            for (const serviceName of sweeps) {
+                services[serviceName].statistics.sweep.kinds.forEach(entry =>
+                    lines.push(`| ${serviceName} | ${entry.kind} | ${describeSweepLimit(entry.limit)} |`));
+            }
+        }
+    }
+
+    if (results.budgets || budgetChecks(results).length > 0) {
+        lines.push('', '### Budgets', '');
+        testCases(results).forEach(test => lines.push(`- ${test.passed ? '✅' : '❌'} ${test.name} — ${test.detail}`));
+    }
+
+    return lines.join('\n') + '\n';
+}
+
+function writeJunit(results) {
+    const tests = testCases(results);
+    const suites = new Map();
+    tests.forEach(test => suites.set(test.suite, [...(suites.get(test.suite) || []), test]));
+    const failures = tests.filter(test => !test.passed).length;
+
+    const lines = [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        `<testsuites name="signing-benchmark" tests="${tests.length}" failures="${failures}" timestamp="${xmlEscape(results.timestamp)}">`
+    ];
+    for (const [suite, suiteTests] of suites) {
+        lines.push(`  <testsuite name="${xmlEscape(suite)}" tests="${suiteTests.length}" failures="${suiteTests.filter(test => !test.passed).length}">`);
+        for (const test of suiteTests) {
+            lines.push(`    <testcase classname="${xmlEscape(suite)}" name="${xmlEscape(test.name)}">`);
+            lines.push(test.passed
+                ? `      <system-out>${xmlEscape(test.detail)}</system-out>`
+                : `      <failure message="${xmlEscape(test.detail)}" type="budget"/>`);
+            lines.push('    </testcase>');
+        }
+        lines.push('  </testsuite>');
+    }
+    lines.push('</testsuites>');
+
+    return lines.join('\n') + '\n';
+}
+
+function writeTap(results) {
+    const tests = testCases(results);
+    const lines = ['TAP version 13', `1..${tests.length}`];
+    tests.forEach((test, index) => {
+        lines.push(`${test.passed ? 'ok' : 'not ok'} ${index + 1} - ${test.name}`);
+        lines.push(`  ---`, `  detail: ${JSON.stringify(test.detail)}`, `  ...`);
+    });
+    return lines.join('\n') + '\n';
+}
+
+export const WRITERS = {
+    json: { extension: '.json', write: results => JSON.stringify(results, null, 2) },
+    csv: { extension: '.csv', write: writeCsv },
+    jsonl: { extension: '.jsonl', write: writeJsonl },
+    markdown: { extension: '.md', write: writeMarkdown },
+    junit: { extension: '.junit.xml', write: writeJunit },
+    tap: { extension: '.tap', write: writeTap }
+};